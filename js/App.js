@@ -9,20 +9,101 @@
   var strumPatternSelect = document.getElementById("strum-pattern-select");
   var drumPatternSelect = document.getElementById("drum-pattern-select");
   var riffSelect = document.getElementById("riff-select");
+  var riffEditToggle = document.getElementById("riff-edit-toggle");
+  var riffEditorWrap = document.getElementById("riff-editor");
+  var takeEditorWrap = document.getElementById("take-editor");
   var bpmSelect = document.getElementById("bpm-select");
+  var tuningSelect = document.getElementById("tuning-select");
+  var scaleSelect = document.getElementById("scale-select");
   var progressionPlayToggle = document.getElementById("progression-play-toggle");
+  var freeRecordToggle = document.getElementById("free-record-toggle");
+  var metronomeToggle = document.getElementById("metronome-toggle");
+  var countInSelect = document.getElementById("count-in-select");
+  var loopStartSelect = document.getElementById("loop-start-select");
+  var loopEndSelect = document.getElementById("loop-end-select");
+  var rampToggle = document.getElementById("ramp-toggle");
+  var rampStartInput = document.getElementById("ramp-start-bpm");
+  var rampStepInput = document.getElementById("ramp-step-bpm");
+  var rampEveryInput = document.getElementById("ramp-every-loops");
+  var rampTargetInput = document.getElementById("ramp-target-bpm");
   var handednessToggle = document.getElementById("handedness-toggle");
   var verticalMirrorToggle = document.getElementById("vertical-mirror-toggle");
   var panZoomToggle = document.getElementById("pan-zoom-toggle");
   var dragConstraintToggle = document.getElementById("drag-constraint-5x1");
+  var lessonSelect = document.getElementById("lesson-select");
+  var lessonPrevButton = document.getElementById("lesson-prev");
+  var lessonNextButton = document.getElementById("lesson-next");
+  var lessonText = document.getElementById("lesson-text");
+  var lessonInstruction = document.getElementById("lesson-instruction");
+  var lessonProgress = document.getElementById("lesson-progress");
+  var practiceToggle = document.getElementById("practice-toggle");
+  var practiceStatus = document.getElementById("practice-status");
+  var neckWrap = document.getElementById("neck-wrap");
+  var neckViewToggle = document.getElementById("neck-view-toggle");
+  var chordTonesToggle = document.getElementById("chord-tones-toggle");
+  var sessionExportButton = document.getElementById("session-export");
+  var midiExportButton = document.getElementById("midi-export");
+  var midiExportLoopsInput = document.getElementById("midi-export-loops");
+  var tabViewToggle = document.getElementById("tab-view-toggle");
+  var tabViewWrap = document.getElementById("tab-view");
+  var tabText = document.getElementById("tab-text");
+  var tabPrintButton = document.getElementById("tab-print");
+  var tabDownloadButton = document.getElementById("tab-download");
+  var tabImportToggle = document.getElementById("tab-import-toggle");
+  var tabImportWrap = document.getElementById("tab-import");
+  var tabImportText = document.getElementById("tab-import-text");
+  var tabImportConvertButton = document.getElementById("tab-import-convert");
+  var midiImportButton = document.getElementById("midi-import");
+  var midiImportInput = document.getElementById("midi-import-file");
+  var midiImportPartField = document.getElementById("midi-import-part-field");
+  var midiImportPartSelect = document.getElementById("midi-import-part-select");
+  var midiImportReader = null;  /* MidiFileReader of the last imported file, for switching tracks */
+  var midiImportFileName = "";
+  var sessionImportButton = document.getElementById("session-import");
+  var sessionImportInput = document.getElementById("session-import-file");
+  var midiInputSelect = document.getElementById("midi-input-select");
+  var midiOutputSelect = document.getElementById("midi-output-select");
+  var midiRoutingSelect = document.getElementById("midi-routing-select");
+  var midiChannelInputs = {
+    bass: document.getElementById("midi-channel-bass"),
+    strum: document.getElementById("midi-channel-strum"),
+    riff: document.getElementById("midi-channel-riff"),
+    drums: document.getElementById("midi-channel-drums")
+  };
+  var mixerMasterInput = document.getElementById("mixer-master-volume");
+  var mixerInputs = {};  /* part -> { volume, pan, mute, solo, voice } controls of its channel strip */
+  for (var mixerIndex = 0; mixerIndex < AudioEngine.PARTS.length; mixerIndex++) {
+    var mixerPart = AudioEngine.PARTS[mixerIndex];
+    mixerInputs[mixerPart] = {
+      volume: document.getElementById("mixer-" + mixerPart + "-volume"),
+      pan: document.getElementById("mixer-" + mixerPart + "-pan"),
+      mute: document.getElementById("mixer-" + mixerPart + "-mute"),
+      solo: document.getElementById("mixer-" + mixerPart + "-solo"),
+      voice: document.getElementById("mixer-" + mixerPart + "-voice")  /* none for drums */
+    };
+  }
   var fretscape = new Fretscape(canvasWrap);
+  var neckView = neckWrap ? new NeckView(neckWrap) : null;
+  var riffEditor = riffEditorWrap ? new RiffEditor(riffEditorWrap) : null;
+  var takeEditor = takeEditorWrap ? new TakeEditor(takeEditorWrap, function (cell) {
+    return fretscape.getKeyRootOffset(cell);
+  }) : null;
   var drumEngine = new DrumEngine();
+  var lessonPlayer = new LessonPlayer();
+  var sessionStore = new SessionStore();
+  var midiInput = new MidiInput();
+  var midiOutput = new MidiOutput();
   var chordProgressions = [];
   var strumPatterns = [];
   var riffs = [];
+  var dataLoads = [];  /* dataset load promises; the saved workspace is restored once all settle */
   var isHorizontallyMirrored = false;
   var isVerticallyMirrored = false;
+  /* True while a workspace is applied and until the saved one is restored, so early saves cannot replace it with defaults. */
+  var isRestoringWorkspace = true;
   fretscape.setDrumEngine(drumEngine);
+  fretscape.setMidiOutput(midiOutput);
+  drumEngine.setMidiOutput(midiOutput);
   /**
    * Updates the progression dropdown with loaded data.
    */
@@ -81,7 +162,96 @@
       syncProgressionPlayButton();
       return;
     }
-    fretscape.applyChordProgression(getProgressionById(progressionSelect.value));
+    var progression = getProgressionById(progressionSelect.value);
+    fretscape.applyChordProgression(progression);
+    populateLoopRangeSelects(progression);
+    syncProgressionPlayButton();
+  };
+  /**
+   * Fills both loop range dropdowns with the chords of a progression; first to last chord loops all of it.
+   */
+  var populateLoopRangeSelects = function (progression) {
+    var selects = [loopStartSelect, loopEndSelect];
+    var degrees = progression && progression.degrees ? progression.degrees : [];
+    for (var s = 0; s < selects.length; s++) {
+      if (!selects[s]) continue;
+      while (selects[s].firstChild) {
+        selects[s].removeChild(selects[s].firstChild);
+      }
+      for (var i = 0; i < degrees.length; i++) {
+        var option = document.createElement("option");
+        option.value = String(i);
+        option.textContent = (i + 1) + ": " + degrees[i];
+        selects[s].appendChild(option);
+      }
+      selects[s].disabled = !degrees.length;
+    }
+    if (loopEndSelect && degrees.length) loopEndSelect.value = String(degrees.length - 1);
+  };
+  /**
+   * Applies loop range dropdowns to Fretscape. An end before the start moves up to the start.
+   */
+  var applyLoopRange = function () {
+    if (!loopStartSelect || !loopEndSelect || !loopEndSelect.options.length) return;
+    var start = parseInt(loopStartSelect.value, 10);
+    var end = parseInt(loopEndSelect.value, 10);
+    if (end < start) {
+      end = start;
+      loopEndSelect.value = String(end);
+    }
+    var isWholeProgression = start === 0 && end === loopEndSelect.options.length - 1;
+    fretscape.setLoopRange(isWholeProgression ? null : start, end);
+  };
+  /**
+   * Sets loop range dropdowns from a { start, end } range (null = whole progression) and applies them.
+   */
+  var setLoopRangeValue = function (range) {
+    if (!loopStartSelect || !loopEndSelect || !loopEndSelect.options.length) return;
+    var last = loopEndSelect.options.length - 1;
+    var start = range ? Math.max(0, Math.min(last, parseInt(range.start, 10) || 0)) : 0;
+    var end = range ? Math.max(0, Math.min(last, parseInt(range.end, 10) || 0)) : last;
+    loopStartSelect.value = String(start);
+    loopEndSelect.value = String(end);
+    applyLoopRange();
+  };
+  /**
+   * Applies key dropdown value to Fretscape.
+   */
+  var applySelectedKey = function () {
+    fretscape.setKey(keySelect ? (keySelect.value || "C") : "C");
+  };
+  /**
+   * Fills a dropdown from built-in presets [{ id, name }] (tunings, scales).
+   */
+  var populatePresetSelect = function (select, presets) {
+    if (!select) return;
+    while (select.firstChild) {
+      select.removeChild(select.firstChild);
+    }
+    for (var i = 0; i < presets.length; i++) {
+      var option = document.createElement("option");
+      option.value = presets[i].id;
+      option.textContent = presets[i].name;
+      select.appendChild(option);
+    }
+  };
+  /**
+   * Applies tuning dropdown value to Fretscape.
+   */
+  var applySelectedTuning = function () {
+    fretscape.setTuning(tuningSelect ? tuningSelect.value : "standard");
+  };
+  /**
+   * Applies scale dropdown value to Fretscape.
+   */
+  var applySelectedScale = function () {
+    fretscape.setScale(scaleSelect ? scaleSelect.value : "major");
+  };
+  /**
+   * Applies bass playback mode dropdown value to Fretscape.
+   */
+  var applySelectedPlaybackMode = function () {
+    fretscape.setProgressionPlaybackMode(playbackModeSelect ? (playbackModeSelect.value || "root") : "root");
     syncProgressionPlayButton();
   };
   /**
@@ -137,7 +307,24 @@
     }
   };
   /**
-   * Applies currently selected riff to fretspace playback.
+   * Adds riffs to the riff list, replacing entries with the same id, and keeps the dropdown selection.
+   */
+  var mergeRiffs = function (riffList) {
+    for (var i = 0; i < riffList.length; i++) {
+      var existing = getRiffById(riffList[i].id);
+      if (existing) {
+        riffs[riffs.indexOf(existing)] = riffList[i];
+      } else {
+        riffs.push(riffList[i]);
+      }
+    }
+    if (!riffSelect) return;
+    var selectedId = riffSelect.value;
+    populateRiffSelect(riffs);
+    riffSelect.value = selectedId;
+  };
+  /**
+   * Applies currently selected riff to fretspace playback and, while open, loads it into the riff editor.
    */
   var applySelectedRiff = function () {
     if (!riffSelect) {
@@ -146,20 +333,100 @@
     }
     var riff = getRiffById(riffSelect.value);
     fretscape.setRiffPattern(riff);
-    if (riff && riff.notes) {
-      alert("Riff data:\n\n" + JSON.stringify(riff, null, 2));
+    if (riffEditor && !riffEditorWrap.hidden) {
+      riffEditor.setRiff(riff);
+    }
+  };
+  /**
+   * Saves a recorded or edited riff to the library and selects it.
+   */
+  var addRiffToLibrary = function (riff) {
+    sessionStore.saveRiffs([riff]);
+    mergeRiffs([riff]);
+    if (!riffSelect) return;
+    riffSelect.value = riff.id;
+    applySelectedRiff();
+    saveWorkspace();
+  };
+  /**
+   * Shows or hides the riff editor. Opening loads the selected riff; closing drops any preview.
+   */
+  var setRiffEditorOpen = function (isOpen) {
+    if (!riffEditor) return;
+    riffEditorWrap.hidden = !isOpen;
+    if (riffEditToggle) riffEditToggle.setAttribute("aria-pressed", isOpen ? "true" : "false");
+    applySelectedRiff();
+    /* Fretscape canvas refits to the space the panel takes or frees. */
+    fretscape.render();
+  };
+  /**
+   * Shows or hides the take editor. Closing drops any preview and goes back to the selected riff.
+   */
+  var setTakeEditorOpen = function (isOpen) {
+    if (!takeEditor) return;
+    takeEditorWrap.hidden = !isOpen;
+    if (!isOpen) applySelectedRiff();
+    fretscape.render();
+  };
+  /**
+   * Plays a riff from one of the editors over the progression without changing the riff dropdown.
+   */
+  var previewRiff = function (riff) {
+    fretscape.setRiffPattern(riff);
+    if (!fretscape.isProgressionPlaybackActive()) {
+      fretscape.startProgressionPlayback();
+      syncProgressionPlayButton();
+    }
+  };
+  /**
+   * Sets one transport button's label and state; an active button shows the count-in while it runs.
+   */
+  var syncTransportButton = function (button, isActive, idleText, activeText, isDisabled, countInBeatsLeft) {
+    if (!button) return;
+    if (isActive && countInBeatsLeft > 0) {
+      button.textContent = "Count-in " + countInBeatsLeft;
+    } else {
+      button.textContent = isActive ? activeText : idleText;
     }
+    button.setAttribute("aria-pressed", isActive ? "true" : "false");
+    button.disabled = isDisabled;
   };
   /**
-   * Keeps the progression play button label/state in sync with playback and selection.
+   * Keeps the play, metronome and free record buttons in sync with the transport and selection.
+   * countInBeatsLeft comes from fretscape.onCountInBeat.
    */
-  var syncProgressionPlayButton = function () {
-    if (!progressionPlayToggle) return;
+  var syncProgressionPlayButton = function (countInBeatsLeft) {
     var isPlaying = fretscape.isProgressionPlaybackActive();
-    var hasPath = fretscape.hasProgressionPath();
-    progressionPlayToggle.textContent = isPlaying ? "Stop" : "Play";
-    progressionPlayToggle.setAttribute("aria-pressed", isPlaying ? "true" : "false");
-    progressionPlayToggle.disabled = !hasPath;
+    var isMetronome = fretscape.isMetronomePlaying();
+    var isFreeRecording = fretscape.isFreeRecording();
+    syncTransportButton(progressionPlayToggle, isPlaying, "Play", "Stop",
+      !fretscape.hasProgressionPath() || isMetronome, countInBeatsLeft);
+    syncTransportButton(metronomeToggle, isMetronome && !isFreeRecording, "Metronome", "Stop metronome",
+      isPlaying || isFreeRecording, countInBeatsLeft);
+    syncTransportButton(freeRecordToggle, isFreeRecording, "Free record", "Stop recording",
+      isPlaying || (isMetronome && !isFreeRecording), countInBeatsLeft);
+  };
+  /**
+   * Formats a practice run summary for the toolbar status line.
+   */
+  var formatPracticeSummary = function (summary) {
+    return summary.accuracy + "% accuracy · " + summary.hits + "/" + summary.targets + " hit, " +
+      summary.missed + " missed, " + summary.extra + " extra · " + summary.onTime + " on time · avg " +
+      summary.meanOffsetMs + "ms off";
+  };
+  /**
+   * Shows the latest graded practice hit plus running totals.
+   */
+  var showPracticeHit = function (result, summary) {
+    if (!practiceStatus) return;
+    if (result.extra) {
+      practiceStatus.textContent = "Extra note · " + formatPracticeSummary(summary);
+      return;
+    }
+    var pitchText = result.pitch === "cell" ? "right note" : (result.pitch === "semitone" ? "right pitch, other cell" : "wrong note");
+    var timingText = result.timing === "on-time" ? "on time" : result.timing;
+    practiceStatus.textContent = pitchText + ", " + timingText + " (" + (result.deltaMs > 0 ? "+" : "") +
+      result.deltaMs + "ms) · " + formatPracticeSummary(summary);
   };
   /**
    * Ensures BPM dropdown has compact selectable values.
@@ -186,6 +453,64 @@
     if (bpm > 200) bpm = 200;
     fretscape.setProgressionBpm(bpm);
   };
+  /**
+   * Shows a tempo Fretscape chose itself (tempo ramp) in the BPM dropdown, adding the value when missing.
+   */
+  var showLiveBpm = function (bpm) {
+    if (!bpmSelect) return;
+    var value = String(bpm);
+    var before = null;
+    for (var i = 0; i < bpmSelect.options.length; i++) {
+      if (bpmSelect.options[i].value === value) {
+        bpmSelect.value = value;
+        return;
+      }
+      if (!before && parseInt(bpmSelect.options[i].value, 10) > bpm) before = bpmSelect.options[i];
+    }
+    var option = document.createElement("option");
+    option.value = value;
+    option.textContent = value;
+    bpmSelect.insertBefore(option, before);
+    bpmSelect.value = value;
+  };
+  /**
+   * Applies tempo ramp controls to Fretscape and writes the clamped values back into the inputs.
+   */
+  var applyTempoRamp = function () {
+    if (!rampToggle) return;
+    fretscape.setTempoRamp(rampToggle.checked ? {
+      startBpm: rampStartInput ? rampStartInput.value : null,
+      stepBpm: rampStepInput ? rampStepInput.value : null,
+      everyLoops: rampEveryInput ? rampEveryInput.value : null,
+      targetBpm: rampTargetInput ? rampTargetInput.value : null
+    } : null);
+    var ramp = fretscape.getTempoRamp();
+    if (!ramp) return;
+    if (rampStartInput) rampStartInput.value = String(ramp.startBpm);
+    if (rampStepInput) rampStepInput.value = String(ramp.stepBpm);
+    if (rampEveryInput) rampEveryInput.value = String(ramp.everyLoops);
+    if (rampTargetInput) rampTargetInput.value = String(ramp.targetBpm);
+  };
+  /**
+   * Sets tempo ramp controls from a { startBpm, stepBpm, everyLoops, targetBpm } ramp (null = off) and applies them.
+   */
+  var setTempoRampValue = function (ramp) {
+    if (!rampToggle) return;
+    rampToggle.checked = !!ramp;
+    if (ramp) {
+      if (rampStartInput) rampStartInput.value = String(ramp.startBpm);
+      if (rampStepInput) rampStepInput.value = String(ramp.stepBpm);
+      if (rampEveryInput) rampEveryInput.value = String(ramp.everyLoops);
+      if (rampTargetInput) rampTargetInput.value = String(ramp.targetBpm);
+    }
+    applyTempoRamp();
+  };
+  /**
+   * Applies count-in dropdown value (bars of clicks before playback, metronome and free recording).
+   */
+  var applyCountIn = function () {
+    fretscape.setCountInBars(countInSelect ? countInSelect.value : 0);
+  };
   /**
    * Updates drum dropdown with patterns loaded from drumbeats JSON.
    */
@@ -216,6 +541,108 @@
     }
     drumEngine.setSelectedPattern(drumPatternSelect.value || "");
   };
+  /**
+   * Sets a dropdown to value and runs its apply function. Skips undefined, unknown or unchanged values.
+   */
+  var setSelectValue = function (select, value, applyFn) {
+    if (!select || typeof value !== "string" || select.value === value) return;
+    for (var i = 0; i < select.options.length; i++) {
+      if (select.options[i].value !== value) continue;
+      select.value = value;
+      applyFn();
+      return;
+    }
+    console.warn("Setting not available in dropdown.", select.id, value);
+  };
+  /**
+   * Sets a checkbox and runs its apply function. Skips non-boolean or unchanged values.
+   */
+  var setToggleValue = function (toggle, value, applyFn) {
+    if (!toggle || typeof value !== "boolean" || toggle.checked === value) return;
+    toggle.checked = value;
+    applyFn();
+  };
+  /**
+   * Updates lesson dropdown with lessons loaded from lessons JSON.
+   */
+  var populateLessonSelect = function () {
+    if (!lessonSelect) return;
+    var lessons = lessonPlayer.getLessons();
+    while (lessonSelect.firstChild) {
+      lessonSelect.removeChild(lessonSelect.firstChild);
+    }
+    var noneOption = document.createElement("option");
+    noneOption.value = "";
+    noneOption.textContent = "No lesson";
+    lessonSelect.appendChild(noneOption);
+    for (var i = 0; i < lessons.length; i++) {
+      var option = document.createElement("option");
+      option.value = lessons[i].id;
+      option.textContent = lessons[i].name;
+      lessonSelect.appendChild(option);
+    }
+  };
+  /**
+   * Shows instruction text and step navigation for the current lesson step (null hides the panel).
+   */
+  var syncLessonPanel = function (step) {
+    if (lessonText) lessonText.hidden = !step;
+    if (lessonInstruction) {
+      lessonInstruction.textContent = step ? "Step " + (step.index + 1) + "/" + step.count + ": " + step.text : "";
+    }
+    if (lessonProgress) lessonProgress.textContent = step ? lessonPlayer.getProgressText() : "";
+    if (lessonPrevButton) lessonPrevButton.disabled = !step || step.index <= 0;
+    if (lessonNextButton) lessonNextButton.disabled = !step || step.index >= step.count - 1;
+    if (lessonSelect && !step) lessonSelect.value = "";
+  };
+  /**
+   * Applies lesson-style settings { key, tuning, progression, ... } through the same dropdown paths a user
+   * would take, then the brick layout. Shared by lesson steps and workspace restore.
+   */
+  var applySettings = function (settings) {
+    setSelectValue(keySelect, settings.key, applySelectedKey);
+    setSelectValue(tuningSelect, settings.tuning, applySelectedTuning);
+    setSelectValue(scaleSelect, settings.scale, applySelectedScale);
+    setSelectValue(progressionSelect, settings.progression, applySelectedProgression);
+    if (settings.hasOwnProperty("loop")) setLoopRangeValue(settings.loop);
+    if (settings.hasOwnProperty("ramp")) setTempoRampValue(settings.ramp);
+    setSelectValue(playbackModeSelect, settings.bass, applySelectedPlaybackMode);
+    setSelectValue(strumPatternSelect, settings.strum, applySelectedStrumPattern);
+    setSelectValue(riffSelect, settings.riff, applySelectedRiff);
+    setSelectValue(drumPatternSelect, settings.drums, applySelectedDrumPattern);
+    if (settings.bricks) {
+      fretscape.setBrickLayout(settings.bricks);
+    }
+    syncProgressionPlayButton();
+  };
+  /**
+   * Shows a lesson step and applies its settings.
+   */
+  var applyLessonStep = function (step) {
+    syncLessonPanel(step);
+    if (!step) return;
+    applySettings(step.settings);
+    saveWorkspace();
+  };
+  /**
+   * Loads lesson steps from data folder.
+   */
+  var loadLessons = function () {
+    if (typeof fetch !== "function") return Promise.resolve([]);
+    return fetch(encodeURI("data/lessons.JSON"))
+      .then(function (response) {
+        if (!response.ok) throw new Error("Failed to load lesson data");
+        return response.json();
+      })
+      .then(function (payload) {
+        if (!payload || !payload.lessons || !payload.lessons.length) return [];
+        return payload.lessons;
+      })
+      .catch(function (error) {
+        console.warn("Lesson data unavailable.", error);
+        return [];
+      });
+  };
   /**
    * Loads chord progression JSON from static data folder.
    */
@@ -292,69 +719,606 @@
         return [];
       });
   };
+  /**
+   * Redraws the neck view with the notes currently lit on the fretspace.
+   */
+  var renderNeckView = function () {
+    if (!neckView || neckWrap.hidden) return;
+    neckView.render(fretscape.getTuning(), fretscape.getLitNotes());
+  };
+  /**
+   * Orients the neck view like the fretspace: unmirrored fretspace has pitch rising left, higher strings lower.
+   */
+  var syncNeckViewOrientation = function () {
+    if (!neckView) return;
+    neckView.setOrientation(isHorizontallyMirrored, isVerticallyMirrored);
+  };
+  fretscape.onRender = renderNeckView;
+  applySelectedKey();
   if (keySelect) {
-    fretscape.setKey(keySelect.value || "C");
-    keySelect.addEventListener("change", function () {
-      fretscape.setKey(keySelect.value || "C");
-    });
-  } else {
-    fretscape.setKey("C");
+    keySelect.addEventListener("change", applySelectedKey);
   }
-  if (handednessToggle) {
-    var syncHandednessButton = function () {
-      handednessToggle.textContent = isHorizontallyMirrored ? "Right hand" : "Left hand";
-      handednessToggle.setAttribute("aria-pressed", isHorizontallyMirrored ? "true" : "false");
+  if (tuningSelect) {
+    populatePresetSelect(tuningSelect, Tuning.getPresets());
+    tuningSelect.value = "standard";
+    tuningSelect.addEventListener("change", applySelectedTuning);
+  }
+  applySelectedTuning();
+  if (scaleSelect) {
+    populatePresetSelect(scaleSelect, Scale.getPresets());
+    scaleSelect.value = "major";
+    scaleSelect.addEventListener("change", applySelectedScale);
+  }
+  applySelectedScale();
+  /**
+   * Sets left-hand mirroring and keeps the neck view and handedness button in step.
+   */
+  var setHorizontallyMirrored = function (isMirrored) {
+    isHorizontallyMirrored = !!isMirrored;
+    fretscape.setLeftHanded(isHorizontallyMirrored);
+    syncNeckViewOrientation();
+    if (!handednessToggle) return;
+    handednessToggle.textContent = isHorizontallyMirrored ? "Right hand" : "Left hand";
+    handednessToggle.setAttribute("aria-pressed", isHorizontallyMirrored ? "true" : "false");
+  };
+  /**
+   * Applies vertical mirror checkbox to Fretscape and the neck view.
+   */
+  var applyVerticalMirror = function () {
+    isVerticallyMirrored = verticalMirrorToggle ? !!verticalMirrorToggle.checked : false;
+    fretscape.setVerticalMirrored(isVerticallyMirrored);
+    syncNeckViewOrientation();
+  };
+  /**
+   * Applies two-finger pan/zoom checkbox to Fretscape.
+   */
+  var applyPanZoom = function () {
+    fretscape.setTwoFingerPanZoomEnabled(panZoomToggle ? !!panZoomToggle.checked : true);
+  };
+  /**
+   * Shows or hides the neck view.
+   */
+  var applyNeckView = function () {
+    if (!neckViewToggle || !neckWrap) return;
+    neckWrap.hidden = !neckViewToggle.checked;
+    /* Fretscape canvas refits to the freed space and redraws the neck via onRender. */
+    fretscape.render();
+  };
+  /**
+   * Applies chord-tone overlay checkbox to Fretscape.
+   */
+  var applyChordTones = function () {
+    fretscape.setChordToneOverlay(chordTonesToggle ? !!chordTonesToggle.checked : true);
+  };
+  /**
+   * Applies 5x1 drag constraint checkbox to Fretscape.
+   */
+  var applyDragConstraint = function () {
+    fretscape.setDragConstraintSlope(dragConstraintToggle ? !!dragConstraintToggle.checked : false);
+  };
+  /**
+   * Returns current workspace: lesson-style settings plus tempo, view toggles and brick layout.
+   */
+  var getWorkspace = function () {
+    var readSelect = function (select) {
+      return select ? select.value : undefined;
+    };
+    var readToggle = function (toggle) {
+      return toggle ? !!toggle.checked : undefined;
+    };
+    return {
+      key: readSelect(keySelect),
+      tuning: readSelect(tuningSelect),
+      scale: readSelect(scaleSelect),
+      progression: readSelect(progressionSelect),
+      bass: readSelect(playbackModeSelect),
+      strum: readSelect(strumPatternSelect),
+      riff: readSelect(riffSelect),
+      drums: readSelect(drumPatternSelect),
+      bpm: bpmSelect ? parseInt(bpmSelect.value, 10) : undefined,
+      countIn: fretscape.getCountInBars(),
+      loop: fretscape.getLoopRange(),
+      ramp: fretscape.getTempoRamp(),
+      bricks: fretscape.getBrickLayout(),
+      leftHanded: isHorizontallyMirrored,
+      verticalMirror: isVerticallyMirrored,
+      panZoom: readToggle(panZoomToggle),
+      neckView: readToggle(neckViewToggle),
+      chordTones: readToggle(chordTonesToggle),
+      dragConstraint: readToggle(dragConstraintToggle),
+      midiRouting: readSelect(midiRoutingSelect),
+      midiChannels: midiOutput.getChannels(),
+      mixer: fretscape.getAudioEngine().getMixer(),
+      voices: fretscape.getPartVoices()
     };
-    syncHandednessButton();
+  };
+  /**
+   * Saves the current workspace. Skipped while a saved workspace is being applied or still waits for the data loads.
+   */
+  var saveWorkspace = function () {
+    if (isRestoringWorkspace) return;
+    sessionStore.saveWorkspace(getWorkspace());
+  };
+  /**
+   * Applies a saved or imported workspace through the normal control paths, then saves the result.
+   */
+  var restoreWorkspace = function (workspace) {
+    if (!workspace) return;
+    isRestoringWorkspace = true;
+    applySettings(workspace);
+    if (typeof workspace.bpm === "number") {
+      setSelectValue(bpmSelect, String(workspace.bpm), applyBpmFromSelect);
+    }
+    if (typeof workspace.countIn === "number") {
+      setSelectValue(countInSelect, String(workspace.countIn), applyCountIn);
+    }
+    if (typeof workspace.leftHanded === "boolean") {
+      setHorizontallyMirrored(workspace.leftHanded);
+    }
+    setToggleValue(verticalMirrorToggle, workspace.verticalMirror, applyVerticalMirror);
+    setToggleValue(panZoomToggle, workspace.panZoom, applyPanZoom);
+    setToggleValue(neckViewToggle, workspace.neckView, applyNeckView);
+    setToggleValue(chordTonesToggle, workspace.chordTones, applyChordTones);
+    setToggleValue(dragConstraintToggle, workspace.dragConstraint, applyDragConstraint);
+    setSelectValue(midiRoutingSelect, workspace.midiRouting, applyMidiRouting);
+    setMidiChannelsValue(workspace.midiChannels);
+    setMixerValue(workspace.mixer);
+    setVoicesValue(workspace.voices);
+    isRestoringWorkspace = false;
+    saveWorkspace();
+  };
+  /**
+   * Offers a blob as a file download.
+   */
+  var downloadBlob = function (blob, fileName) {
+    var url = URL.createObjectURL(blob);
+    var link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    window.setTimeout(function () {
+      URL.revokeObjectURL(url);
+    }, 0);
+  };
+  /**
+   * Downloads the workspace and riff library as one JSON file.
+   */
+  var exportSession = function () {
+    var bundle = sessionStore.exportBundle(getWorkspace());
+    downloadBlob(new Blob([JSON.stringify(bundle, null, 2)], { type: "application/json" }), "fretbrick-session.json");
+  };
+  /**
+   * Opens a recorded or imported take in the take editor (or saves it straight away without one).
+   */
+  var openTake = function (riff) {
+    if (!riff || !riff.events || !riff.events.length) return;
+    if (!takeEditor) {
+      addRiffToLibrary(riff);
+      return;
+    }
+    /* Open first so the timeline measures the visible panel. */
+    setTakeEditorOpen(true);
+    /* Free and imported takes have no chords to loop over; the editor offers whole bars instead. */
+    var isFreeTake = !riff.backing || !riff.backing.progressionId;
+    takeEditor.setTake(riff, isFreeTake ? [] : fretscape.getProgressionChordBeats(), fretscape.getTimeSignature().beats);
+  };
+  /**
+   * Converts the chosen track of the imported MIDI file into a riff and opens it as a take.
+   */
+  var applyMidiImportPart = function () {
+    if (!midiImportReader || !midiImportPartSelect) return;
+    var partIndex = parseInt(midiImportPartSelect.value, 10);
+    var riff = fretscape.midiNotesToRiff(midiImportReader.getNotes(partIndex), midiImportReader.bpm, midiImportFileName);
+    if (!riff) {
+      alert("No notes in this track fit the fretspace.");
+      return;
+    }
+    openTake(riff);
+  };
+  /**
+   * Reads a .mid file, lists its tracks with notes (drum tracks last) and imports the first one.
+   */
+  var importMidiFile = function (file) {
+    var reader = new FileReader();
+    reader.onload = function () {
+      try {
+        midiImportReader = new MidiFileReader(new Uint8Array(reader.result));
+      } catch (error) {
+        console.warn("MIDI import failed.", error);
+        alert("Could not import MIDI file: " + error.message);
+        return;
+      }
+      midiImportFileName = file.name.replace(/\.midi?$/i, "");
+      var parts = midiImportReader.getParts().filter(function (part) { return part.noteCount > 0; });
+      parts.sort(function (a, b) { return (a.isDrums ? 1 : 0) - (b.isDrums ? 1 : 0); });
+      if (!parts.length) {
+        alert("This MIDI file has no notes.");
+        return;
+      }
+      while (midiImportPartSelect.firstChild) {
+        midiImportPartSelect.removeChild(midiImportPartSelect.firstChild);
+      }
+      for (var i = 0; i < parts.length; i++) {
+        var option = document.createElement("option");
+        option.value = String(parts[i].index);
+        option.textContent = parts[i].name + " - " + parts[i].noteCount + " notes";
+        midiImportPartSelect.appendChild(option);
+      }
+      if (midiImportPartField) midiImportPartField.hidden = false;
+      applyMidiImportPart();
+    };
+    reader.readAsArrayBuffer(file);
+  };
+  /**
+   * Returns how many progression loops exports render (1-64, from the Loops field).
+   */
+  var getExportLoops = function () {
+    var loops = midiExportLoopsInput ? parseInt(midiExportLoopsInput.value, 10) : 4;
+    return Math.max(1, Math.min(64, loops || 1));
+  };
+  /**
+   * Returns the base file name for exports: the selected progression, or "fretbrick".
+   */
+  var getExportName = function () {
+    return progressionSelect && progressionSelect.value ? progressionSelect.value : "fretbrick";
+  };
+  /**
+   * Downloads the current setup rendered for the chosen number of loops as a Standard MIDI File,
+   * on the MIDI output's part channels.
+   */
+  var exportMidiFile = function () {
+    var bytes = fretscape.renderMidiFile(getExportLoops(), midiOutput.getChannels());
+    if (!bytes) {
+      alert("Choose a chord progression to export.");
+      return;
+    }
+    downloadBlob(new Blob([bytes], { type: "audio/midi" }), getExportName() + ".mid");
+  };
+  /**
+   * Returns the tab of the selected riff (or bass run) over the progression for the chosen loops, or null
+   * without a progression. The title names the riff and the progression.
+   */
+  var renderTab = function () {
+    var riff = riffSelect ? getRiffById(riffSelect.value) : null;
+    var progressionName = progressionSelect && progressionSelect.selectedIndex >= 0
+      ? progressionSelect.options[progressionSelect.selectedIndex].textContent : "";
+    var title = (riff && riff.name ? riff.name : "Bass run") + (progressionName ? " over " + progressionName : "");
+    return fretscape.renderTab(getExportLoops(), title);
+  };
+  /**
+   * Redraws the tab view from the current setup while it is open.
+   */
+  var refreshTabView = function () {
+    if (!tabViewWrap || tabViewWrap.hidden || !tabText) return;
+    tabText.textContent = renderTab() || "Choose a chord progression to see its tab.";
+  };
+  /**
+   * Shows or hides the tab view.
+   */
+  var setTabViewOpen = function (isOpen) {
+    if (!tabViewWrap) return;
+    tabViewWrap.hidden = !isOpen;
+    if (tabViewToggle) tabViewToggle.setAttribute("aria-pressed", isOpen ? "true" : "false");
+    refreshTabView();
+    fretscape.render();
+  };
+  /**
+   * Prints the tab view on its own (see the print-tab styles).
+   */
+  var printTab = function () {
+    document.body.classList.add("print-tab");
+    window.print();
+    document.body.classList.remove("print-tab");
+  };
+  /**
+   * Downloads the tab as a plain text file.
+   */
+  var exportTab = function () {
+    var text = renderTab();
+    if (!text) {
+      alert("Choose a chord progression to export.");
+      return;
+    }
+    downloadBlob(new Blob([text], { type: "text/plain" }), getExportName() + "-tab.txt");
+  };
+  /**
+   * Shows or hides the tab import panel.
+   */
+  var setTabImportOpen = function (isOpen) {
+    if (!tabImportWrap) return;
+    tabImportWrap.hidden = !isOpen;
+    if (tabImportToggle) tabImportToggle.setAttribute("aria-pressed", isOpen ? "true" : "false");
+    fretscape.render();
+  };
+  /**
+   * Converts the pasted tab into a riff and opens it in the riff editor (or saves it without one).
+   */
+  var importTab = function () {
+    var reader;
+    try {
+      reader = new TabReader(tabImportText.value, fretscape.getTimeSignature().beats);
+    } catch (error) {
+      alert("Could not read tab: " + error.message);
+      return;
+    }
+    var stringCount = fretscape.getTuning().getStringCount();
+    if (reader.getStringCount() !== stringCount) {
+      alert("This tab has " + reader.getStringCount() + " strings but the tuning has " + stringCount +
+        ". Choose a matching tuning first.");
+      return;
+    }
+    var riff = fretscape.tabNotesToRiff(reader.getNotes(), reader.getStepsPerBeat(), reader.getLengthBeats());
+    if (!riff) {
+      alert("No notes in this tab fit the fretspace.");
+      return;
+    }
+    setTabImportOpen(false);
+    if (!riffEditor) {
+      addRiffToLibrary(riff);
+      return;
+    }
+    setRiffEditorOpen(true);
+    riffEditor.setRiff(riff);
+  };
+  /**
+   * Reads an exported session file: its riffs join the library and its workspace is applied.
+   */
+  var importSessionFile = function (file) {
+    var reader = new FileReader();
+    reader.onload = function () {
+      var imported;
+      try {
+        imported = sessionStore.importBundle(String(reader.result));
+      } catch (error) {
+        console.warn("Session import failed.", error);
+        alert("Could not import session file: " + error.message);
+        return;
+      }
+      mergeRiffs(imported.riffs);
+      restoreWorkspace(imported.workspace);
+    };
+    reader.readAsText(file);
+  };
+  /**
+   * Lists MIDI inputs after "Off" and "All inputs", keeping the chosen input while it stays connected.
+   */
+  var populateMidiInputSelect = function (inputs) {
+    if (!midiInputSelect) return;
+    var selected = midiInputSelect.value;
+    while (midiInputSelect.options.length > 2) {
+      midiInputSelect.removeChild(midiInputSelect.options[2]);
+    }
+    for (var i = 0; i < inputs.length; i++) {
+      var option = document.createElement("option");
+      option.value = inputs[i].id;
+      option.textContent = inputs[i].name;
+      midiInputSelect.appendChild(option);
+    }
+    midiInputSelect.value = selected;
+    if (midiInputSelect.value !== selected) {
+      midiInputSelect.value = "all";
+      midiInput.setInputId("");
+    }
+  };
+  /**
+   * Applies MIDI input dropdown: "off" stops listening, otherwise asks for MIDI access and listens to
+   * every input ("all") or the chosen one.
+   */
+  var applyMidiInput = function () {
+    if (!midiInputSelect) return;
+    var value = midiInputSelect.value;
+    fretscape.releaseAllMidiNotes();
+    if (value === "off") {
+      midiInput.disable();
+      return;
+    }
+    midiInput.setInputId(value === "all" ? "" : value);
+    midiInput.enable().catch(function (error) {
+      console.warn("MIDI input unavailable.", error);
+      midiInputSelect.value = "off";
+    });
+  };
+  /**
+   * Lists MIDI outputs after "Off", keeping the chosen output while it stays connected.
+   */
+  var populateMidiOutputSelect = function (outputs) {
+    if (!midiOutputSelect) return;
+    var selected = midiOutputSelect.value;
+    while (midiOutputSelect.options.length > 1) {
+      midiOutputSelect.removeChild(midiOutputSelect.options[1]);
+    }
+    for (var i = 0; i < outputs.length; i++) {
+      var option = document.createElement("option");
+      option.value = outputs[i].id;
+      option.textContent = outputs[i].name;
+      midiOutputSelect.appendChild(option);
+    }
+    midiOutputSelect.value = selected;
+    if (midiOutputSelect.value !== selected) midiOutputSelect.value = "off";
+  };
+  /**
+   * Applies MIDI output dropdown: the first use asks for MIDI access and lists the outputs to choose from.
+   */
+  var applyMidiOutput = function () {
+    if (!midiOutputSelect) return;
+    var value = midiOutputSelect.value;
+    midiOutput.setOutputId(value === "off" ? "" : value);
+  };
+  /**
+   * Applies playback routing and part channels to the MIDI output, writing clamped channels back.
+   */
+  var applyMidiRouting = function () {
+    midiOutput.setRouting(midiRoutingSelect ? midiRoutingSelect.value : "both");
+    for (var part in midiChannelInputs) {
+      if (!midiChannelInputs.hasOwnProperty(part) || !midiChannelInputs[part]) continue;
+      midiOutput.setChannel(part, midiChannelInputs[part].value);
+      midiChannelInputs[part].value = String(midiOutput.getChannels()[part]);
+    }
+  };
+  /**
+   * Sets part channels from a saved { bass, strum, riff, drums } map and applies them.
+   */
+  var setMidiChannelsValue = function (channels) {
+    if (!channels || typeof channels !== "object") return;
+    for (var part in midiChannelInputs) {
+      if (!midiChannelInputs.hasOwnProperty(part) || !midiChannelInputs[part]) continue;
+      if (typeof channels[part] === "number") midiChannelInputs[part].value = String(channels[part]);
+    }
+    applyMidiRouting();
+  };
+  /**
+   * Applies mixer sliders and mute/solo boxes to the audio engine (sliders run 0-100, pan -100 to 100) and
+   * strip voices to the fretspace.
+   */
+  var applyMixer = function () {
+    var audioEngine = fretscape.getAudioEngine();
+    if (mixerMasterInput) audioEngine.setMasterVolume(mixerMasterInput.value / 100);
+    for (var part in mixerInputs) {
+      if (!mixerInputs.hasOwnProperty(part)) continue;
+      var strip = mixerInputs[part];
+      if (strip.volume) audioEngine.setVolume(part, strip.volume.value / 100);
+      if (strip.pan) audioEngine.setPan(part, strip.pan.value / 100);
+      if (strip.mute) audioEngine.setMute(part, strip.mute.checked);
+      if (strip.solo) audioEngine.setSolo(part, strip.solo.checked);
+      if (strip.voice) fretscape.setPartVoice(part, strip.voice.value);
+    }
+  };
+  /**
+   * Sets mixer controls from saved settings (AudioEngine.getMixer) and applies them.
+   */
+  var setMixerValue = function (mixer) {
+    if (!mixer || typeof mixer !== "object") return;
+    if (mixerMasterInput && typeof mixer.master === "number") {
+      mixerMasterInput.value = String(Math.round(mixer.master * 100));
+    }
+    var strips = mixer.strips && typeof mixer.strips === "object" ? mixer.strips : {};
+    for (var part in mixerInputs) {
+      if (!mixerInputs.hasOwnProperty(part) || !strips[part]) continue;
+      var strip = mixerInputs[part];
+      var saved = strips[part];
+      if (strip.volume && typeof saved.volume === "number") strip.volume.value = String(Math.round(saved.volume * 100));
+      if (strip.pan && typeof saved.pan === "number") strip.pan.value = String(Math.round(saved.pan * 100));
+      if (strip.mute && typeof saved.mute === "boolean") strip.mute.checked = saved.mute;
+      if (strip.solo && typeof saved.solo === "boolean") strip.solo.checked = saved.solo;
+    }
+    applyMixer();
+  };
+  /**
+   * Sets strip voice dropdowns from a saved { part: voice id } map and applies them.
+   */
+  var setVoicesValue = function (voices) {
+    if (!voices || typeof voices !== "object") return;
+    for (var part in mixerInputs) {
+      if (!mixerInputs.hasOwnProperty(part) || !mixerInputs[part].voice) continue;
+      setSelectValue(mixerInputs[part].voice, voices[part], applyMixer);
+    }
+  };
+  setHorizontallyMirrored(false);
+  if (handednessToggle) {
     handednessToggle.addEventListener("click", function () {
-      isHorizontallyMirrored = !isHorizontallyMirrored;
-      fretscape.setLeftHanded(isHorizontallyMirrored);
-      syncHandednessButton();
+      setHorizontallyMirrored(!isHorizontallyMirrored);
+      saveWorkspace();
     });
   }
+  applyVerticalMirror();
   if (verticalMirrorToggle) {
-    fretscape.setVerticalMirrored(!!verticalMirrorToggle.checked);
-    verticalMirrorToggle.addEventListener("change", function () {
-      isVerticallyMirrored = !!verticalMirrorToggle.checked;
-      fretscape.setVerticalMirrored(isVerticallyMirrored);
-    });
-  } else {
-    fretscape.setVerticalMirrored(false);
+    verticalMirrorToggle.addEventListener("change", applyVerticalMirror);
   }
+  applyPanZoom();
   if (panZoomToggle) {
-    fretscape.setTwoFingerPanZoomEnabled(!!panZoomToggle.checked);
-    panZoomToggle.addEventListener("change", function () {
-      fretscape.setTwoFingerPanZoomEnabled(!!panZoomToggle.checked);
-    });
-  } else {
-    fretscape.setTwoFingerPanZoomEnabled(true);
+    panZoomToggle.addEventListener("change", applyPanZoom);
+  }
+  if (neckViewToggle && neckWrap) {
+    neckWrap.hidden = !neckViewToggle.checked;
+    neckViewToggle.addEventListener("change", applyNeckView);
+  }
+  applyChordTones();
+  if (chordTonesToggle) {
+    chordTonesToggle.addEventListener("change", applyChordTones);
   }
+  applyDragConstraint();
   if (dragConstraintToggle) {
-    fretscape.setDragConstraintSlope(!!dragConstraintToggle.checked);
-    dragConstraintToggle.addEventListener("change", function () {
-      fretscape.setDragConstraintSlope(!!dragConstraintToggle.checked);
+    dragConstraintToggle.addEventListener("change", applyDragConstraint);
+  }
+  /* Control change events bubble here after their own handlers ran, so one listener saves them all. */
+  document.addEventListener("change", saveWorkspace);
+  /* The same changes (key, riff, progression, tuning) redraw an open tab view. */
+  document.addEventListener("change", refreshTabView);
+  fretscape.onBricksChange = saveWorkspace;
+  if (midiExportButton) {
+    midiExportButton.addEventListener("click", exportMidiFile);
+  }
+  if (tabViewToggle && tabViewWrap) {
+    tabViewToggle.addEventListener("click", function () {
+      setTabViewOpen(tabViewWrap.hidden);
     });
   }
-  if (playbackModeSelect) {
-    fretscape.setProgressionPlaybackMode(playbackModeSelect.value || "root");
-    playbackModeSelect.addEventListener("change", function () {
-      fretscape.setProgressionPlaybackMode(playbackModeSelect.value);
-      syncProgressionPlayButton();
+  if (tabPrintButton) {
+    tabPrintButton.addEventListener("click", printTab);
+  }
+  if (tabDownloadButton) {
+    tabDownloadButton.addEventListener("click", exportTab);
+  }
+  if (tabImportToggle && tabImportWrap && tabImportText) {
+    tabImportToggle.addEventListener("click", function () {
+      setTabImportOpen(tabImportWrap.hidden);
+    });
+    tabImportText.addEventListener("change", function (e) {
+      /* Pasted tab is not a workspace setting. */
+      e.stopPropagation();
+    });
+  }
+  if (tabImportConvertButton && tabImportText) {
+    tabImportConvertButton.addEventListener("click", importTab);
+  }
+  if (sessionExportButton) {
+    sessionExportButton.addEventListener("click", exportSession);
+  }
+  if (midiImportButton && midiImportInput && midiImportPartSelect) {
+    midiImportButton.addEventListener("click", function () {
+      midiImportInput.click();
+    });
+    midiImportInput.addEventListener("change", function (e) {
+      /* File inputs are not workspace settings. */
+      e.stopPropagation();
+      var file = midiImportInput.files && midiImportInput.files[0];
+      midiImportInput.value = "";
+      if (file) importMidiFile(file);
+    });
+    midiImportPartSelect.addEventListener("change", function (e) {
+      e.stopPropagation();
+      applyMidiImportPart();
+    });
+  }
+  if (sessionImportButton && sessionImportInput) {
+    sessionImportButton.addEventListener("click", function () {
+      sessionImportInput.click();
+    });
+    sessionImportInput.addEventListener("change", function (e) {
+      /* Stop the save-on-change listener; the import saves once applied. */
+      e.stopPropagation();
+      var file = sessionImportInput.files && sessionImportInput.files[0];
+      sessionImportInput.value = "";
+      if (file) importSessionFile(file);
     });
-  } else {
-    fretscape.setProgressionPlaybackMode("root");
+  }
+  applySelectedPlaybackMode();
+  if (playbackModeSelect) {
+    playbackModeSelect.addEventListener("change", applySelectedPlaybackMode);
   }
   if (strumPatternSelect) {
     strumPatternSelect.addEventListener("change", function () {
       applySelectedStrumPattern();
       syncProgressionPlayButton();
     });
-    loadStrums().then(function (patterns) {
+    dataLoads.push(loadStrums().then(function (patterns) {
       strumPatterns = patterns;
       populateStrumPatternSelect(strumPatterns);
       strumPatternSelect.value = "";
       applySelectedStrumPattern();
-    });
+    }));
   } else {
     fretscape.setStrumPattern(null);
   }
@@ -365,17 +1329,25 @@
   } else {
     fretscape.setProgressionBpm(100);
   }
+  if (countInSelect) {
+    countInSelect.addEventListener("change", applyCountIn);
+  }
+  applyCountIn();
+  populateLoopRangeSelects(null);
+  if (loopStartSelect && loopEndSelect) {
+    loopStartSelect.addEventListener("change", applyLoopRange);
+    loopEndSelect.addEventListener("change", applyLoopRange);
+  }
+  var rampControls = [rampToggle, rampStartInput, rampStepInput, rampEveryInput, rampTargetInput];
+  for (var rc = 0; rc < rampControls.length; rc++) {
+    if (rampControls[rc]) rampControls[rc].addEventListener("change", applyTempoRamp);
+  }
+  applyTempoRamp();
+  fretscape.onTempoChange = showLiveBpm;
   fretscape.applyChordProgression(null);
   fretscape.onProgressionPlaybackStateChange = syncProgressionPlayButton;
-  fretscape.onRiffRecorded = function (riff) {
-    if (!riff || !riff.notes) return;
-    riffs.push(riff);
-    populateRiffSelect(riffs);
-    if (riffSelect) {
-      riffSelect.value = riff.id;
-      applySelectedRiff();
-    }
-  };
+  fretscape.onRiffRecorded = openTake;
+  fretscape.onCountInBeat = syncProgressionPlayButton;
   var recordToggle = document.getElementById("record-toggle");
   var isRecordArmed = false;
   var syncRecordButton = function () {
@@ -403,37 +1375,169 @@
       syncProgressionPlayButton();
     });
   }
+  if (metronomeToggle) {
+    metronomeToggle.addEventListener("click", function () {
+      if (fretscape.isMetronomePlaying()) {
+        fretscape.stopProgressionPlayback();
+      } else {
+        fretscape.startMetronome();
+      }
+      syncProgressionPlayButton();
+    });
+  }
+  if (freeRecordToggle) {
+    freeRecordToggle.addEventListener("click", function () {
+      if (fretscape.isFreeRecording()) {
+        fretscape.stopProgressionPlayback();
+      } else {
+        fretscape.startFreeRecording();
+      }
+      syncProgressionPlayButton();
+    });
+  }
   if (progressionSelect) {
     progressionSelect.addEventListener("change", applySelectedProgression);
-    loadChordProgressions().then(function (progressions) {
+    dataLoads.push(loadChordProgressions().then(function (progressions) {
       chordProgressions = progressions;
       populateProgressionSelect(chordProgressions);
       if (chordProgressions.length) {
         progressionSelect.value = chordProgressions[0].id;
       }
       applySelectedProgression();
-    });
+    }));
   }
   if (drumPatternSelect) {
     drumPatternSelect.addEventListener("change", applySelectedDrumPattern);
-    loadDrumbeats().then(function (drumbeats) {
+    dataLoads.push(loadDrumbeats().then(function (drumbeats) {
       drumEngine.setDrumbeats(drumbeats);
       populateDrumPatternSelect();
       var patterns = drumEngine.getPatterns();
       drumPatternSelect.value = patterns.length ? patterns[0].id : "";
       applySelectedDrumPattern();
-    });
+    }));
   }
   if (riffSelect) {
     riffSelect.addEventListener("change", applySelectedRiff);
-    loadRiffs().then(function (riffList) {
+    dataLoads.push(loadRiffs().then(function (riffList) {
       riffs = riffList;
-      populateRiffSelect(riffs);
+      mergeRiffs(sessionStore.getRiffs());
       riffSelect.value = "";
       applySelectedRiff();
-    });
+    }));
   } else {
     fretscape.setRiffPattern(null);
   }
+  if (riffEditor) {
+    riffEditor.onPreview = previewRiff;
+    riffEditor.onSave = addRiffToLibrary;
+    riffEditor.onClose = function () {
+      setRiffEditorOpen(false);
+    };
+  }
+  if (takeEditor) {
+    takeEditor.onPreview = previewRiff;
+    takeEditor.onSave = function (riff) {
+      setTakeEditorOpen(false);
+      addRiffToLibrary(riff);
+    };
+    takeEditor.onDiscard = function () {
+      setTakeEditorOpen(false);
+    };
+  }
+  if (riffEditToggle && riffEditor) {
+    riffEditToggle.addEventListener("click", function () {
+      setRiffEditorOpen(riffEditorWrap.hidden);
+    });
+  }
+  fretscape.onPracticeHit = showPracticeHit;
+  fretscape.onPracticeSummary = function (summary) {
+    if (practiceStatus) practiceStatus.textContent = "Run: " + formatPracticeSummary(summary);
+  };
+  if (practiceToggle) {
+    practiceToggle.addEventListener("change", function () {
+      fretscape.setPracticeMode(!!practiceToggle.checked);
+      if (practiceStatus) practiceStatus.textContent = "";
+      syncProgressionPlayButton();
+    });
+  }
+  lessonPlayer.onStepChange = applyLessonStep;
+  lessonPlayer.onProgressChange = function (text) {
+    if (lessonProgress) lessonProgress.textContent = text;
+  };
+  midiInput.onNoteOn = function (note) {
+    fretscape.pressMidiNote(note);
+  };
+  midiInput.onNoteOff = function (note) {
+    fretscape.releaseMidiNote(note);
+  };
+  midiInput.onInputsChange = populateMidiInputSelect;
+  if (midiInputSelect) {
+    midiInputSelect.disabled = !MidiInput.isSupported();
+    midiInputSelect.addEventListener("change", applyMidiInput);
+  }
+  midiOutput.onOutputsChange = populateMidiOutputSelect;
+  if (midiOutputSelect) {
+    midiOutputSelect.disabled = !MidiInput.isSupported();
+    /* Outputs are listed once access is granted, so ask when the dropdown is first opened. */
+    midiOutputSelect.addEventListener("focus", function () {
+      midiOutput.enable().catch(function (error) {
+        console.warn("MIDI output unavailable.", error);
+      });
+    });
+    midiOutputSelect.addEventListener("change", applyMidiOutput);
+  }
+  if (midiRoutingSelect) {
+    midiRoutingSelect.addEventListener("change", applyMidiRouting);
+  }
+  for (var channelPart in midiChannelInputs) {
+    if (midiChannelInputs.hasOwnProperty(channelPart) && midiChannelInputs[channelPart]) {
+      midiChannelInputs[channelPart].addEventListener("change", applyMidiRouting);
+    }
+  }
+  applyMidiRouting();
+  /* Sliders apply while dragging; their change on release saves the workspace like any other control. */
+  if (mixerMasterInput) {
+    mixerMasterInput.addEventListener("input", applyMixer);
+  }
+  for (var stripPart in mixerInputs) {
+    if (!mixerInputs.hasOwnProperty(stripPart)) continue;
+    if (mixerInputs[stripPart].volume) mixerInputs[stripPart].volume.addEventListener("input", applyMixer);
+    if (mixerInputs[stripPart].pan) mixerInputs[stripPart].pan.addEventListener("input", applyMixer);
+    if (mixerInputs[stripPart].mute) mixerInputs[stripPart].mute.addEventListener("change", applyMixer);
+    if (mixerInputs[stripPart].solo) mixerInputs[stripPart].solo.addEventListener("change", applyMixer);
+    if (mixerInputs[stripPart].voice) mixerInputs[stripPart].voice.addEventListener("change", applyMixer);
+  }
+  applyMixer();
+  fretscape.onNotePressed = function (note) {
+    lessonPlayer.handleNotePressed(note.label);
+  };
+  fretscape.onProgressionLoop = function () {
+    lessonPlayer.handleProgressionLoop();
+  };
+  if (lessonSelect) {
+    lessonSelect.addEventListener("change", function () {
+      lessonPlayer.startLesson(lessonSelect.value);
+    });
+    dataLoads.push(loadLessons().then(function (lessons) {
+      lessonPlayer.setLessons(lessons);
+      populateLessonSelect();
+      lessonSelect.value = "";
+    }));
+  }
+  if (lessonPrevButton) {
+    lessonPrevButton.addEventListener("click", function () {
+      lessonPlayer.previousStep();
+    });
+  }
+  if (lessonNextButton) {
+    lessonNextButton.addEventListener("click", function () {
+      lessonPlayer.nextStep();
+    });
+  }
   syncProgressionPlayButton();
+  /* Saved workspace needs every dropdown filled first; saving stays off until then. */
+  Promise.all(dataLoads).then(function () {
+    isRestoringWorkspace = false;
+    restoreWorkspace(sessionStore.loadWorkspace());
+  });
 })();
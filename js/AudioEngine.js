@@ -0,0 +1,207 @@
+/**
+ * AudioEngine - Mixer for everything the app plays through Web Audio.
+ * Every voice connects to its part's channel strip (getInput) instead of the speakers; a strip is
+ * volume -> pan -> master bus, and the master bus runs through a limiter so stacked parts never clip.
+ * Parts: "bass" (bass runs), "strum", "riff" (lead lines and takes), "touch" (notes played on the
+ * fretspace or a MIDI controller) and "drums" (patterns and metronome). Any soloed strip silences the
+ * strips that are not soloed; mute always wins. The AudioContext is the transport's, so voices and the
+ * beat clock share one timeline. Without Web Audio every method is a no-op and getInput returns null.
+ */
+function AudioEngine(transport) {
+  this._transport = transport;
+  this._ctx = null;
+  this._master = null;   /* master gain node -> limiter -> destination */
+  this._nodes = {};      /* part -> { input (volume gain), panner } */
+  this._masterVolume = 1;
+  this._strips = {};
+  for (var i = 0; i < AudioEngine.PARTS.length; i++) {
+    this._strips[AudioEngine.PARTS[i]] = { volume: 1, pan: 0, mute: false, solo: false };
+  }
+}
+
+/** Channel strips in mixer order. */
+AudioEngine.PARTS = ["bass", "strum", "riff", "touch", "drums"];
+
+/** Limiter settings on the master bus: hard knee, high ratio, fast attack, just under full scale. */
+AudioEngine.LIMITER = { threshold: -3, knee: 0, ratio: 20, attack: 0.003, release: 0.25 };
+
+/** Seconds for volume, pan, mute and solo changes to settle, so moving a slider does not click. */
+AudioEngine.RAMP_SEC = 0.02;
+
+/**
+ * Returns the shared AudioContext (resumed if the browser suspended it), or null without Web Audio.
+ */
+AudioEngine.prototype.getContext = function () {
+  var ctx = this._transport ? this._transport.getAudioContext() : null;
+  if (ctx && ctx.state === "suspended" && ctx.resume) {
+    ctx.resume();
+  }
+  return ctx;
+};
+
+/**
+ * Returns the node a voice of part connects to, building the mixer graph on first use. Unknown parts go
+ * to the "touch" strip.
+ */
+AudioEngine.prototype.getInput = function (part) {
+  if (!this._build()) return null;
+  var node = this._nodes[part] || this._nodes.touch;
+  return node.input;
+};
+
+/**
+ * Sets a strip's volume (0..1, where 1 leaves voices at their own level).
+ */
+AudioEngine.prototype.setVolume = function (part, volume) {
+  if (!this._strips.hasOwnProperty(part)) return;
+  var v = parseFloat(volume);
+  if (isNaN(v)) return;
+  this._strips[part].volume = Math.max(0, Math.min(1, v));
+  this._applyGains();
+};
+
+/**
+ * Sets a strip's stereo position from -1 (left) to 1 (right).
+ */
+AudioEngine.prototype.setPan = function (part, pan) {
+  if (!this._strips.hasOwnProperty(part)) return;
+  var p = parseFloat(pan);
+  if (isNaN(p)) return;
+  this._strips[part].pan = Math.max(-1, Math.min(1, p));
+  var node = this._nodes[part];
+  if (node && node.panner) this._rampParam(node.panner.pan, this._strips[part].pan);
+};
+
+/**
+ * Mutes or unmutes a strip.
+ */
+AudioEngine.prototype.setMute = function (part, isMuted) {
+  if (!this._strips.hasOwnProperty(part)) return;
+  this._strips[part].mute = !!isMuted;
+  this._applyGains();
+};
+
+/**
+ * Solos or unsolos a strip.
+ */
+AudioEngine.prototype.setSolo = function (part, isSoloed) {
+  if (!this._strips.hasOwnProperty(part)) return;
+  this._strips[part].solo = !!isSoloed;
+  this._applyGains();
+};
+
+/**
+ * Sets master bus volume (0..1) ahead of the limiter.
+ */
+AudioEngine.prototype.setMasterVolume = function (volume) {
+  var v = parseFloat(volume);
+  if (isNaN(v)) return;
+  this._masterVolume = Math.max(0, Math.min(1, v));
+  if (this._master) this._rampParam(this._master.gain, AudioEngine._toGain(this._masterVolume));
+};
+
+/**
+ * Returns mixer settings as { master, strips: { part: { volume, pan, mute, solo } } } for saving.
+ */
+AudioEngine.prototype.getMixer = function () {
+  var strips = {};
+  for (var part in this._strips) {
+    if (!this._strips.hasOwnProperty(part)) continue;
+    var strip = this._strips[part];
+    strips[part] = { volume: strip.volume, pan: strip.pan, mute: strip.mute, solo: strip.solo };
+  }
+  return { master: this._masterVolume, strips: strips };
+};
+
+/**
+ * Applies saved mixer settings (see getMixer); missing values keep their current setting.
+ */
+AudioEngine.prototype.setMixer = function (mixer) {
+  if (!mixer || typeof mixer !== "object") return;
+  if (typeof mixer.master === "number") this.setMasterVolume(mixer.master);
+  var strips = mixer.strips && typeof mixer.strips === "object" ? mixer.strips : {};
+  for (var part in strips) {
+    if (!strips.hasOwnProperty(part) || !this._strips.hasOwnProperty(part) || !strips[part]) continue;
+    if (typeof strips[part].volume === "number") this.setVolume(part, strips[part].volume);
+    if (typeof strips[part].pan === "number") this.setPan(part, strips[part].pan);
+    if (typeof strips[part].mute === "boolean") this.setMute(part, strips[part].mute);
+    if (typeof strips[part].solo === "boolean") this.setSolo(part, strips[part].solo);
+  }
+};
+
+/**
+ * Returns true when a part can be heard with the current mute and solo settings.
+ */
+AudioEngine.prototype.isAudible = function (part) {
+  var strip = this._strips[part];
+  if (!strip || strip.mute) return false;
+  for (var other in this._strips) {
+    if (this._strips.hasOwnProperty(other) && this._strips[other].solo) return strip.solo;
+  }
+  return true;
+};
+
+/**
+ * Builds master bus and strips on the shared context once. Returns false without Web Audio.
+ */
+AudioEngine.prototype._build = function () {
+  if (this._master) return true;
+  var ctx = this.getContext();
+  if (!ctx) return false;
+  this._ctx = ctx;
+  var limiter = ctx.createDynamicsCompressor();
+  limiter.threshold.value = AudioEngine.LIMITER.threshold;
+  limiter.knee.value = AudioEngine.LIMITER.knee;
+  limiter.ratio.value = AudioEngine.LIMITER.ratio;
+  limiter.attack.value = AudioEngine.LIMITER.attack;
+  limiter.release.value = AudioEngine.LIMITER.release;
+  limiter.connect(ctx.destination);
+  this._master = ctx.createGain();
+  this._master.gain.value = AudioEngine._toGain(this._masterVolume);
+  this._master.connect(limiter);
+  for (var i = 0; i < AudioEngine.PARTS.length; i++) {
+    var part = AudioEngine.PARTS[i];
+    var input = ctx.createGain();
+    /* Older browsers lack StereoPannerNode; strips there stay centred. */
+    var panner = typeof ctx.createStereoPanner === "function" ? ctx.createStereoPanner() : null;
+    if (panner) {
+      panner.pan.value = this._strips[part].pan;
+      input.connect(panner);
+      panner.connect(this._master);
+    } else {
+      input.connect(this._master);
+    }
+    this._nodes[part] = { input: input, panner: panner };
+  }
+  this._applyGains();
+  return true;
+};
+
+/**
+ * Sets every strip's gain from volume, mute and solo.
+ */
+AudioEngine.prototype._applyGains = function () {
+  for (var part in this._nodes) {
+    if (!this._nodes.hasOwnProperty(part)) continue;
+    var gain = this.isAudible(part) ? AudioEngine._toGain(this._strips[part].volume) : 0;
+    this._rampParam(this._nodes[part].input.gain, gain);
+  }
+};
+
+/**
+ * Moves an AudioParam to value over RAMP_SEC.
+ */
+AudioEngine.prototype._rampParam = function (param, value) {
+  if (!this._ctx || !param) return;
+  var now = this._ctx.currentTime;
+  param.cancelScheduledValues(now);
+  param.setValueAtTime(param.value, now);
+  param.linearRampToValueAtTime(value, now + AudioEngine.RAMP_SEC);
+};
+
+/**
+ * Maps a 0..1 slider volume to gain on a squared curve, so the slider's travel sounds even.
+ */
+AudioEngine._toGain = function (volume) {
+  return volume * volume;
+};
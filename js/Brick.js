@@ -1,15 +1,28 @@
 /**
  * Brick - Renders a 5x3 grid of circular cells. Circle centers at (c,r) * cellWidth.
+ * The grid holds all twelve semitones around the "1"; the brick's Scale spells and colours them.
  */
-function Brick() {
+function Brick(scale) {
   this.cellWidth = 80;
-  this.cellData = [
-    ["7", "b7", "6", "b6", "5"],
-    ["3", "b3", "2", "b2", "1"],
-    ["6", "b6", "5", "b5", "4"]
-  ];
+  this.scale = null;
+  this.cellData = [];
+  this.setScale(scale || Scale.fromId("major"));
 }
 
+/** Cell layout with every semitone spelled as in the major scale. */
+Brick.CHROMATIC_LABELS = [
+  ["7", "b7", "6", "b6", "5"],
+  ["3", "b3", "2", "b2", "1"],
+  ["6", "b6", "5", "b5", "4"]
+];
+
+/** Interval names above a chord root for cells outside the current chord. */
+Brick.INTERVAL_LABELS = ["1", "b2", "2", "b3", "3", "4", "b5", "5", "b6", "6", "b7", "7"];
+
+/** Chord-tone overlay fills by role (see ChordSymbol.getToneLabels), and the opacity of other cells. */
+Brick.CHORD_TONE_FILLS = { root: "#c00", third: "#b35c00", fifth: "#1d3461", seventh: "#6a2c91", extra: "#1e5631" };
+Brick.DIMMED_ALPHA = 0.3;
+
 /**
  * Returns brick width in cellWidth units (cols).
  */
@@ -25,10 +38,10 @@ Brick.prototype.getHeightCw = function () {
 };
 
 /**
- * Returns a copy of this brick with same cellData.
+ * Returns a copy of this brick with same scale and cellData.
  */
 Brick.prototype.clone = function () {
-  var b = new Brick();
+  var b = new Brick(this.scale);
   b.cellData = [];
   for (var r = 0; r < this.cellData.length; r++) {
     b.cellData[r] = this.cellData[r].slice();
@@ -43,15 +56,57 @@ Brick.prototype.setCellWidth = function (w) {
   this.cellWidth = w;
 };
 
+/**
+ * Sets the scale and relabels cells with its spelling; cells outside the scale keep their major spelling.
+ */
+Brick.prototype.setScale = function (scale) {
+  this.scale = scale;
+  this.cellData = [];
+  for (var r = 0; r < Brick.CHROMATIC_LABELS.length; r++) {
+    this.cellData[r] = [];
+    for (var c = 0; c < Brick.CHROMATIC_LABELS[r].length; c++) {
+      var label = Brick.CHROMATIC_LABELS[r][c];
+      this.cellData[r][c] = scale.getLabel(ChordSymbol.degreeLabelToSemitone(label)) || label;
+    }
+  }
+};
+
+/**
+ * Returns fill/text colours for cell (r,c) from the scale: red root, scale colours in the scale, light otherwise.
+ */
+Brick.prototype.getCellStyle = function (r, c) {
+  return this.scale.getCellStyle(this.cellData[r][c]);
+};
+
+/**
+ * Returns { label, fill, textColor, alpha } for cell (r,c) under a chord-tone overlay
+ * { rootSemitone, tones } (chord root above the key's 1, tones from ChordSymbol.getToneLabels).
+ * Chord tones get their role colour; other cells keep the scale colours but are dimmed. Both are labelled
+ * as intervals from the chord root.
+ */
+Brick.prototype.getChordToneStyle = function (r, c, chordTones) {
+  var semitone = ChordSymbol.degreeLabelToSemitone(this.cellData[r][c]);
+  var interval = ((semitone - chordTones.rootSemitone) % 12 + 12) % 12;
+  var tone = chordTones.tones[interval];
+  if (tone) {
+    return { label: tone.label, fill: Brick.CHORD_TONE_FILLS[tone.role], textColor: Scale.IN_SCALE_TEXT, alpha: 1 };
+  }
+  var style = this.getCellStyle(r, c);
+  return { label: Brick.INTERVAL_LABELS[interval], fill: style.fill, textColor: style.textColor, alpha: Brick.DIMMED_ALPHA };
+};
+
 /**
  * Renders the brick to canvas. (x,y) is brick origin in pixels.
  * xStepPx and yStepPx control draw direction/spacing (default +cellWidth).
+ * options.rowOffsetsPx shifts each row horizontally (tuning kink compensation).
+ * options.chordTones switches cells to the chord-tone overlay (see getChordToneStyle).
  */
-Brick.prototype.render = function (ctx, x, y, xStepPx, yStepPx) {
+Brick.prototype.render = function (ctx, x, y, xStepPx, yStepPx, options) {
+  var opts = options || {};
+  var rowOffsetsPx = opts.rowOffsetsPx || [];
+  var rowOffset = function (r) { return typeof rowOffsetsPx[r] === "number" ? rowOffsetsPx[r] : 0; };
   var cols = this.cellData[0] ? this.cellData[0].length : 0;
   var rows = this.cellData.length;
-  var midCol = Math.floor(cols / 2);
-  var isBlackCol = function (c) { return c === 0 || c === midCol || c === cols - 1; };
   var stepX = (typeof xStepPx === "number") ? xStepPx : this.cellWidth;
   var stepY = (typeof yStepPx === "number") ? yStepPx : this.cellWidth;
   var radius = this.cellWidth * 0.4;
@@ -61,13 +116,19 @@ Brick.prototype.render = function (ctx, x, y, xStepPx, yStepPx) {
 
   if (cols > 0 && rows > 0) {
     var borderOffset = this.cellWidth * 0.5;
-    var firstCx = x;
-    var lastCx = x + (cols - 1) * stepX;
+    var minCx = Number.POSITIVE_INFINITY;
+    var maxCx = Number.NEGATIVE_INFINITY;
+    for (var br = 0; br < rows; br++) {
+      var rowFirstCx = x + rowOffset(br);
+      var rowLastCx = rowFirstCx + (cols - 1) * stepX;
+      minCx = Math.min(minCx, rowFirstCx, rowLastCx);
+      maxCx = Math.max(maxCx, rowFirstCx, rowLastCx);
+    }
     var firstCy = y;
     var lastCy = y + (rows - 1) * stepY;
-    var left = Math.min(firstCx, lastCx) - borderOffset;
+    var left = minCx - borderOffset;
     var top = Math.min(firstCy, lastCy) - borderOffset;
-    var width = Math.abs(lastCx - firstCx) + borderOffset * 2;
+    var width = maxCx - minCx + borderOffset * 2;
     var height = Math.abs(lastCy - firstCy) + borderOffset * 2;
     ctx.beginPath();
     ctx.rect(left, top, width, height);
@@ -76,14 +137,17 @@ Brick.prototype.render = function (ctx, x, y, xStepPx, yStepPx) {
     ctx.stroke();
   }
 
+  ctx.save();
   for (var r = 0; r < rows; r++) {
     for (var c = 0; c < this.cellData[r].length; c++) {
-      var cx = x + c * stepX;
+      var cx = x + rowOffset(r) + c * stepX;
       var cy = y + r * stepY;
-      var val = this.cellData[r][c];
-      var fillColor = val === "1" ? "#c00" : (isBlackCol(c) ? "#000" : "#f5f5f5");
-      var textColor = (val === "1" || isBlackCol(c)) ? "#fff" : "#333";
+      var style = opts.chordTones ? this.getChordToneStyle(r, c, opts.chordTones) : this.getCellStyle(r, c);
+      var val = style.label || this.cellData[r][c];
+      var fillColor = style.fill;
+      var textColor = style.textColor;
 
+      ctx.globalAlpha = typeof style.alpha === "number" ? style.alpha : 1;
       ctx.beginPath();
       ctx.arc(cx, cy, radius, 0, Math.PI * 2);
       ctx.fillStyle = fillColor;
@@ -99,4 +163,5 @@ Brick.prototype.render = function (ctx, x, y, xStepPx, yStepPx) {
       ctx.fillText(val, cx, cy);
     }
   }
+  ctx.restore();
 };
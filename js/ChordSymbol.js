@@ -0,0 +1,241 @@
+/**
+ * ChordSymbol - Parses a roman-numeral chord token from a progression into chord tones.
+ * Numeral case gives the triad ("V" major, "ii" minor) and #/b prefixes move the root ("bVII").
+ * Suffixes add quality and colour: "7", "maj7", "6", "9", "maj9", "°"/"dim", "°7", "ø"/"m7b5", "+"/"aug",
+ * "sus2", "sus4", "add9", "add11". After a slash, an arabic key degree is the bass note ("vi/3" puts the
+ * key's 3 in the bass) and a numeral makes a secondary chord ("V/V" is the V of V).
+ * Intervals are semitones above the chord root; the root itself is in semitones above the key's I.
+ * Plain numerals follow the major scale unless degreeSemitones (seven semitones for I..VII) says otherwise, so
+ * in a minor scale "III" sits on the b3. A numeral with #/b is always relative to the major scale, so "bVII"
+ * is a whole tone below I in every scale.
+ */
+function ChordSymbol(token, degreeSemitones) {
+  this.token = typeof token === "string" ? token.trim() : "";
+  this._degreeSemitones = (degreeSemitones && degreeSemitones.length === 7) ? degreeSemitones : ChordSymbol.MAJOR_SCALE;
+  this._isValid = false;
+  this._rootSemitone = 0;
+  this._third = 4;
+  this._fifth = 7;
+  this._seventh = null;
+  this._extras = [];
+  this._bassSemitone = null;
+  this._parse(this.token);
+}
+
+/** Major scale semitones for degrees I..VII and key degrees 1..7. */
+ChordSymbol.MAJOR_SCALE = [0, 2, 4, 5, 7, 9, 11];
+
+/** Roman numerals, longest first so "IV" and "VII" win over "I" and "V". */
+ChordSymbol.NUMERAL_PATTERN = /^(VII|VI|V|IV|III|II|I)/i;
+ChordSymbol.NUMERALS = ["I", "II", "III", "IV", "V", "VI", "VII"];
+
+/**
+ * Quality markers right after the numeral: { pattern, third, fifth, seventh? }. Without one the numeral's
+ * case picks a major or minor triad.
+ */
+ChordSymbol.QUALITIES = [
+  { pattern: /^(°7|o7|dim7)/, third: 3, fifth: 6, seventh: 9 },
+  { pattern: /^(ø7?|m7b5)/, third: 3, fifth: 6, seventh: 10 },
+  { pattern: /^(°|o|dim)/, third: 3, fifth: 6 },
+  { pattern: /^(\+|aug)/, third: 4, fifth: 8 },
+  { pattern: /^m(?!aj)/, third: 3, fifth: 7 }
+];
+
+/**
+ * Seventh and sixth markers: { pattern, seventh (semitones, null = none), extras }.
+ */
+ChordSymbol.SEVENTHS = [
+  { pattern: /^(maj9|M9|Δ9)/, seventh: 11, extras: [2] },
+  { pattern: /^(maj7|M7|Δ7?)/, seventh: 11, extras: [] },
+  { pattern: /^9/, seventh: 10, extras: [2] },
+  { pattern: /^7/, seventh: 10, extras: [] },
+  { pattern: /^6/, seventh: null, extras: [9] }
+];
+
+/** Added tones: "add9"/"add2" and "add11"/"add4". */
+ChordSymbol.ADDED_TONES = { "2": 2, "9": 2, "4": 5, "11": 5 };
+
+/** Interval names above a chord root for the chord-tone overlay, by semitone and role. */
+ChordSymbol.TONE_NAMES = {
+  third: { 2: "2", 3: "b3", 4: "3", 5: "4" },
+  fifth: { 6: "b5", 7: "5", 8: "#5" },
+  seventh: { 9: "bb7", 10: "b7", 11: "7" },
+  extra: { 2: "9", 5: "11", 9: "6" }
+};
+
+/**
+ * Returns a ChordSymbol for token, or null when the token is not a chord this parser understands.
+ */
+ChordSymbol.parse = function (token, degreeSemitones) {
+  var chord = new ChordSymbol(token, degreeSemitones);
+  return chord._isValid ? chord : null;
+};
+
+/**
+ * Reads leading #/b accidentals and returns { accidental, rest }.
+ */
+ChordSymbol._readAccidentals = function (text) {
+  var accidental = 0;
+  var rest = text;
+  while (rest.charAt(0) === "#" || rest.charAt(0) === "b") {
+    accidental += rest.charAt(0) === "#" ? 1 : -1;
+    rest = rest.slice(1);
+  }
+  return { accidental: accidental, rest: rest };
+};
+
+/**
+ * Reads an accidental-prefixed roman numeral: { semitone, isMinor, rest }, or null. Plain numerals sit on the
+ * given degree semitones; prefixed ones on the major scale, so the accidental is not applied on top of the scale's.
+ */
+ChordSymbol._readNumeral = function (text, degreeSemitones) {
+  var head = ChordSymbol._readAccidentals(text);
+  var match = ChordSymbol.NUMERAL_PATTERN.exec(head.rest);
+  if (!match) return null;
+  var numeral = match[1];
+  var degrees = head.accidental ? ChordSymbol.MAJOR_SCALE : degreeSemitones;
+  var semitone = degrees[ChordSymbol.NUMERALS.indexOf(numeral.toUpperCase())] + head.accidental;
+  return {
+    semitone: ((semitone % 12) + 12) % 12,
+    isMinor: numeral === numeral.toLowerCase(),
+    rest: head.rest.slice(numeral.length)
+  };
+};
+
+/**
+ * Reads a key degree label like "3" or "b7" into semitones above the key's I, or null.
+ */
+ChordSymbol.degreeLabelToSemitone = function (label) {
+  if (typeof label !== "string") return null;
+  var head = ChordSymbol._readAccidentals(label.trim());
+  if (!/^[1-7]$/.test(head.rest)) return null;
+  var semitone = ChordSymbol.MAJOR_SCALE[parseInt(head.rest, 10) - 1] + head.accidental;
+  return ((semitone % 12) + 12) % 12;
+};
+
+/**
+ * Parses "numeral[quality][seventh][sus][add...][/bass or /numeral]". Leaves _isValid false on anything else.
+ */
+ChordSymbol.prototype._parse = function (token) {
+  if (!token) return;
+  var slashIndex = token.indexOf("/");
+  var chordText = slashIndex >= 0 ? token.slice(0, slashIndex) : token;
+  var slashText = slashIndex >= 0 ? token.slice(slashIndex + 1) : "";
+  var numeral = ChordSymbol._readNumeral(chordText, this._degreeSemitones);
+  if (!numeral || (slashIndex >= 0 && !slashText)) return;
+  var rest = numeral.rest.replace(/\s+/g, "");
+  var third = numeral.isMinor ? 3 : 4;
+  var fifth = 7;
+  var seventh = null;
+  var extras = [];
+  var match;
+  for (var q = 0; q < ChordSymbol.QUALITIES.length; q++) {
+    match = ChordSymbol.QUALITIES[q].pattern.exec(rest);
+    if (!match) continue;
+    third = ChordSymbol.QUALITIES[q].third;
+    fifth = ChordSymbol.QUALITIES[q].fifth;
+    if (typeof ChordSymbol.QUALITIES[q].seventh === "number") seventh = ChordSymbol.QUALITIES[q].seventh;
+    rest = rest.slice(match[0].length);
+    break;
+  }
+  for (var s = 0; s < ChordSymbol.SEVENTHS.length; s++) {
+    match = ChordSymbol.SEVENTHS[s].pattern.exec(rest);
+    if (!match) continue;
+    var marker = ChordSymbol.SEVENTHS[s];
+    /* Diminished qualities bring their own seventh ("ø9" keeps the b7 of ø). */
+    if (seventh === null) seventh = marker.seventh;
+    extras = extras.concat(marker.extras);
+    rest = rest.slice(match[0].length);
+    break;
+  }
+  match = /^sus(2|4)?/.exec(rest);
+  if (match) {
+    third = match[1] === "2" ? 2 : 5;
+    rest = rest.slice(match[0].length);
+  }
+  while ((match = /^add(11|9|4|2)/.exec(rest))) {
+    extras.push(ChordSymbol.ADDED_TONES[match[1]]);
+    rest = rest.slice(match[0].length);
+  }
+  if (rest) return;
+  var rootSemitone = numeral.semitone;
+  if (slashText) {
+    var bass = ChordSymbol.degreeLabelToSemitone(slashText);
+    var target = bass === null ? ChordSymbol._readNumeral(slashText, this._degreeSemitones) : null;
+    if (bass !== null) {
+      this._bassSemitone = bass;
+    } else if (target && !target.rest) {
+      rootSemitone = (rootSemitone + target.semitone) % 12;
+    } else {
+      return;
+    }
+  }
+  this._rootSemitone = rootSemitone;
+  this._third = third;
+  this._fifth = fifth;
+  this._seventh = seventh;
+  this._extras = extras;
+  this._isValid = true;
+};
+
+/**
+ * Returns chord root in semitones above the key's I.
+ */
+ChordSymbol.prototype.getRootSemitone = function () {
+  return this._rootSemitone;
+};
+
+/**
+ * Returns the third (or the sus note that replaces it) above the root.
+ */
+ChordSymbol.prototype.getThirdInterval = function () {
+  return this._third;
+};
+
+/**
+ * Returns the fifth above the root: 7, or 6 diminished, 8 augmented.
+ */
+ChordSymbol.prototype.getFifthInterval = function () {
+  return this._fifth;
+};
+
+/**
+ * Returns the seventh above the root (9, 10 or 11), or null for chords without one.
+ */
+ChordSymbol.prototype.getSeventhInterval = function () {
+  return this._seventh;
+};
+
+/**
+ * Returns added tones above the root folded into one octave (6th = 9, add9 = 2, add11 = 5).
+ */
+ChordSymbol.prototype.getExtraIntervals = function () {
+  return this._extras.slice();
+};
+
+/**
+ * Returns the chord's tones keyed by semitones above the root: { interval: { label, role } }, role being
+ * "root", "third", "fifth", "seventh" or "extra". Labels name the interval from the chord root ("b3", "#5").
+ */
+ChordSymbol.prototype.getToneLabels = function () {
+  var tones = {};
+  tones[0] = { label: "1", role: "root" };
+  tones[this._third] = { label: ChordSymbol.TONE_NAMES.third[this._third], role: "third" };
+  tones[this._fifth] = { label: ChordSymbol.TONE_NAMES.fifth[this._fifth], role: "fifth" };
+  if (this._seventh !== null) {
+    tones[this._seventh] = { label: ChordSymbol.TONE_NAMES.seventh[this._seventh], role: "seventh" };
+  }
+  for (var i = 0; i < this._extras.length; i++) {
+    if (tones[this._extras[i]]) continue;
+    tones[this._extras[i]] = { label: ChordSymbol.TONE_NAMES.extra[this._extras[i]], role: "extra" };
+  }
+  return tones;
+};
+
+/**
+ * Returns the slash bass note above the root (0..11), or null when the root is the bass.
+ */
+ChordSymbol.prototype.getBassInterval = function () {
+  if (this._bassSemitone === null) return null;
+  return ((this._bassSemitone - this._rootSemitone) % 12 + 12) % 12;
+};
@@ -1,19 +1,26 @@
 /**
  * DrumEngine - Generates drum sounds from beat pattern letters with Web Audio.
- * Plays one beat at a time when called by app transport.
+ * Plays one beat at a time when called by app transport, at the clock time the transport hands out.
+ * Beat strings: "|" splits a beat into equal steps, "," joins hits in a step, "-" is a rest step and an
+ * uppercase letter is an accented hit. "K,h|h|S|h" is four sixteenths. A pattern "swing" percentage
+ * (50 = straight, 67 = triplet shuffle) delays every second step of a pair.
  */
 function DrumEngine() {
-  this._audioCtx = null;
-  this._audioCtxUnavailable = false;
+  this._audioEngine = null;
   this._noiseBuffer = null;
   this._drumKey = {};
   this._patterns = [];
   this._patternById = {};
   this._selectedPatternId = "";
+  this._midiOutput = null;
 }
 
+/** Gain multiplier for uppercase (accented) hits. */
+DrumEngine.ACCENT_GAIN = 1.35;
+
 /**
- * Sets drumbeat dataset in shape: { key: {...}, patterns: [{ id, name, beats: [..4] }] }.
+ * Sets drumbeat dataset in shape: { key: {...}, patterns: [{ id, name, beats: [...] }] }.
+ * A pattern may have any number of beats; see playBeat for how it fits other bar lengths.
  */
 DrumEngine.prototype.setDrumbeats = function (drumbeats) {
   var keyMap = drumbeats && drumbeats.key ? drumbeats.key : {};
@@ -27,11 +34,13 @@ DrumEngine.prototype.setDrumbeats = function (drumbeats) {
   this._patternById = {};
   for (var i = 0; i < patterns.length; i++) {
     var p = patterns[i];
-    if (!p || typeof p.id !== "string" || typeof p.name !== "string" || !p.beats || p.beats.length !== 4) continue;
+    if (!p || typeof p.id !== "string" || typeof p.name !== "string" || !Array.isArray(p.beats) || !p.beats.length) continue;
+    var swing = parseFloat(p.swing);
     var normalized = {
       id: p.id,
       name: p.name,
-      beats: [String(p.beats[0] || ""), String(p.beats[1] || ""), String(p.beats[2] || ""), String(p.beats[3] || "")]
+      beats: p.beats.map(function (beat) { return String(beat || ""); }),
+      swing: isFinite(swing) ? Math.max(50, Math.min(75, swing)) : 50
     };
     this._patterns.push(normalized);
     this._patternById[normalized.id] = normalized;
@@ -85,57 +94,130 @@ DrumEngine.prototype.stop = function () {
 };
 
 /**
- * Plays one beat from selected pattern for the given beat index.
+ * Plays through an AudioEngine's "drums" strip, on the context (and timeline) notes use. Without one the
+ * engine stays silent.
  */
-DrumEngine.prototype.playBeat = function (beatIndex) {
-  if (!this.hasSelectedPattern()) return;
-  var pattern = this._patternById[this._selectedPatternId];
-  var idx = ((beatIndex % 4) + 4) % 4;
-  var beatString = pattern.beats[idx];
-  var tokens = this._parseBeatTokens(beatString);
-  if (!tokens.length) return;
-  var ctx = this._getAudioContext();
-  if (!ctx) return;
-  if (ctx.state === "suspended" && ctx.resume) {
-    ctx.resume();
+DrumEngine.prototype.setAudioEngine = function (audioEngine) {
+  this._audioEngine = audioEngine || null;
+};
+
+/**
+ * Sends drum hits to a MidiOutput on its drum channel as well (null: audio only). With MIDI-only routing
+ * the hits are not synthesized.
+ */
+DrumEngine.prototype.setMidiOutput = function (midiOutput) {
+  this._midiOutput = midiOutput || null;
+};
+
+/**
+ * Plays one beat from selected pattern for a beat of the bar at clock time whenSec (default now).
+ * beatSec is the beat length used to place subdivided steps (default 0.5s).
+ */
+DrumEngine.prototype.playBeat = function (beatInBar, whenSec, beatSec) {
+  var hits = this.getBeatHits(beatInBar);
+  if (!hits.length) return;
+  var now = this._getPlayTime(whenSec);
+  if (now === null) return;
+  var beatLength = (typeof beatSec === "number" && beatSec > 0) ? beatSec : 0.5;
+  for (var i = 0; i < hits.length; i++) {
+    this._triggerDrumByName(hits[i].name, now + hits[i].offsetBeats * beatLength, hits[i].velocity);
   }
-  var now = ctx.currentTime;
-  for (var i = 0; i < tokens.length; i++) {
-    var letter = tokens[i];
-    var drumName = this._drumKey.hasOwnProperty(letter) ? this._drumKey[letter] : letter;
-    this._triggerDrumByName(drumName, now);
+};
+
+/**
+ * Returns the selected pattern's hits for a beat of the bar as [{ name, offsetBeats, velocity }]:
+ * drum voice name, start inside the beat (swing applied) and gain multiplier (accents). Shared by
+ * playback and MIDI file export.
+ */
+DrumEngine.prototype.getBeatHits = function (beatInBar) {
+  var hits = [];
+  if (!this.hasSelectedPattern()) return hits;
+  var pattern = this._patternById[this._selectedPatternId];
+  var steps = this._parseBeatSteps(pattern.beats[this._getPatternBeatIndex(pattern, beatInBar)]);
+  for (var s = 0; s < steps.length; s++) {
+    var offsetBeats = this._getStepOffset(s, steps.length, pattern.swing);
+    for (var i = 0; i < steps[s].length; i++) {
+      var hit = steps[s][i];
+      hits.push({
+        name: this._drumKey.hasOwnProperty(hit.letter) ? this._drumKey[hit.letter] : hit.letter,
+        offsetBeats: offsetBeats,
+        velocity: hit.accent ? DrumEngine.ACCENT_GAIN : 1
+      });
+    }
   }
+  return hits;
+};
+
+/**
+ * Plays one metronome beat at clock time whenSec regardless of the selected pattern: a ding on the
+ * downbeat (beatInBar 0) and a click on every other beat. Used for count-ins and the plain metronome.
+ */
+DrumEngine.prototype.playClick = function (beatInBar, whenSec) {
+  var now = this._getPlayTime(whenSec);
+  if (now === null) return;
+  this._triggerDrumByName(beatInBar === 0 ? "ding" : "click", now, 1);
 };
 
 /**
- * Splits one beat string into letter tokens (comma-separated with whitespace tolerance).
+ * Returns when a hit should start (whenSec, never in the past), or null without Web Audio.
  */
-DrumEngine.prototype._parseBeatTokens = function (beatString) {
+DrumEngine.prototype._getPlayTime = function (whenSec) {
+  var ctx = this._getAudioContext();
+  if (!ctx) return null;
+  return (typeof whenSec === "number") ? Math.max(ctx.currentTime, whenSec) : ctx.currentTime;
+};
+
+/**
+ * Returns start of step i of stepCount inside a beat, as a fraction of the beat.
+ * With swing, the second step of each pair moves from the pair midpoint to swing percent of the pair.
+ */
+DrumEngine.prototype._getStepOffset = function (stepIndex, stepCount, swing) {
+  var straight = stepIndex / stepCount;
+  if (stepIndex % 2 === 0 || stepCount % 2 !== 0) return straight;
+  var pairStart = (stepIndex - 1) / stepCount;
+  return pairStart + (2 / stepCount) * ((swing || 50) / 100);
+};
+
+/**
+ * Maps a beat of the bar onto a pattern beat. Bars longer than the pattern repeat its non-downbeats,
+ * so the downbeat (pattern beat 0) only sounds at the top of the bar.
+ */
+DrumEngine.prototype._getPatternBeatIndex = function (pattern, beatInBar) {
+  var length = pattern.beats.length;
+  var beat = Math.max(0, beatInBar);
+  if (beat < length) return beat;
+  if (length === 1) return 0;
+  return 1 + ((beat - 1) % (length - 1));
+};
+
+/**
+ * Splits one beat string into steps ("|"-separated) of hits ({ letter, accent }, comma-separated).
+ * Rest steps ("-" or empty) stay in the list as empty arrays so later steps keep their timing.
+ */
+DrumEngine.prototype._parseBeatSteps = function (beatString) {
   if (typeof beatString !== "string") return [];
   var normalized = beatString.replace(/\s+/g, "");
   if (!normalized) return [];
-  var parts = normalized.split(",");
-  var out = [];
-  for (var i = 0; i < parts.length; i++) {
-    if (parts[i]) out.push(parts[i]);
+  var stepStrings = normalized.split("|");
+  var steps = [];
+  for (var s = 0; s < stepStrings.length; s++) {
+    var parts = stepStrings[s].split(",");
+    var hits = [];
+    for (var i = 0; i < parts.length; i++) {
+      if (!parts[i] || parts[i] === "-") continue;
+      var lower = parts[i].toLowerCase();
+      hits.push({ letter: lower, accent: parts[i] !== lower });
+    }
+    steps.push(hits);
   }
-  return out;
+  return steps;
 };
 
 /**
- * Returns lazily-initialized shared Web Audio context.
+ * Returns the audio engine's shared context, or null without one.
  */
 DrumEngine.prototype._getAudioContext = function () {
-  if (this._audioCtxUnavailable) return null;
-  if (this._audioCtx) return this._audioCtx;
-  if (typeof window === "undefined") return null;
-  var AudioCtx = window.AudioContext || window.webkitAudioContext;
-  if (!AudioCtx) {
-    this._audioCtxUnavailable = true;
-    return null;
-  }
-  this._audioCtx = new AudioCtx();
-  return this._audioCtx;
+  return this._audioEngine ? this._audioEngine.getContext() : null;
 };
 
 /**
@@ -155,20 +237,34 @@ DrumEngine.prototype._getNoiseBuffer = function (ctx) {
 };
 
 /**
- * Triggers one drum voice by semantic name.
+ * Triggers one drum voice by semantic name (also sent to the MIDI output when one is set).
+ * velocity scales the voice peak gain (default 1).
+ */
+DrumEngine.prototype._triggerDrumByName = function (name, when, velocity) {
+  var v = (typeof velocity === "number" && velocity > 0) ? velocity : 1;
+  if (this._midiOutput) {
+    this._midiOutput.playDrum(name, when, v);
+    if (!this._midiOutput.sendsAudio()) return;
+  }
+  if (name === "kick") { this._triggerKick(when, v); return; }
+  if (name === "snare") { this._triggerSnare(when, v); return; }
+  if (name === "hat") { this._triggerHat(when, v); return; }
+  if (name === "ding") { this._triggerDing(when, v); return; }
+  if (name === "click") { this._triggerClick(when, v); return; }
+};
+
+/**
+ * Returns a voice peak gain scaled by velocity. Accents may peak above 1; the master limiter (see AudioEngine)
+ * keeps them from clipping, so normal hits keep their level and accents stay louder.
  */
-DrumEngine.prototype._triggerDrumByName = function (name, when) {
-  if (name === "kick") { this._triggerKick(when); return; }
-  if (name === "snare") { this._triggerSnare(when); return; }
-  if (name === "hat") { this._triggerHat(when); return; }
-  if (name === "ding") { this._triggerDing(when); return; }
-  if (name === "click") { this._triggerClick(when); return; }
+DrumEngine.prototype._getPeakGain = function (peak, velocity) {
+  return peak * (velocity || 1);
 };
 
 /**
  * Synthesizes a kick drum using frequency-swept sine.
  */
-DrumEngine.prototype._triggerKick = function (when) {
+DrumEngine.prototype._triggerKick = function (when, velocity) {
   var ctx = this._getAudioContext();
   if (!ctx) return;
   var osc = ctx.createOscillator();
@@ -177,10 +273,10 @@ DrumEngine.prototype._triggerKick = function (when) {
   osc.frequency.setValueAtTime(150, when);
   osc.frequency.exponentialRampToValueAtTime(48, when + 0.14);
   gain.gain.setValueAtTime(0.0001, when);
-  gain.gain.exponentialRampToValueAtTime(0.95, when + 0.004);
+  gain.gain.exponentialRampToValueAtTime(this._getPeakGain(0.95, velocity), when + 0.004);
   gain.gain.exponentialRampToValueAtTime(0.0001, when + 0.16);
   osc.connect(gain);
-  gain.connect(ctx.destination);
+  gain.connect(this._audioEngine.getInput("drums"));
   osc.start(when);
   osc.stop(when + 0.18);
 };
@@ -188,7 +284,7 @@ DrumEngine.prototype._triggerKick = function (when) {
 /**
  * Synthesizes a snare drum using filtered white noise.
  */
-DrumEngine.prototype._triggerSnare = function (when) {
+DrumEngine.prototype._triggerSnare = function (when, velocity) {
   var ctx = this._getAudioContext();
   if (!ctx) return;
   var noise = ctx.createBufferSource();
@@ -198,11 +294,11 @@ DrumEngine.prototype._triggerSnare = function (when) {
   highpass.type = "highpass";
   highpass.frequency.value = 1500;
   gain.gain.setValueAtTime(0.0001, when);
-  gain.gain.exponentialRampToValueAtTime(0.5, when + 0.002);
+  gain.gain.exponentialRampToValueAtTime(this._getPeakGain(0.5, velocity), when + 0.002);
   gain.gain.exponentialRampToValueAtTime(0.0001, when + 0.13);
   noise.connect(highpass);
   highpass.connect(gain);
-  gain.connect(ctx.destination);
+  gain.connect(this._audioEngine.getInput("drums"));
   noise.start(when);
   noise.stop(when + 0.15);
 };
@@ -210,7 +306,7 @@ DrumEngine.prototype._triggerSnare = function (when) {
 /**
  * Synthesizes a hi-hat using high-passed noise burst.
  */
-DrumEngine.prototype._triggerHat = function (when) {
+DrumEngine.prototype._triggerHat = function (when, velocity) {
   var ctx = this._getAudioContext();
   if (!ctx) return;
   var noise = ctx.createBufferSource();
@@ -220,11 +316,11 @@ DrumEngine.prototype._triggerHat = function (when) {
   highpass.type = "highpass";
   highpass.frequency.value = 6500;
   gain.gain.setValueAtTime(0.0001, when);
-  gain.gain.exponentialRampToValueAtTime(0.18, when + 0.001);
+  gain.gain.exponentialRampToValueAtTime(this._getPeakGain(0.18, velocity), when + 0.001);
   gain.gain.exponentialRampToValueAtTime(0.0001, when + 0.05);
   noise.connect(highpass);
   highpass.connect(gain);
-  gain.connect(ctx.destination);
+  gain.connect(this._audioEngine.getInput("drums"));
   noise.start(when);
   noise.stop(when + 0.06);
 };
@@ -232,7 +328,7 @@ DrumEngine.prototype._triggerHat = function (when) {
 /**
  * Synthesizes a short pitched ding.
  */
-DrumEngine.prototype._triggerDing = function (when) {
+DrumEngine.prototype._triggerDing = function (when, velocity) {
   var ctx = this._getAudioContext();
   if (!ctx) return;
   var osc = ctx.createOscillator();
@@ -241,10 +337,10 @@ DrumEngine.prototype._triggerDing = function (when) {
   osc.frequency.setValueAtTime(1320, when);
   osc.frequency.exponentialRampToValueAtTime(960, when + 0.25);
   gain.gain.setValueAtTime(0.0001, when);
-  gain.gain.exponentialRampToValueAtTime(0.22, when + 0.003);
+  gain.gain.exponentialRampToValueAtTime(this._getPeakGain(0.22, velocity), when + 0.003);
   gain.gain.exponentialRampToValueAtTime(0.0001, when + 0.24);
   osc.connect(gain);
-  gain.connect(ctx.destination);
+  gain.connect(this._audioEngine.getInput("drums"));
   osc.start(when);
   osc.stop(when + 0.26);
 };
@@ -252,7 +348,7 @@ DrumEngine.prototype._triggerDing = function (when) {
 /**
  * Synthesizes a crisp metronome click.
  */
-DrumEngine.prototype._triggerClick = function (when) {
+DrumEngine.prototype._triggerClick = function (when, velocity) {
   var ctx = this._getAudioContext();
   if (!ctx) return;
   var osc = ctx.createOscillator();
@@ -260,10 +356,10 @@ DrumEngine.prototype._triggerClick = function (when) {
   osc.type = "square";
   osc.frequency.setValueAtTime(2400, when);
   gain.gain.setValueAtTime(0.0001, when);
-  gain.gain.exponentialRampToValueAtTime(0.12, when + 0.001);
+  gain.gain.exponentialRampToValueAtTime(this._getPeakGain(0.12, velocity), when + 0.001);
   gain.gain.exponentialRampToValueAtTime(0.0001, when + 0.03);
   osc.connect(gain);
-  gain.connect(ctx.destination);
+  gain.connect(this._audioEngine.getInput("drums"));
   osc.start(when);
   osc.stop(when + 0.04);
 };
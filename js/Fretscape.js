@@ -8,6 +8,8 @@ function Fretscape(containerEl) {
   this.container = containerEl;
   this.bricks = [];
   this._musicalKey = "C";
+  this._tuning = Tuning.fromId("standard");
+  this._scale = Scale.fromId("major");  /* labels and colours of every brick; roman numerals follow it */
   this._isLeftHanded = false;
   this._isVerticallyMirrored = false;
   this.cellWidth = 80;
@@ -32,23 +34,30 @@ function Fretscape(containerEl) {
   this._panLastClient = null;
   this._touchGesture = null;
   this._pendingDragCopy = null;
+  this._transport = new Transport();
+  this._audioEngine = new AudioEngine(this._transport);
+  this._pluckSynth = new PluckSynth();
+  this._partVoices = {};  /* part -> voice id (PluckSynth variant or Fretscape.TONE_VOICE) */
+  for (var voicePart = 0; voicePart < Fretscape.VOICE_PARTS.length; voicePart++) {
+    this._partVoices[Fretscape.VOICE_PARTS[voicePart]] = Fretscape.TONE_VOICE;
+  }
   this._audioCtx = null;
-  this._audioCtxUnavailable = false;
   this._guitarWave = null;
   this._slapNoiseBuffer = null;
   this._pressedNoteVoice = null;
   this._pressedNotePointerId = null;
   this._touchPressedStates = {};
   this._touchVisualVoices = [];
+  this._articulationGlides = [];  /* travelling dots of articulated notes: { cell, fromCell, bendCell, articulation, timeline } */
+  this._midiNoteVoices = {};  /* MIDI note number -> pressed-note voice held by a controller */
+  this._lastMidiCell = null;  /* where the last MIDI note landed, so the next one stays in position */
   this._touchVisualAnimationFrame = null;
   this._isTwoFingerPanZoomEnabled = true;
   this._activeProgressionDegrees = null;
   this._progressionPlaybackMode = "root";
   this._isProgressionPlaying = false;
-  this._progressionBeatTimer = null;
-  this._progressionAnimationFrame = null;
-  this._progressionBeatIndex = 0;
-  this._progressionPulseStartMs = 0;
+  this._progressionBeatVisuals = {};  /* beatIndex -> plans queued at schedule time, shown when the beat is heard */
+  this._progressionShownBeatIndex = 0;
   this._progressionPulseFromCell = null;
   this._progressionPulseToCell = null;
   this._progressionPulseFromCells = [];
@@ -56,32 +65,97 @@ function Fretscape(containerEl) {
   this._progressionPulseProgress = 0;
   this._progressionGuidePairFrom = null;
   this._progressionGuidePairTo = null;
+  this._shownChord = null;  /* ChordSymbol of the chord being heard, for the chord-tone overlay */
+  this._isChordToneOverlayEnabled = true;
   this._activeRiff = null;
-  this._activeRiffBeats = null;
+  this._activeRiffBeats = null;  /* notes-string riff as steps [[{ x, y }]] (see RiffNotation) */
+  this._activeRiffStepsPerBeat = 1;
   this._activeRiffEvents = null;
+  this._activeRiffEventBeats = null;  /* recorded riff events converted to { xCw, yCw, offset, startBeat, durationBeats } */
   this._activeStrumPattern = null;
   this._activeStrumBeats = null;
   this._activeStrumTimeline = null;
   this._strumStrokeGapBeats = 0.05;
   this._progressionBpm = 100;
-  this._progressionBeatsPerChord = 4;
+  this._timeSignature = { beats: 4, unit: 4 };  /* beats per bar and the note value that counts as a beat */
+  this._activeProgressionDurations = null;  /* optional beats per chord, parallel to degrees */
+  this._activeProgressionId = null;
+  this._loopRange = null;  /* { start, end } chord indexes (inclusive) to loop instead of the whole progression */
+  this._tempoRamp = null;  /* { startBpm, stepBpm, everyLoops, targetBpm } practice ramp, see setTempoRamp */
+  this._tempoRampLoops = 0;  /* loops played since the ramp (re)started */
+  this._countInBars = 0;  /* bars of clicks before playback, the metronome or a recording starts (0-2) */
+  this._countInBeats = 0;  /* transport beats of clicks before the music (beat 0 of the progression) starts */
   this._drumEngine = null;
+  this._midiOutput = null;
   this._recordModeArmed = false;
   this._isRecording = false;
   this._recordedNotes = [];
   this._recordStartTime = null;
   this._recordingNotesMap = null;  /* Maps pointerId -> recorded note event object */
+  this._recordBacking = null;  /* { key, bpm, progressionId, chordIndex } the take was played over */
+  this._isMetronomePlaying = false;  /* transport running without a progression */
+  this._isPracticeMode = false;
+  this._practiceScorer = new PracticeScorer();
+  this._practiceFeedback = [];  /* Recent graded hits drawn as fading markers */
   this.onProgressionPlaybackStateChange = null;
   this.onRiffRecorded = null;
+  this.onNotePressed = null;
+  this.onProgressionLoop = null;
+  this.onPracticeHit = null;
+  this.onPracticeSummary = null;
+  this.onRender = null;
+  this.onCountInBeat = null;
+  this.onTempoChange = null;
+  this.onBricksChange = null;
   var self = this;
+  this._transport.onScheduleBeat = function (beatIndex, whenSec) {
+    self._scheduleTransportBeat(beatIndex, whenSec);
+  };
+  this._transport.onBeat = function (beatIndex) {
+    self._showTransportBeat(beatIndex);
+  };
+  this._transport.onTick = function (beatPosition) {
+    var musicPosition = beatPosition - self._countInBeats;
+    self._progressionPulseProgress = Math.max(0, Math.min(1, musicPosition - self._progressionShownBeatIndex));
+    self.render();
+  };
   window.addEventListener("resize", function () { self.render(); });
   this._bindInput();
 }
 
+/** Parts that pick their own voice; other parts play like "touch". */
+Fretscape.VOICE_PARTS = ["bass", "strum", "riff", "touch"];
+
+/** Voice id for the original oscillator tone instead of a PluckSynth variant. */
+Fretscape.TONE_VOICE = "tone";
+
+/**
+ * Articulated riff notes: legato notes (hammer-on, pull-off, slide) play at legatoLevel without a pick
+ * attack; slides and hops take up to approachSec (at most half the note); a slide with no earlier note on
+ * its row starts slideInSemitones away; bends rise bendSemitones; vibrato swings vibratoCents at vibratoHz;
+ * muted notes last at most muteSec.
+ */
+Fretscape.ARTICULATION = {
+  legatoLevel: 0.6,
+  approachSec: 0.08,
+  slideInSemitones: 2,
+  bendSemitones: 2,
+  vibratoHz: 5.5,
+  vibratoCents: 35,
+  muteSec: 0.12
+};
+
+/** MIDI note number of the low E (E2) that pitch offsets count from. */
+Fretscape.LOW_E_MIDI_NOTE = 40;
+
+/** How long graded-hit markers stay on screen in practice mode. */
+Fretscape.PRACTICE_FEEDBACK_MS = 700;
+
 /**
- * Adds a brick at (xCw, yCw). Coordinates in cellWidth units.
+ * Adds a brick at (xCw, yCw) in the active scale. Coordinates in cellWidth units.
  */
 Fretscape.prototype.addBrick = function (brick, xCw, yCw) {
+  brick.setScale(this._scale);
   this.bricks.push({ brick: brick, xCw: xCw, yCw: yCw });
   return brick;
 };
@@ -93,6 +167,71 @@ Fretscape.prototype.clearBricks = function () {
   this.bricks = [];
 };
 
+/**
+ * Replaces all bricks with a layout of lattice steps [{ a, b }] from the default brick origin.
+ * a steps along the octave axis (2,-2), b along the identity axis (5,1). Out-of-bounds entries are skipped.
+ */
+Fretscape.prototype.setBrickLayout = function (layout) {
+  if (!Array.isArray(layout) || !layout.length) return;
+  var center = this._defaultOneCellCenterCw;
+  var off = this._getBrickOriginOffset(new Brick());
+  var maxX = this.widthCw - this.brickWidthCw;
+  var maxY = this.heightCw - this.brickHeightCw;
+  var placed = [];
+  for (var i = 0; i < layout.length; i++) {
+    var step = layout[i];
+    if (!step) continue;
+    var a = parseInt(step.a, 10) || 0;
+    var b = parseInt(step.b, 10) || 0;
+    var tlX = center.x + 2 * a + 5 * b - off.col;
+    var tlY = center.y - 2 * a + b - off.row;
+    if (tlX < 0 || tlX > maxX || tlY < 0 || tlY > maxY) continue;
+    placed.push({ x: tlX, y: tlY });
+  }
+  if (!placed.length) return;
+  this.clearBricks();
+  for (var p = 0; p < placed.length; p++) {
+    this.addBrick(new Brick(), placed[p].x, placed[p].y);
+  }
+  this.render();
+  this._notifyBricksChange();
+};
+
+/**
+ * Returns current bricks as lattice steps [{ a, b }] from the default brick origin (inverse of setBrickLayout).
+ */
+Fretscape.prototype.getBrickLayout = function () {
+  var center = this._defaultOneCellCenterCw;
+  var layout = [];
+  for (var i = 0; i < this.bricks.length; i++) {
+    var item = this.bricks[i];
+    var off = this._getBrickOriginOffset(item.brick);
+    var dx = item.xCw + off.col - center.x;
+    var dy = item.yCw + off.row - center.y;
+    layout.push({ a: Math.round((dx - 5 * dy) / 12), b: Math.round((dx + dy) / 6) });
+  }
+  return layout;
+};
+
+/**
+ * Returns the brick label ("1", "b3", ...) of the topmost brick cell at a world cell, or null.
+ */
+Fretscape.prototype._getCellLabelAt = function (xCw, yCw) {
+  var hits = this._hitDotsAtPoint(xCw, yCw, 0.01);
+  if (!hits.length) return null;
+  var item = this.bricks[hits[0].brickIndex];
+  return item.brick.cellData[hits[0].row][hits[0].col];
+};
+
+/**
+ * Handles a user-started note on a world cell: grades it in practice mode and notifies subscribers.
+ */
+Fretscape.prototype._onUserNoteStarted = function (xCw, yCw) {
+  this._gradePracticeHit(xCw, yCw);
+  if (typeof this.onNotePressed !== "function") return;
+  this.onNotePressed({ xCw: xCw, yCw: yCw, label: this._getCellLabelAt(xCw, yCw) });
+};
+
 /**
  * Sets drag constraint slope. false => 2x2 slope (2,-2), true => 5x1 slope (5,1).
  */
@@ -123,19 +262,183 @@ Fretscape.prototype.setKey = function (key) {
   this._musicalKey = normalized;
 };
 
+/**
+ * Sets the instrument tuning by preset id (see Tuning.PRESETS). Brick cells and pitches follow its kinks.
+ */
+Fretscape.prototype.setTuning = function (tuningId) {
+  this._tuning = Tuning.fromId(tuningId);
+  this.render();
+};
+
+/**
+ * Returns the active tuning model.
+ */
+Fretscape.prototype.getTuning = function () {
+  return this._tuning;
+};
+
+/**
+ * Sets the key's scale by preset id (see Scale.PRESETS) on every brick. Progression numerals follow its degrees.
+ */
+Fretscape.prototype.setScale = function (scaleId) {
+  this._scale = Scale.fromId(scaleId);
+  for (var i = 0; i < this.bricks.length; i++) {
+    this.bricks[i].brick.setScale(this._scale);
+  }
+  this.render();
+};
+
+/**
+ * Returns the active scale model.
+ */
+Fretscape.prototype.getScale = function () {
+  return this._scale;
+};
+
+/**
+ * Returns the real string index for a world row (first brick "1" row is the tuning root string).
+ */
+Fretscape.prototype._getStringIndexForWorldRow = function (yCw) {
+  var origin = this._getOneCellCenter();
+  return this._tuning.getRootStringIndex() + Math.round(yCw - origin.y);
+};
+
+/**
+ * Returns world x shift (cw) applied to cells on a row to compensate for the tuning kink.
+ * +y rows are higher strings; world x decreases as pitch rises, so a string tuned lower than a fourth
+ * (negative deviation) moves its cells toward -x.
+ */
+Fretscape.prototype._getKinkShiftCw = function (yCw) {
+  return this._tuning.getFourthsDeviation(this._getStringIndexForWorldRow(yCw));
+};
+
+/**
+ * Returns world position of brick cell (r,c), including kink shift for its row.
+ */
+Fretscape.prototype._getBrickCellWorld = function (item, r, c) {
+  var yCw = item.yCw + r;
+  return { xCw: item.xCw + c + this._getKinkShiftCw(yCw), yCw: yCw };
+};
+
+/**
+ * Converts a world cell to { string, fret } on the real instrument, or null when the row is off the neck
+ * or the note sits below the nut. Fret may be fractional for in-between positions (moving dots).
+ */
+Fretscape.prototype._worldCellToStringFret = function (xCw, yCw) {
+  var stringIndex = this._getStringIndexForWorldRow(yCw);
+  if (!this._tuning.hasString(stringIndex)) return null;
+  var fret = this._getDotSemitoneFromLowE(xCw, yCw) - this._tuning.getOpenSemitone(stringIndex);
+  if (fret < -0.001) return null;
+  return { string: stringIndex, fret: Math.max(0, fret) };
+};
+
+/**
+ * Returns notes currently lit on the fretspace as string/fret positions, in draw order:
+ * brick cells ({ kind: "brick", label, fill, textColor }), then sounding touch notes ({ kind: "touch", alpha })
+ * and playback dots ({ kind: "playback" }). Cells off the neck are left out.
+ */
+Fretscape.prototype.getLitNotes = function () {
+  var notes = [];
+  var self = this;
+  var pushNote = function (xCw, yCw, props) {
+    var pos = self._worldCellToStringFret(xCw, yCw);
+    if (!pos) return;
+    props.string = pos.string;
+    props.fret = pos.fret;
+    notes.push(props);
+  };
+  for (var i = 0; i < this.bricks.length; i++) {
+    var item = this.bricks[i];
+    for (var r = 0; r < item.brick.getHeightCw(); r++) {
+      for (var c = 0; c < item.brick.getWidthCw(); c++) {
+        var cell = this._getBrickCellWorld(item, r, c);
+        var style = item.brick.getCellStyle(r, c);
+        pushNote(cell.xCw, cell.yCw, {
+          kind: "brick",
+          label: item.brick.cellData[r][c],
+          fill: style.fill,
+          textColor: style.textColor
+        });
+      }
+    }
+  }
+  if (this._audioCtx) {
+    var voices = this._getActiveTouchVisualVoices();
+    var now = this._audioCtx.currentTime;
+    for (var v = 0; v < voices.length; v++) {
+      var loudness = this._getNoteVoiceLoudness(voices[v], now);
+      if (loudness <= 0.0005) continue;
+      pushNote(voices[v].xCw, voices[v].yCw, { kind: "touch", alpha: Math.max(0, Math.min(1, loudness)) });
+    }
+  }
+  var playbackCells = this._getPlaybackDotCells();
+  for (var p = 0; p < playbackCells.length; p++) {
+    pushNote(playbackCells[p].xCw, playbackCells[p].yCw, { kind: "playback" });
+  }
+  return notes;
+};
+
 /**
  * Sets external drum engine used by progression transport.
  */
 Fretscape.prototype.setDrumEngine = function (drumEngine) {
   this._drumEngine = drumEngine || null;
+  if (this._drumEngine && typeof this._drumEngine.setAudioEngine === "function") {
+    this._drumEngine.setAudioEngine(this._audioEngine);
+  }
+};
+
+/**
+ * Sets the MidiOutput playback notes and MIDI clock are sent to (null: audio only).
+ */
+Fretscape.prototype.setMidiOutput = function (midiOutput) {
+  this._midiOutput = midiOutput || null;
+  if (this._midiOutput) {
+    this._midiOutput.setTransport(this._transport);
+  }
+};
+
+/**
+ * Returns the shared transport clock that drives progression, drums and riff playback.
+ */
+Fretscape.prototype.getTransport = function () {
+  return this._transport;
+};
+
+/**
+ * Returns the audio engine (mixer) every voice and the drums play through.
+ */
+Fretscape.prototype.getAudioEngine = function () {
+  return this._audioEngine;
+};
+
+/**
+ * Sets the voice a part plays with: a PluckSynth variant ("pluck", "palm", "ring") or "tone" (the
+ * oscillator, every part's default). Unknown parts or voices are ignored.
+ */
+Fretscape.prototype.setPartVoice = function (part, voiceId) {
+  if (!this._partVoices.hasOwnProperty(part)) return;
+  if (voiceId !== Fretscape.TONE_VOICE && !PluckSynth.VARIANTS.hasOwnProperty(voiceId)) return;
+  this._partVoices[part] = voiceId;
 };
 
 /**
- * Plays one drum beat when a drum pattern is selected.
+ * Returns { part: voice id } for every part with its own voice.
  */
-Fretscape.prototype._playDrumBeat = function (beatIndex) {
+Fretscape.prototype.getPartVoices = function () {
+  var voices = {};
+  for (var part in this._partVoices) {
+    if (this._partVoices.hasOwnProperty(part)) voices[part] = this._partVoices[part];
+  }
+  return voices;
+};
+
+/**
+ * Schedules one beat of the bar of drums at clock time whenSec when a drum pattern is selected.
+ */
+Fretscape.prototype._playDrumBeat = function (beatInBar, whenSec) {
   if (!this._drumEngine || typeof this._drumEngine.playBeat !== "function") return;
-  this._drumEngine.playBeat(beatIndex);
+  this._drumEngine.playBeat(beatInBar, whenSec, this._getProgressionBeatMs() / 1000);
 };
 
 /**
@@ -170,57 +473,36 @@ Fretscape.prototype._fretspaceDeltaToWorldFromRoot = function (rootCell, xDelta,
   var displayDeltaY = this._isVerticallyMirrored ? -yDelta : yDelta;
   var noteDisplayX = rootDisplayX + displayDeltaX;
   var noteDisplayY = rootDisplayY + displayDeltaY;
+  var noteY = this._displayYToWorldY(noteDisplayY);
+  /* Fretspace deltas are in uniform fourths; shift x by the kink difference between the two rows. */
+  var kinkShift = this._getKinkShiftCw(noteY) - this._getKinkShiftCw(rootY);
   return {
-    xCw: this._displayXToWorldX(noteDisplayX),
-    yCw: this._displayYToWorldY(noteDisplayY)
+    xCw: this._displayXToWorldX(noteDisplayX) + kinkShift,
+    yCw: noteY
   };
 };
 
 /**
- * Parses riff note string like "(0,0002),(-1,0200)" or "(0,024----0)" into variable-beat fretspace offsets.
- * Beat count is determined by the longest sequence found.
- */
-Fretscape.prototype._parseRiffNotes = function (notesString) {
-  if (typeof notesString !== "string") return [];
-  var re = /\(\s*(-?\d+)\s*,\s*([^)]+)\)/g;
-  var match;
-  var maxBeats = 0;
-  var rowData = [];
-  
-  // First pass: find max beats and parse rows
-  while ((match = re.exec(notesString))) {
-    var y = parseInt(match[1], 10);
-    if (isNaN(y)) continue;
-    var sequenceRaw = String(match[2] || "").trim();
-    if (!sequenceRaw) continue;
-    var compact = sequenceRaw.replace(/\s+/g, "");
-    var tokens = compact.indexOf(",") >= 0 ? compact.split(",") : compact.split("");
-    maxBeats = Math.max(maxBeats, tokens.length);
-    rowData.push({ y: y, tokens: tokens });
-  }
-  
-  // Handle empty case
-  if (maxBeats === 0) return [];
-  
-  // Create beats array with determined size
-  var beats = [];
-  for (var i = 0; i < maxBeats; i++) {
-    beats[i] = [];
-  }
-  
-  // Second pass: populate beats with notes
-  for (var r = 0; r < rowData.length; r++) {
-    var row = rowData[r];
-    for (var i = 0; i < row.tokens.length; i++) {
-      var token = String(row.tokens[i] || "").trim();
-      if (!token || token === "-") continue;
-      var x = parseInt(token, 10);
-      if (isNaN(x)) continue;
-      beats[i].push({ x: x, y: row.y });
-    }
-  }
-  
-  return beats;
+ * Inverse of _fretspaceDeltaToWorldFromRoot: returns the fretspace { x, y } offset of a world cell from rootCell.
+ */
+Fretscape.prototype._worldToFretspaceDeltaFromRoot = function (rootCell, cell) {
+  if (!rootCell || !cell) return null;
+  var rootX = (typeof rootCell.xCw === "number") ? rootCell.xCw : rootCell.x;
+  var rootY = (typeof rootCell.yCw === "number") ? rootCell.yCw : rootCell.y;
+  if (typeof rootX !== "number" || typeof rootY !== "number") return null;
+  /* Pitch rises toward lower world x; undo the kink shift between the note row and the root row. */
+  var kinkShift = this._getKinkShiftCw(cell.yCw) - this._getKinkShiftCw(rootY);
+  return {
+    x: Math.round(rootX - cell.xCw + kinkShift),
+    y: Math.round(cell.yCw - rootY)
+  };
+};
+
+/**
+ * Returns fretspace { x, y } offset of a world cell from the key's "1" cell (riff context "key").
+ */
+Fretscape.prototype.getKeyRootOffset = function (cell) {
+  return this._worldToFretspaceDeltaFromRoot(this._getOneCellCenter(), cell);
 };
 
 /**
@@ -231,6 +513,7 @@ Fretscape.prototype.setRiffPattern = function (riff) {
     this._activeRiff = null;
     this._activeRiffBeats = null;
     this._activeRiffEvents = null;
+    this._activeRiffEventBeats = null;
     this._clearProgressionPulse();
     this.render();
     return;
@@ -241,20 +524,36 @@ Fretscape.prototype.setRiffPattern = function (riff) {
 
   // if the riff already contains an array of event objects we can play it back
   // more accurately.  events are expected to look like:
-  //   { xCw: <cell>, yCw: <cell>, timeMs: <ms since riff start> }
+  //   { xCw: <cell>, yCw: <cell>, timeMs: <ms since riff start>, durationMs, x?, y? }
+  // times are converted to beats at the riff's recorded tempo so they follow later tempo changes.
+  // x/y (offset from the key root) win over the world cell, so takes follow moved bricks.
   if (Array.isArray(riff.events)) {
     // clone to avoid accidental mutation
     this._activeRiffEvents = riff.events.slice();
+    var riffBeatMs = 60000 / ((typeof riff.bpm === "number" && riff.bpm > 0) ? riff.bpm : this._progressionBpm);
+    this._activeRiffEventBeats = [];
+    for (var ei = 0; ei < this._activeRiffEvents.length; ei++) {
+      var ev = this._activeRiffEvents[ei];
+      var hasOffset = typeof ev.x === "number" && typeof ev.y === "number";
+      this._activeRiffEventBeats.push({
+        xCw: ev.xCw,
+        yCw: ev.yCw,
+        offset: hasOffset ? { x: ev.x, y: ev.y } : null,
+        startBeat: (ev.timeMs || 0) / riffBeatMs,
+        durationBeats: (ev.durationMs || 0) / riffBeatMs
+      });
+    }
     // legacy beat-array is no longer needed when we have event data
     this._activeRiffBeats = null;
-    this._needRescheduleRiff = true;
   } else {
     this._activeRiffEvents = null;
+    this._activeRiffEventBeats = null;
     // fall back to old notes/tab string format for compatibility
     var riffString = "";
     if (typeof riff.notes === "string") riffString = riff.notes;
     else if (typeof riff.tab === "string") riffString = riff.tab;
-    this._activeRiffBeats = this._parseRiffNotes(riffString);
+    this._activeRiffBeats = new RiffNotation(riffString).getSteps();
+    this._activeRiffStepsPerBeat = RiffNotation.getStepsPerBeat(riff);
   }
 
   if (!this._isProgressionPlaying) {
@@ -283,7 +582,8 @@ Fretscape.prototype.startRecording = function () {
   this._isRecording = true;
   this._recordedNotes = [];
   this._recordingNotesMap = {};
-  this._recordStartTime = (window.performance && window.performance.now) ? window.performance.now() : Date.now();
+  /* Transport clock; _startTransport moves this onto beat 0 (after any count-in) once it is running. */
+  this._recordStartTime = this._transport.getCurrentTimeMs();
 };
 
 /**
@@ -296,6 +596,7 @@ Fretscape.prototype.stopRecording = function () {
   this._recordedNotes = [];
   this._recordingNotesMap = null;
   this._recordStartTime = null;
+  this._recordBacking = null;
   return riff;
 };
 
@@ -303,9 +604,8 @@ Fretscape.prototype.stopRecording = function () {
  * Records a note event during recording.
  */
 Fretscape.prototype._recordNote = function (xCw, yCw, pointerId) {
-  if (!this._isRecording || !this._recordStartTime) return null;
-  var now = (window.performance && window.performance.now) ? window.performance.now() : Date.now();
-  var elapsedMs = now - this._recordStartTime;
+  if (!this._isRecording || this._recordStartTime === null) return null;
+  var elapsedMs = this._transport.getCurrentTimeMs() - this._recordStartTime;
   var eventObj = {
     xCw: Math.round(xCw),
     yCw: Math.round(yCw),
@@ -320,70 +620,203 @@ Fretscape.prototype._recordNote = function (xCw, yCw, pointerId) {
 };
 
 Fretscape.prototype._recordNoteRelease = function (pointerId) {
-  if (!this._isRecording || !this._recordStartTime || !this._recordingNotesMap) return;
+  if (!this._isRecording || this._recordStartTime === null || !this._recordingNotesMap) return;
   var eventObj = this._recordingNotesMap[pointerId];
   if (!eventObj) return;
-  var now = (window.performance && window.performance.now) ? window.performance.now() : Date.now();
-  var elapsedMs = now - this._recordStartTime;
+  var elapsedMs = this._transport.getCurrentTimeMs() - this._recordStartTime;
   eventObj.durationMs = Math.max(0, elapsedMs - eventObj.timeMs);
   delete this._recordingNotesMap[pointerId];
 };
 
 /**
- * Converts recorded notes into riff format.
- * Format: "(y,sequence)" where sequence is x coordinates across 4 beats.
- * Beat duration based on BPM: beatMs = (60000 / BPM) * 4 (4 beats per chord)
- * Only records first 4 beats (one chord cycle).
+ * Enables practice mode: the active riff is muted and shown as target dots, and user notes are graded.
+ * Toggling while playing stops playback so each run is scored from its start.
+ */
+Fretscape.prototype.setPracticeMode = function (enabled) {
+  var next = !!enabled;
+  if (this._isPracticeMode === next) return;
+  if (this._isProgressionPlaying) {
+    this.stopProgressionPlayback();
+  }
+  this._isPracticeMode = next;
+  this._practiceFeedback = [];
+  this.render();
+};
+
+/**
+ * Returns true when practice mode is enabled.
+ */
+Fretscape.prototype.isPracticeMode = function () {
+  return !!this._isPracticeMode;
+};
+
+/**
+ * Adds practice targets for a beat plan whose beat starts at beatStartMs.
+ */
+Fretscape.prototype._queuePracticeTargets = function (plan, beatStartMs) {
+  if (!this._isPracticeMode || !plan || !plan.riffEvents) return;
+  var beatMs = this._getProgressionBeatMs();
+  for (var i = 0; i < plan.riffEvents.length; i++) {
+    var event = plan.riffEvents[i];
+    this._practiceScorer.addTarget({
+      timeMs: beatStartMs + (event.delayBeats || 0) * beatMs,
+      xCw: event.cell.xCw,
+      yCw: event.cell.yCw,
+      semitone: this._getDotSemitoneFromLowE(event.cell.xCw, event.cell.yCw)
+    });
+  }
+};
+
+/**
+ * Grades a user note against practice targets while practice playback is running.
+ */
+Fretscape.prototype._gradePracticeHit = function (xCw, yCw) {
+  if (!this._isPracticeMode || !this._isProgressionPlaying) return;
+  var nowMs = this._transport.getCurrentTimeMs();
+  var result = this._practiceScorer.gradeHit({
+    timeMs: nowMs,
+    xCw: xCw,
+    yCw: yCw,
+    semitone: this._getDotSemitoneFromLowE(xCw, yCw)
+  });
+  if (!result) return;
+  this._practiceFeedback.push({ result: result, createdMs: nowMs });
+  if (typeof this.onPracticeHit === "function") {
+    this.onPracticeHit(result, this._practiceScorer.getSummary(nowMs));
+  }
+};
+
+/**
+ * Converts recorded notes into a riff: raw events plus a notes string on a sixteenth grid (see RiffTake).
  */
 Fretscape.prototype._getRiffFromRecording = function () {
-  // when we capture actual notes we keep the original timing information
   if (!this._recordedNotes.length) return null;
+  return this._buildRiffFromEvents({
+    events: this._recordedNotes.slice(),
+    bpm: this._progressionBpm,
+    backing: this._recordBacking || this._getRecordBacking(false)
+  });
+};
 
-  // copy events as-is so that consumers can schedule them later
-  var events = this._recordedNotes.slice();
-
-  // still generate a legacy notes string so older code or external data
-  // consumers can inspect something similar to the previous behaviour.
-  var beatMs = (60000 / this._progressionBpm) * this._progressionBeatsPerChord;
-  var beatsByRow = {};
-  var allYValues = [];
-  for (var n = 0; n < events.length; n++) {
-    var note = events[n];
-    var y = note.yCw;
-    var beatIndex = Math.floor(note.timeMs / beatMs);
-    if (beatIndex > 3) continue;
-    if (beatIndex < 0) beatIndex = 0;
-    if (!beatsByRow[y]) {
-      beatsByRow[y] = [{}, {}, {}, {}];
-      allYValues.push(y);
-    }
-    if (!beatsByRow[y][beatIndex][note.timeMs]) {
-      beatsByRow[y][beatIndex][note.timeMs] = note.xCw;
-    }
-  }
-  var notesString = "";
-  allYValues.sort(function (a, b) { return a - b; });
-  for (var i = 0; i < allYValues.length; i++) {
-    var row = allYValues[i];
-    var sequence = "";
-    var rowBeats = beatsByRow[row];
-    for (var b = 0; b < 4; b++) {
-      var beatNotes = rowBeats[b];
-      var times = Object.keys(beatNotes).sort(function (a, b) { return parseInt(a, 10) - parseInt(b, 10); });
-      sequence += times.length ? String(beatNotes[times[0]]) : "-";
-    }
-    if (notesString) notesString += ",";
-    notesString += "(" + row + "," + sequence + ")";
-  }
-
-  var riffId = "recorded_" + String(Date.now());
-  var result = {
-    id: riffId,
-    name: "Recorded riff",
-    notes: notesString,
-    events: events
+/**
+ * Turns MIDI file notes ([{ note, startQuarters, durationQuarters }], see MidiFileReader) into a riff at
+ * bpm (quarter notes per minute, as in the file). The riff's bpm counts the time signature's unit, so 6/8
+ * imports keep their speed. Each pitch goes to the cell nearest the previous note, so lines stay in one
+ * position on the bricks. Returns null when no note fits the fretspace.
+ */
+Fretscape.prototype.midiNotesToRiff = function (notes, bpm, name) {
+  var beatsPerQuarter = this._timeSignature.unit / 4;
+  var unitBpm = bpm * beatsPerQuarter;
+  var beatMs = 60000 / unitBpm;
+  var events = [];
+  var reference = null;
+  for (var i = 0; i < notes.length; i++) {
+    var cell = this._findNearestCellForPitch(notes[i].note - Fretscape.LOW_E_MIDI_NOTE, reference);
+    if (!cell) continue;
+    reference = cell;
+    events.push({
+      xCw: cell.xCw,
+      yCw: cell.yCw,
+      timeMs: notes[i].startQuarters * beatsPerQuarter * beatMs,
+      durationMs: notes[i].durationQuarters * beatsPerQuarter * beatMs
+    });
+  }
+  if (!events.length) return null;
+  return this._buildRiffFromEvents({ id: "midi_" + String(Date.now()), name: name, events: events, bpm: unitBpm });
+};
+
+/**
+ * Turns tab notes ([{ string, fret, startBeat }], string low = 0, see TabReader) into a notes-string riff on a
+ * stepsPerBeat grid of lengthBeats. When every chord of the progression gets the first chord's figure moved to
+ * its own root (a boogie or bass pattern written out chord by chord), the riff is that figure relative to the
+ * chord root (context "chord"); otherwise the whole tab stays relative to the key's "1" (context "key").
+ * Returns null when no note lands on the fretspace.
+ */
+Fretscape.prototype.tabNotesToRiff = function (notes, stepsPerBeat, lengthBeats, name) {
+  var placed = [];
+  for (var i = 0; i < notes.length; i++) {
+    var cell = this._stringFretToWorldCell(notes[i].string, notes[i].fret);
+    if (!cell) continue;
+    placed.push({
+      cell: cell,
+      step: Math.round(notes[i].startBeat * stepsPerBeat),
+      semitone: this._tuning.getOpenSemitone(notes[i].string) + notes[i].fret
+    });
+  }
+  if (!placed.length) return null;
+  var chordFigure = this._findTabChordFigure(placed, stepsPerBeat, lengthBeats);
+  var notation = new RiffNotation("");
+  notation.setStepCount(chordFigure ? chordFigure.stepCount : Math.max(1, Math.ceil(lengthBeats * stepsPerBeat)));
+  for (var p = 0; p < placed.length; p++) {
+    if (placed[p].step >= notation.getStepCount()) continue;
+    var offset = chordFigure
+      ? this._worldToFretspaceDeltaFromRoot(chordFigure.root, placed[p].cell)
+      : this.getKeyRootOffset(placed[p].cell);
+    /* A row holds one note per step; the first of two colliding notes wins, as in RiffTake. */
+    if (!offset || notation.getCell(offset.y, placed[p].step) !== null) continue;
+    notation.setCell(offset.y, placed[p].step, offset.x);
+  }
+  var riff = {
+    id: "tab_" + String(Date.now()),
+    name: name || "Tab riff",
+    notes: notation.toString(),
+    context: chordFigure ? "chord" : "key"
   };
-  return result;
+  if (stepsPerBeat > 1) riff.stepsPerBeat = stepsPerBeat;
+  return riff;
+};
+
+/**
+ * Checks whether placed tab notes ({ step, semitone }) repeat the first chord's figure on each following
+ * chord, moved by the distance between the chords' roots (give or take octaves). Needs at least two chords
+ * of equal length in the tab and one that actually moves. Returns { root, stepCount } with the first chord's
+ * root cell and the figure's length in steps, or null.
+ */
+Fretscape.prototype._findTabChordFigure = function (placed, stepsPerBeat, lengthBeats) {
+  var rootEntries = this._getActiveProgressionRootEntries();
+  if (rootEntries.length < 2) return null;
+  var chordBeats = rootEntries[0].beats;
+  var chordCount = Math.floor(lengthBeats / chordBeats);
+  if (chordCount < 2) return null;
+  var chordSteps = Math.round(chordBeats * stepsPerBeat);
+  var figures = [];
+  for (var k = 0; k < chordCount; k++) figures.push([]);
+  for (var i = 0; i < placed.length; i++) {
+    var index = Math.floor(placed[i].step / chordSteps);
+    if (index < chordCount) figures[index].push({ step: placed[i].step - index * chordSteps, semitone: placed[i].semitone });
+  }
+  for (var f = 0; f < figures.length; f++) {
+    figures[f].sort(function (a, b) { return a.step - b.step || a.semitone - b.semitone; });
+  }
+  if (!figures[0].length) return null;
+  var firstPlan = this._getProgressionBeatPlan(0, rootEntries);
+  if (!firstPlan || !firstPlan.shape) return null;
+  var firstRoot = this._getDotSemitoneFromLowE(firstPlan.shape.root.xCw, firstPlan.shape.root.yCw);
+  var moves = false;
+  for (var c = 1; c < chordCount; c++) {
+    if (rootEntries[c % rootEntries.length].beats !== chordBeats) return null;
+    var plan = this._getProgressionBeatPlan(c * chordBeats, rootEntries);
+    if (!plan || !plan.shape || figures[c].length !== figures[0].length) return null;
+    var rootShift = this._getDotSemitoneFromLowE(plan.shape.root.xCw, plan.shape.root.yCw) - firstRoot;
+    var shift = figures[c][0].semitone - figures[0][0].semitone;
+    if ((((shift - rootShift) % 12) + 12) % 12 !== 0) return null;
+    for (var n = 0; n < figures[0].length; n++) {
+      if (figures[c][n].step !== figures[0][n].step) return null;
+      if (figures[c][n].semitone - figures[0][n].semitone !== shift) return null;
+    }
+    if (shift % 12 !== 0) moves = true;
+  }
+  return moves ? { root: firstPlan.shape.root, stepCount: chordSteps } : null;
+};
+
+/**
+ * Builds a key-relative riff (events and notes string) from world-cell events through RiffTake.
+ */
+Fretscape.prototype._buildRiffFromEvents = function (source) {
+  var self = this;
+  return new RiffTake(source).toRiff(function (cell) {
+    return self.getKeyRootOffset(cell);
+  });
 };
 
 /**
@@ -403,7 +836,7 @@ Fretscape.prototype._normalizeStrumBeatToken = function (token) {
 };
 
 /**
- * Parses a strum pattern payload into 4 normalized beat tokens.
+ * Parses a strum pattern payload into normalized beat tokens (any count; see _buildStrumTimeline).
  */
 Fretscape.prototype._parseStrumPatternBeats = function (beatsValue) {
   var tokens = [];
@@ -413,21 +846,28 @@ Fretscape.prototype._parseStrumPatternBeats = function (beatsValue) {
     tokens = beatsValue.split(",");
   }
   var beats = [];
-  for (var i = 0; i < this._progressionBeatsPerChord; i++) {
-    var token = i < tokens.length ? tokens[i] : "-";
-    beats.push(this._normalizeStrumBeatToken(token));
+  for (var i = 0; i < tokens.length; i++) {
+    beats.push(this._normalizeStrumBeatToken(tokens[i]));
   }
   return beats;
 };
 
 /**
- * Builds a strum timeline with beat offsets for d/u/s actions inside one 4-beat bar.
+ * Returns true when a strum pattern is selected (strum replaces the bass run).
+ */
+Fretscape.prototype._hasActiveStrum = function () {
+  return !!(this._activeStrumBeats && this._activeStrumBeats.length);
+};
+
+/**
+ * Builds a strum timeline with beat offsets for d/u/s actions inside one bar of the current meter.
+ * Pattern beats repeat when the bar is longer than the pattern and are cut off when it is shorter.
  */
 Fretscape.prototype._buildStrumTimeline = function (strumBeats) {
   var timeline = [];
   if (!strumBeats || !strumBeats.length) return timeline;
-  for (var beat = 0; beat < this._progressionBeatsPerChord; beat++) {
-    var token = this._normalizeStrumBeatToken(strumBeats[beat] || "-");
+  for (var beat = 0; beat < this._getBeatsPerBar(); beat++) {
+    var token = this._normalizeStrumBeatToken(strumBeats[beat % strumBeats.length]);
     var steps = token ? token.split("") : ["-"];
     var stepSize = 1 / Math.max(1, steps.length);
     for (var step = 0; step < steps.length; step++) {
@@ -466,76 +906,39 @@ Fretscape.prototype._clearProgressionPulse = function () {
   this._progressionPulseFromCells = [];
   this._progressionPulseToCells = [];
   this._progressionPulseProgress = 0;
+  this._articulationGlides = [];
 };
 
 /**
- * Parses a roman-numeral degree token and returns degree index + accidental.
+ * Parses a progression chord token ("V7", "ii7", "bVII", "vi/3", "V/V", ...) into a ChordSymbol on the
+ * active scale's degrees, or null.
  */
 Fretscape.prototype._parseDegreeToken = function (degreeToken) {
-  if (typeof degreeToken !== "string") return null;
-  var token = degreeToken.trim();
-  if (!token) return null;
-  var accidental = 0;
-  while (token.charAt(0) === "#" || token.charAt(0) === "b") {
-    accidental += token.charAt(0) === "#" ? 1 : -1;
-    token = token.slice(1);
-  }
-  if (!token) return null;
-  var degree = token.toUpperCase();
-  var degreeOrder = ["I", "II", "III", "IV", "V", "VI", "VII"];
-  var degreeIndex = degreeOrder.indexOf(degree);
-  if (degreeIndex < 0) return null;
-  return { degreeIndex: degreeIndex, accidental: accidental };
+  return ChordSymbol.parse(degreeToken, this._scale.getDegreeSemitones());
 };
 
 /**
- * Converts a scale-degree token (for example "vi" or "bVII") into semitone offset from I.
+ * Converts a chord token (for example "vi" or "bVII7") into its root's semitone offset from I.
  */
 Fretscape.prototype._degreeToSemitoneOffset = function (degreeToken) {
-  var parsed = this._parseDegreeToken(degreeToken);
-  if (!parsed) return null;
-  var scaleSemitones = [0, 2, 4, 5, 7, 9, 11];
-  var semitone = scaleSemitones[parsed.degreeIndex] + parsed.accidental;
-  return ((semitone % 12) + 12) % 12;
-};
-
-/**
- * Returns the diatonic scale-index (0..6) for a degree token, or null if invalid.
- */
-Fretscape.prototype._degreeToScaleIndex = function (degreeToken) {
-  var parsed = this._parseDegreeToken(degreeToken);
-  return parsed ? parsed.degreeIndex : null;
+  var chord = this._parseDegreeToken(degreeToken);
+  return chord ? chord.getRootSemitone() : null;
 };
 
 /**
- * Returns the semitone for the scale-tone between a chord root and its fifth (the chord third).
+ * Returns the semitone offset from I of a chord token's third (or the sus note that replaces it).
  */
 Fretscape.prototype._getThirdSemitoneOffsetForDegree = function (degreeToken) {
-  var rootSemitone = this._degreeToSemitoneOffset(degreeToken);
-  var rootScaleIndex = this._degreeToScaleIndex(degreeToken);
-  if (rootSemitone === null || rootScaleIndex === null) return null;
-  var thirdIntervalsByScaleIndex = [4, 3, 3, 4, 4, 3, 3];
-  var interval = thirdIntervalsByScaleIndex[rootScaleIndex];
-  return ((rootSemitone + interval) % 12 + 12) % 12;
+  var chord = this._parseDegreeToken(degreeToken);
+  if (!chord) return null;
+  return (chord.getRootSemitone() + chord.getThirdInterval()) % 12;
 };
 
 /**
- * Converts a Brick cell label (for example "4" or "b6") into semitone offset from "1".
+ * Converts a Brick cell label in any scale's spelling (for example "4", "b6" or "#4") into semitone offset from "1".
  */
 Fretscape.prototype._cellLabelToSemitoneOffset = function (labelToken) {
-  if (typeof labelToken !== "string") return null;
-  var token = labelToken.trim();
-  if (!token) return null;
-  var accidental = 0;
-  while (token.charAt(0) === "#" || token.charAt(0) === "b") {
-    accidental += token.charAt(0) === "#" ? 1 : -1;
-    token = token.slice(1);
-  }
-  var degreeNum = parseInt(token, 10);
-  if (!degreeNum || degreeNum < 1 || degreeNum > 7) return null;
-  var degreeSemitones = [0, 2, 4, 5, 7, 9, 11];
-  var semitone = degreeSemitones[degreeNum - 1] + accidental;
-  return ((semitone % 12) + 12) % 12;
+  return ChordSymbol.degreeLabelToSemitone(labelToken);
 };
 
 /**
@@ -565,7 +968,7 @@ Fretscape.prototype._findRootCellInFirstBrick = function (degreeToken) {
     for (var c = 0; c < data[r].length; c++) {
       var cellSemitone = this._cellLabelToSemitoneOffset(data[r][c]);
       if (cellSemitone === targetSemitone) {
-        return { xCw: firstBrick.xCw + c, yCw: firstBrick.yCw + r };
+        return this._getBrickCellWorld(firstBrick, r, c);
       }
     }
   }
@@ -587,7 +990,7 @@ Fretscape.prototype._findRootCellOnTopStringsInFirstBrick = function (degreeToke
     for (var c = 0; c < data[r].length; c++) {
       var cellSemitone = this._cellLabelToSemitoneOffset(data[r][c]);
       if (cellSemitone === targetSemitone) {
-        return { xCw: firstBrick.xCw + c, yCw: firstBrick.yCw + r };
+        return this._getBrickCellWorld(firstBrick, r, c);
       }
     }
   }
@@ -608,7 +1011,7 @@ Fretscape.prototype._findNearestCellInFirstBrickBySemitone = function (targetSem
     for (var c = 0; c < data[r].length; c++) {
       var cellSemitone = this._cellLabelToSemitoneOffset(data[r][c]);
       if (cellSemitone !== targetSemitone) continue;
-      var candidate = { xCw: firstBrick.xCw + c, yCw: firstBrick.yCw + r };
+      var candidate = this._getBrickCellWorld(firstBrick, r, c);
       var dx = referenceCell ? candidate.xCw - referenceCell.xCw : 0;
       var dy = referenceCell ? candidate.yCw - referenceCell.yCw : 0;
       var dist = referenceCell ? (dx * dx + dy * dy) : 0;
@@ -622,19 +1025,20 @@ Fretscape.prototype._findNearestCellInFirstBrickBySemitone = function (targetSem
 };
 
 /**
- * Builds root entries for the active progression on the first brick.
+ * Builds root entries for the active progression (its loop range, see setLoopRange) on the first brick.
  */
 Fretscape.prototype._getActiveProgressionRootEntries = function () {
   var entries = [];
   if (!this._activeProgressionDegrees || !this._activeProgressionDegrees.length) return entries;
   var firstBrick = this.bricks.length ? this.bricks[0] : null;
   var canReadBrickLabels = !!(firstBrick && firstBrick.brick && firstBrick.brick.cellData);
-  for (var i = 0; i < this._activeProgressionDegrees.length; i++) {
+  var range = this._getLoopChordRange();
+  for (var i = range.start; i <= range.end; i++) {
     var token = this._activeProgressionDegrees[i];
     if (canReadBrickLabels) {
       var rootCell = this._findRootCellInFirstBrick(token);
       if (rootCell) {
-        entries.push({ degreeToken: token, rootCell: rootCell });
+        entries.push({ degreeToken: token, rootCell: rootCell, beats: this._getChordBeats(i) });
         continue;
       }
     }
@@ -643,7 +1047,7 @@ Fretscape.prototype._getActiveProgressionRootEntries = function () {
     var offset = this._semitoneToFretspaceOffset(semitone);
     var fallbackRoot = this._fretspaceDeltaToWorldFromRoot(this._getOneCellCenter(), offset.x, offset.y);
     if (!fallbackRoot) continue;
-    entries.push({ degreeToken: token, rootCell: fallbackRoot });
+    entries.push({ degreeToken: token, rootCell: fallbackRoot, beats: this._getChordBeats(i) });
   }
   return entries;
 };
@@ -671,7 +1075,8 @@ Fretscape.prototype._getCellAboveInFirstBrick = function (cell) {
   var maxY = firstBrick.yCw + this.brickHeightCw - 1;
   var targetY = cell.yCw - 1;
   if (targetY < minY || targetY > maxY) return null;
-  return { xCw: cell.xCw, yCw: targetY };
+  /* Same brick column, so undo this row's kink shift and apply the target row's. */
+  return { xCw: cell.xCw - this._getKinkShiftCw(cell.yCw) + this._getKinkShiftCw(targetY), yCw: targetY };
 };
 
 /**
@@ -686,6 +1091,11 @@ Fretscape.prototype._getChordShapeForRootIndex = function (rootEntries, rootInde
   var fifth = this._getCellAboveInFirstBrick(root);
   var thirdSemitone = this._getThirdSemitoneOffsetForDegree(entry.degreeToken);
   var third = thirdSemitone === null ? null : this._findNearestCellInFirstBrickBySemitone(thirdSemitone, root);
+  var chord = third ? null : this._parseDegreeToken(entry.degreeToken);
+  if (chord) {
+    /* Thirds outside the brick's scale (e.g. the major third of III) sit just above the root. */
+    third = this._getChordToneCell(root, chord.getThirdInterval());
+  }
   return { root: root, third: third || root, fifth: fifth || root };
 };
 
@@ -699,8 +1109,8 @@ Fretscape.prototype._getEshape513ForDegreeToken = function (degreeToken, fallbac
   var rootSemitone = this._degreeToSemitoneOffset(degreeToken);
   var thirdSemitone = this._getThirdSemitoneOffsetForDegree(degreeToken);
   var thirdInterval = (rootSemitone === null || thirdSemitone === null) ? 3 : ((thirdSemitone - rootSemitone + 12) % 12);
-  var thirdXDelta = thirdInterval === 4 ? -1 : -2; /* Major => -1, minor/diminished => -2. */
-  var third = this._fretspaceDeltaToWorldFromRoot(root, thirdXDelta, 1);
+  /* One row up is +5, so major => -1, minor => -2, sus4 => 0, sus2 => -3. */
+  var third = this._fretspaceDeltaToWorldFromRoot(root, thirdInterval - 5, 1);
   var fifth = this._fretspaceDeltaToWorldFromRoot(root, 0, -1);
   return {
     root: root,
@@ -778,18 +1188,72 @@ Fretscape.prototype._getBassRunShapeForChordIndex = function (rootEntries, chord
   } else if (spec && spec.shapeStrategy === "cshape1351") {
     shape = this._getCshape1351ForDegreeToken(chordEntry && chordEntry.degreeToken, shape);
   }
-  return shape;
+  return this._addChordTones(shape, chordEntry && chordEntry.degreeToken);
+};
+
+/**
+ * Adds a chord token's quality and colour to a root/third/fifth shape: moves the fifth for diminished and
+ * augmented chords, and adds the seventh (below the root), colour tones (above it) and the slash bass note.
+ * Returns { root, third, fifth, seventh, colors: [cell], bass, chord }; seventh is null without one, bass is the
+ * root unless the token names another bass note, chord is the parsed ChordSymbol (null when unparsable).
+ */
+Fretscape.prototype._addChordTones = function (shape, degreeToken) {
+  var chord = this._parseDegreeToken(degreeToken);
+  var result = { root: shape.root, third: shape.third, fifth: shape.fifth, seventh: null, colors: [], bass: shape.root, chord: chord };
+  if (!chord || !shape.root) return result;
+  var fifthInterval = chord.getFifthInterval();
+  if (fifthInterval !== 7 && shape.fifth) {
+    result.fifth = this._fretspaceDeltaToWorldFromRoot(shape.fifth, fifthInterval - 7, 0) || shape.fifth;
+  }
+  var seventhInterval = chord.getSeventhInterval();
+  if (seventhInterval !== null) {
+    result.seventh = this._getChordToneCell(shape.root, seventhInterval - 12);
+  }
+  var extras = chord.getExtraIntervals();
+  for (var i = 0; i < extras.length; i++) {
+    var color = this._getChordToneCell(shape.root, extras[i]);
+    if (color) result.colors.push(color);
+  }
+  var bassInterval = chord.getBassInterval();
+  if (bassInterval !== null && bassInterval !== 0) {
+    result.bass = this._getChordToneCell(shape.root, bassInterval - 12) || shape.root;
+  }
+  return result;
+};
+
+/**
+ * Returns the cell semitones above (negative: below) a chord root, on the nearest compact fretspace offset.
+ */
+Fretscape.prototype._getChordToneCell = function (rootCell, semitones) {
+  var offset = this._semitoneToFretspaceOffset(semitones);
+  return this._fretspaceDeltaToWorldFromRoot(rootCell, offset.x, offset.y);
 };
 
 /**
- * Resolves a bass-run token ("root","third","fifth","hold","rest") to a shape cell.
+ * Resolves a bass-run token ("root","third","fifth","seventh","hold","rest") to a shape cell.
+ * "root" plays the slash bass note when the chord has one; "seventh" falls back to the root.
  */
 Fretscape.prototype._resolveBassRunTokenCell = function (shape, token) {
   if (!shape || token === "rest") return null;
   if (token === "hold") return shape.root || null;
   if (token === "third") return shape.third || shape.root || null;
   if (token === "fifth") return shape.fifth || shape.root || null;
-  return shape.root || null;
+  if (token === "seventh") return shape.seventh || shape.root || null;
+  return shape.bass || shape.root || null;
+};
+
+/**
+ * Returns the cells a strum strikes low to high: bass/root, third, fifth, then seventh and colour tones.
+ */
+Fretscape.prototype._getStrumCells = function (shape) {
+  var cells = [];
+  var tokens = ["root", "third", "fifth"];
+  for (var t = 0; t < tokens.length; t++) {
+    var cell = this._resolveBassRunTokenCell(shape, tokens[t]);
+    if (cell) cells.push(cell);
+  }
+  if (shape.seventh) cells.push(shape.seventh);
+  return cells.concat(shape.colors || []);
 };
 
 /**
@@ -807,13 +1271,13 @@ Fretscape.prototype._buildBassRunNoteEvents = function (shape, token, beatInChor
 };
 
 /**
- * Builds timed strum note events for one beat from active d/u/s timeline.
+ * Builds timed strum note events for one beat of the bar from active d/u/s timeline.
  */
-Fretscape.prototype._buildStrumNoteEventsForBeat = function (shape, beatInChord) {
+Fretscape.prototype._buildStrumNoteEventsForBeat = function (shape, beatInBar) {
   var events = [];
   if (!shape || !this._activeStrumTimeline || !this._activeStrumTimeline.length) return events;
-  var barBeats = this._progressionBeatsPerChord;
-  var beatStart = beatInChord;
+  var barBeats = this._getBeatsPerBar();
+  var beatStart = beatInBar;
   var beatEnd = beatStart + 1;
   var strokeDelay = Math.max(0.01, this._strumStrokeGapBeats || 0.05);
   for (var i = 0; i < this._activeStrumTimeline.length; i++) {
@@ -842,10 +1306,10 @@ Fretscape.prototype._buildStrumNoteEventsForBeat = function (shape, beatInChord)
         break;
       }
     }
-    var order = action.symbol === "u" ? ["fifth", "third", "root"] : ["root", "third", "fifth"];
+    var order = this._getStrumCells(shape);
+    if (action.symbol === "u") order.reverse();
     for (var step = 0; step < order.length; step++) {
-      var strikeCell = this._resolveBassRunTokenCell(shape, order[step]);
-      if (!strikeCell) continue;
+      var strikeCell = order[step];
       var strikeBeat = action.time + step * strokeDelay;
       if (strikeBeat >= nextBoundary || strikeBeat >= barBeats) continue;
       var delayBeats = strikeBeat - beatStart;
@@ -866,7 +1330,7 @@ Fretscape.prototype._buildStrumNoteEventsForBeat = function (shape, beatInChord)
  * Returns playback guide token sequence, with strum taking precedence when selected.
  */
 Fretscape.prototype._getProgressionGuideSequence = function () {
-  if (this._activeStrumBeats && this._activeStrumBeats.length === this._progressionBeatsPerChord) {
+  if (this._hasActiveStrum()) {
     return ["root", "third", "fifth"];
   }
   var spec = this._getBassRunSpec();
@@ -887,9 +1351,10 @@ Fretscape.prototype._getBassRunRestAnchor = function (rootEntries, chordIndex, s
 Fretscape.prototype._getProgressionBeatPlan = function (beatIndex, rootEntries) {
   if (!rootEntries || !rootEntries.length) return null;
   var spec = this._getBassRunSpec();
-  var chordIndex = Math.floor(beatIndex / this._progressionBeatsPerChord);
-  var beatInChord = beatIndex % this._progressionBeatsPerChord;
-  var hasStrum = !!(this._activeStrumBeats && this._activeStrumBeats.length === this._progressionBeatsPerChord);
+  var position = this._locateProgressionBeat(beatIndex, rootEntries);
+  var chordIndex = position.chordIndex;
+  var beatInChord = position.beatInChord;
+  var hasStrum = this._hasActiveStrum();
   var shapeSpec = hasStrum ? { shapeStrategy: "cshape1351" } : spec;
   var shape = this._getBassRunShapeForChordIndex(rootEntries, chordIndex, shapeSpec);
   if (!shape) return null;
@@ -898,38 +1363,18 @@ Fretscape.prototype._getProgressionBeatPlan = function (beatIndex, rootEntries)
   var noteEvents = [];
   var noteCells = [];
 
-  // Event-based riffs are scheduled separately; we don't queue anything
-  // here so that the standard per-beat logic doesn't interfere.  pulse
-  // visualization relies on _riffEventVisuals instead.
-  if (this._activeRiffEvents && this._activeRiffEvents.length) {
-    // intentionally empty
-  }
-
-  // per-beat riff grid (variable beat count per riff)
-  if (!noteCells.length && this._activeRiffBeats && this._activeRiffBeats.length > 0) {
-    var riffBeatCount = this._activeRiffBeats.length;
-    var riffBeatIndex = beatIndex % riffBeatCount;
-    var riffBeat = this._activeRiffBeats[riffBeatIndex];
-    
-    // Determine root based on riff context property
-    var riffRoot = this._getOneCellCenter(); // default to key-relative
-    if (this._activeRiff && this._activeRiff.context === "chord") {
-      // Use chord-relative root instead of key-relative
-      riffRoot = shape.root;
-    }
-    // else: context is "key" or undefined (default), use key-relative root
-    
-    if (riffBeat && riffBeat.length) {
-      for (var r = 0; r < riffBeat.length; r++) {
-        var point = this._fretspaceDeltaToWorldFromRoot(riffRoot, riffBeat[r].x, riffBeat[r].y);
-        if (!point) continue;
-        noteCells.push(point);
-        noteEvents.push({ cell: point, delayBeats: 0, durationBeats: 1 });
-      }
+  // per-beat riff grid or recorded riff events; in practice mode the riff becomes targets and the backing keeps playing
+  var riffEvents = (this._activeRiffEvents && this._activeRiffEvents.length)
+    ? this._buildRiffEventNoteEventsForBeat(beatIndex, rootEntries)
+    : this._buildRiffNoteEventsForBeat(beatIndex, shape);
+  if (!this._isPracticeMode) {
+    for (var r = 0; r < riffEvents.length; r++) {
+      noteCells.push(riffEvents[r].cell);
+      noteEvents.push(riffEvents[r]);
     }
   }
   if (!noteCells.length && hasStrum) {
-    noteEvents = this._buildStrumNoteEventsForBeat(shape, beatInChord);
+    noteEvents = this._buildStrumNoteEventsForBeat(shape, position.beatInBar);
     for (var s = 0; s < noteEvents.length; s++) {
       noteCells.push(noteEvents[s].cell);
     }
@@ -954,11 +1399,93 @@ Fretscape.prototype._getProgressionBeatPlan = function (beatIndex, rootEntries)
     noteCell: noteCells.length ? noteCells[0] : tokenCell,
     noteCells: noteCells,
     noteEvents: noteEvents,
+    riffEvents: riffEvents,
     anchorCell: anchorCell,
-    shape: shape
+    shape: shape,
+    beatInBar: position.beatInBar
   };
 };
 
+/**
+ * Builds timed riff note events for one beat of the riff step grid. Each beat takes the next stepsPerBeat
+ * steps, evenly spaced; the grid loops over its own step count. Notes with marks carry articulation and,
+ * for approaches, fromCell: the previous note on their row, or for a slide with none, a cell
+ * slideInSemitones below (slide up) or above (slide down).
+ */
+Fretscape.prototype._buildRiffNoteEventsForBeat = function (beatIndex, shape) {
+  var events = [];
+  if (!this._activeRiffBeats || !this._activeRiffBeats.length) return events;
+  var stepsPerBeat = this._activeRiffStepsPerBeat;
+  // Determine root based on riff context property: "chord" is chord-relative, "key" or undefined is key-relative
+  var riffRoot = (this._activeRiff && this._activeRiff.context === "chord" && shape) ? shape.root : this._getOneCellCenter();
+  for (var k = 0; k < stepsPerBeat; k++) {
+    var riffStep = this._activeRiffBeats[(beatIndex * stepsPerBeat + k) % this._activeRiffBeats.length];
+    for (var r = 0; r < riffStep.length; r++) {
+      var note = riffStep[r];
+      var point = this._fretspaceDeltaToWorldFromRoot(riffRoot, note.x, note.y);
+      if (!point) continue;
+      var event = { kind: "riff", cell: point, delayBeats: k / stepsPerBeat, durationBeats: 1 / stepsPerBeat };
+      if (note.marks) {
+        event.articulation = RiffNotation.getArticulation(note.marks);
+        var approach = event.articulation.approach;
+        if (note.from) {
+          event.fromCell = this._fretspaceDeltaToWorldFromRoot(riffRoot, note.from.x, note.from.y);
+        } else if (approach === "slideUp" || approach === "slideDown") {
+          var slideIn = Fretscape.ARTICULATION.slideInSemitones;
+          event.fromCell = this._shiftCellOnRow(point, approach === "slideUp" ? -slideIn : slideIn);
+        }
+      }
+      events.push(event);
+    }
+  }
+  return events;
+};
+
+/**
+ * Builds timed note events for one beat of a recorded (event) riff. The riff loops over as many whole
+ * progression passes as it takes to reach its last note.
+ */
+Fretscape.prototype._buildRiffEventNoteEventsForBeat = function (beatIndex, rootEntries) {
+  var events = [];
+  if (!this._activeRiffEventBeats || !this._activeRiffEventBeats.length || !rootEntries.length) return events;
+  var loopBeats = this._getRiffEventLoopBeats(this._getProgressionLoopBeats(rootEntries));
+  var loopBeat = beatIndex % loopBeats;
+  for (var i = 0; i < this._activeRiffEventBeats.length; i++) {
+    var ev = this._activeRiffEventBeats[i];
+    if (ev.startBeat < loopBeat || ev.startBeat >= loopBeat + 1) continue;
+    events.push({
+      kind: "riff",
+      cell: this._getRiffEventCell(ev),
+      delayBeats: ev.startBeat - loopBeat,
+      durationBeats: ev.durationBeats
+    });
+  }
+  return events;
+};
+
+/**
+ * Returns the world cell of a recorded-riff event: its key-root offset when stored, else its recorded cell.
+ */
+Fretscape.prototype._getRiffEventCell = function (ev) {
+  if (!ev.offset) return { xCw: ev.xCw, yCw: ev.yCw };
+  return this._fretspaceDeltaToWorldFromRoot(this._getOneCellCenter(), ev.offset.x, ev.offset.y);
+};
+
+/**
+ * Returns recorded-riff loop length in beats: the riff's own loopBeats when set, else whole progression
+ * loops covering the last note start.
+ */
+Fretscape.prototype._getRiffEventLoopBeats = function (progressionLoopBeats) {
+  if (this._activeRiff && typeof this._activeRiff.loopBeats === "number" && this._activeRiff.loopBeats > 0) {
+    return this._activeRiff.loopBeats;
+  }
+  var lastStart = 0;
+  for (var i = 0; i < this._activeRiffEventBeats.length; i++) {
+    lastStart = Math.max(lastStart, this._activeRiffEventBeats[i].startBeat);
+  }
+  return progressionLoopBeats * Math.max(1, Math.floor(lastStart / progressionLoopBeats) + 1);
+};
+
 /**
  * Returns interpolated cell coordinate between two cells for normalized t in [0,1].
  */
@@ -1006,38 +1533,195 @@ Fretscape.prototype.isProgressionPlaybackActive = function () {
 };
 
 /**
- * Returns one quarter-note duration in milliseconds for progression playback.
+ * Parses a time signature like "3/4" or "6/8" into { beats, unit }. Missing or invalid values mean 4/4.
+ */
+Fretscape.prototype._parseTimeSignature = function (value) {
+  var match = /^\s*(\d+)\s*\/\s*(\d+)\s*$/.exec(typeof value === "string" ? value : "");
+  var beats = match ? parseInt(match[1], 10) : 0;
+  var unit = match ? parseInt(match[2], 10) : 0;
+  if (!beats || beats > 32 || [1, 2, 4, 8, 16].indexOf(unit) < 0) {
+    return { beats: 4, unit: 4 };
+  }
+  return { beats: beats, unit: unit };
+};
+
+/**
+ * Returns the active time signature as { beats, unit }.
+ */
+Fretscape.prototype.getTimeSignature = function () {
+  return { beats: this._timeSignature.beats, unit: this._timeSignature.unit };
+};
+
+/**
+ * Returns beats per bar of the active time signature.
+ */
+Fretscape.prototype._getBeatsPerBar = function () {
+  return this._timeSignature.beats;
+};
+
+/**
+ * Returns length in beats of chord i of the active progression: its "durations" entry, else one bar.
+ */
+Fretscape.prototype._getChordBeats = function (chordIndex) {
+  var durations = this._activeProgressionDurations;
+  var value = durations ? parseFloat(durations[chordIndex]) : NaN;
+  if (!isFinite(value) || value <= 0) return this._getBeatsPerBar();
+  return Math.max(1, Math.round(value));
+};
+
+/**
+ * Returns length in beats of every chord played in one loop: the loop range, else the whole progression
+ * (empty without a progression).
+ */
+Fretscape.prototype.getProgressionChordBeats = function () {
+  var list = [];
+  if (!this._activeProgressionDegrees) return list;
+  var range = this._getLoopChordRange();
+  for (var i = range.start; i <= range.end; i++) {
+    list.push(this._getChordBeats(i));
+  }
+  return list;
+};
+
+/**
+ * Loops chords startChord..endChord (0-based, inclusive) of the active progression instead of all of it.
+ * null clears the range; indexes are clamped to the progression and a reversed range is swapped.
+ * Choosing another progression clears the range.
+ */
+Fretscape.prototype.setLoopRange = function (startChord, endChord) {
+  var count = this._activeProgressionDegrees ? this._activeProgressionDegrees.length : 0;
+  var start = parseInt(startChord, 10);
+  var end = parseInt(endChord, 10);
+  if (!count || isNaN(start) || isNaN(end)) {
+    this._loopRange = null;
+    return;
+  }
+  start = Math.max(0, Math.min(count - 1, start));
+  end = Math.max(0, Math.min(count - 1, end));
+  this._loopRange = { start: Math.min(start, end), end: Math.max(start, end) };
+  this.render();
+};
+
+/**
+ * Returns the loop range { start, end }, or null when the whole progression loops.
+ */
+Fretscape.prototype.getLoopRange = function () {
+  return this._loopRange ? { start: this._loopRange.start, end: this._loopRange.end } : null;
+};
+
+/**
+ * Returns chord indexes { start, end } played in one loop (the whole progression without a range).
+ */
+Fretscape.prototype._getLoopChordRange = function () {
+  if (this._loopRange) return this._loopRange;
+  var count = this._activeProgressionDegrees ? this._activeProgressionDegrees.length : 0;
+  return { start: 0, end: count - 1 };
+};
+
+/**
+ * Returns beats in one pass of the progression.
+ */
+Fretscape.prototype._getProgressionLoopBeats = function (rootEntries) {
+  var total = 0;
+  for (var i = 0; i < rootEntries.length; i++) {
+    total += rootEntries[i].beats;
+  }
+  return total;
+};
+
+/**
+ * Locates a transport beat in the progression: { chordIndex, beatInChord, beatInBar }.
+ * chordIndex keeps counting across loops; bars restart at the top of every loop.
+ */
+Fretscape.prototype._locateProgressionBeat = function (beatIndex, rootEntries) {
+  var loopBeats = this._getProgressionLoopBeats(rootEntries);
+  var loopIndex = Math.floor(beatIndex / loopBeats);
+  var loopBeat = beatIndex - loopIndex * loopBeats;
+  var chordStart = 0;
+  var entryIndex = 0;
+  while (entryIndex < rootEntries.length - 1 && loopBeat >= chordStart + rootEntries[entryIndex].beats) {
+    chordStart += rootEntries[entryIndex].beats;
+    entryIndex++;
+  }
+  return {
+    chordIndex: loopIndex * rootEntries.length + entryIndex,
+    beatInChord: loopBeat - chordStart,
+    beatInBar: loopBeat % this._getBeatsPerBar()
+  };
+};
+
+/**
+ * Returns one beat duration in milliseconds for progression playback (a beat is the time signature's unit).
  */
 Fretscape.prototype._getProgressionBeatMs = function () {
   return 60000 / this._progressionBpm;
 };
 
 /**
- * Sets progression playback tempo in BPM (clamped to 60..200).
+ * Sets progression playback tempo in BPM (clamped to 60..200). atTransportBeat (optional) is the transport
+ * beat the change lands on; default is now.
  */
-Fretscape.prototype.setProgressionBpm = function (bpm) {
+Fretscape.prototype.setProgressionBpm = function (bpm, atTransportBeat) {
   var next = parseInt(bpm, 10);
   if (!next || next < 60) next = 60;
   if (next > 200) next = 200;
   this._progressionBpm = next;
-  if (this._isProgressionPlaying) {
-    this._restartProgressionBeatTimer();
-  }
+  /* The transport keeps the current beat phase, so a tempo change never restarts the bar. */
+  this._transport.setBpm(next, atTransportBeat);
+};
+
+/**
+ * Returns progression playback tempo in BPM (the live tempo while a ramp runs).
+ */
+Fretscape.prototype.getProgressionBpm = function () {
+  return this._progressionBpm;
 };
 
 /**
- * Restarts beat interval using current BPM while preserving beat index.
+ * Sets a practice tempo ramp: playback starts at startBpm and speeds up by stepBpm every everyLoops loops
+ * until targetBpm. null turns the ramp off (the tempo stays where it is).
  */
-Fretscape.prototype._restartProgressionBeatTimer = function () {
-  if (this._progressionBeatTimer !== null) {
-    window.clearInterval(this._progressionBeatTimer);
-    this._progressionBeatTimer = null;
+Fretscape.prototype.setTempoRamp = function (ramp) {
+  if (!ramp || typeof ramp !== "object") {
+    this._tempoRamp = null;
+    return;
   }
-  if (!this._isProgressionPlaying) return;
-  var self = this;
-  this._progressionBeatTimer = window.setInterval(function () {
-    self._playProgressionBeat();
-  }, this._getProgressionBeatMs());
+  var clampBpm = function (value, fallback) {
+    var n = parseInt(value, 10);
+    return isNaN(n) ? fallback : Math.max(60, Math.min(200, n));
+  };
+  var startBpm = clampBpm(ramp.startBpm, this._progressionBpm);
+  this._tempoRamp = {
+    startBpm: startBpm,
+    stepBpm: Math.max(1, parseInt(ramp.stepBpm, 10) || 1),
+    everyLoops: Math.max(1, parseInt(ramp.everyLoops, 10) || 1),
+    targetBpm: Math.max(startBpm, clampBpm(ramp.targetBpm, startBpm))
+  };
+};
+
+/**
+ * Returns the tempo ramp { startBpm, stepBpm, everyLoops, targetBpm }, or null.
+ */
+Fretscape.prototype.getTempoRamp = function () {
+  if (!this._tempoRamp) return null;
+  return {
+    startBpm: this._tempoRamp.startBpm,
+    stepBpm: this._tempoRamp.stepBpm,
+    everyLoops: this._tempoRamp.everyLoops,
+    targetBpm: this._tempoRamp.targetBpm
+  };
+};
+
+/**
+ * Counts one finished loop and steps the ramp tempo up when due; the new tempo starts on transport beat atBeat.
+ */
+Fretscape.prototype._advanceTempoRamp = function (atBeat) {
+  var ramp = this._tempoRamp;
+  if (!ramp) return;
+  this._tempoRampLoops++;
+  if (this._tempoRampLoops % ramp.everyLoops !== 0 || this._progressionBpm >= ramp.targetBpm) return;
+  this.setProgressionBpm(Math.min(ramp.targetBpm, this._progressionBpm + ramp.stepBpm), atBeat);
+  this._notifyTempoChange();
 };
 
 /**
@@ -1049,6 +1733,42 @@ Fretscape.prototype._notifyProgressionPlaybackStateChange = function () {
   }
 };
 
+/**
+ * Notifies app-level subscribers that playback changed its own tempo (tempo ramp).
+ */
+Fretscape.prototype._notifyTempoChange = function () {
+  if (typeof this.onTempoChange === "function") {
+    this.onTempoChange(this._progressionBpm);
+  }
+};
+
+/**
+ * Notifies app-level subscribers how many count-in beats are left (0 when the music starts).
+ */
+Fretscape.prototype._notifyCountInBeat = function (beatsLeft) {
+  if (typeof this.onCountInBeat === "function") {
+    this.onCountInBeat(beatsLeft);
+  }
+};
+
+/**
+ * Notifies app-level subscribers that bricks were placed, moved or replaced (see getBrickLayout).
+ */
+Fretscape.prototype._notifyBricksChange = function () {
+  if (typeof this.onBricksChange === "function") {
+    this.onBricksChange();
+  }
+};
+
+/**
+ * Notifies app-level subscribers that playback wrapped around to the first chord again.
+ */
+Fretscape.prototype._notifyProgressionLoop = function () {
+  if (typeof this.onProgressionLoop === "function") {
+    this.onProgressionLoop();
+  }
+};
+
 /**
  * Draws a thin green guide line under root notes for the active progression on brick #1.
  */
@@ -1101,26 +1821,50 @@ Fretscape.prototype._drawProgressionRootToFifthGuide = function () {
   this.ctx.restore();
 };
 
+/**
+ * Returns current (interpolated) positions of the moving playback pulse dots.
+ */
+Fretscape.prototype._getProgressionPulseCells = function () {
+  var cells = [];
+  if (!this._progressionPulseFromCells || !this._progressionPulseFromCells.length) return cells;
+  if (!this._progressionPulseToCells || !this._progressionPulseToCells.length) return cells;
+  var moveT = Math.max(0, Math.min(1, this._progressionPulseProgress || 0));
+  var dotCount = Math.max(this._progressionPulseFromCells.length, this._progressionPulseToCells.length);
+  for (var i = 0; i < dotCount; i++) {
+    var fromCell = this._progressionPulseFromCells[Math.min(i, this._progressionPulseFromCells.length - 1)];
+    var toCell = this._progressionPulseToCells[Math.min(i, this._progressionPulseToCells.length - 1)];
+    var pulseCell = this._interpolateCell(fromCell, toCell, moveT);
+    if (pulseCell) cells.push(pulseCell);
+  }
+  return cells;
+};
+
+/**
+ * Returns positions of the playback dots currently shown: the event-riff dot or the pulse dots.
+ */
+Fretscape.prototype._getPlaybackDotCells = function () {
+  if (this._activeRiffEvents && this._activeRiffEvents.length) {
+    var riffCell = this._getRiffEventDotCell();
+    return riffCell ? [riffCell] : [];
+  }
+  return this._getProgressionPulseCells();
+};
+
 /**
  * Draws the moving green playback dot with pulsing radius.
  */
 Fretscape.prototype._drawProgressionPulseIndicator = function () {
-  if (!this._progressionPulseFromCells || !this._progressionPulseFromCells.length) return;
-  if (!this._progressionPulseToCells || !this._progressionPulseToCells.length) return;
+  var cells = this._getProgressionPulseCells();
+  if (!cells.length) return;
   var moveT = Math.max(0, Math.min(1, this._progressionPulseProgress || 0));
-  var dotCount = Math.max(this._progressionPulseFromCells.length, this._progressionPulseToCells.length);
-  if (!dotCount) return;
   var noteRadius = this.cellWidth * 0.4;
   /* Peak on the beat, smallest halfway between beats. */
   var minScale = 0.01;
   var beatOscillation = 0.5 + 0.5 * Math.cos(moveT * Math.PI * 2);
   var pulseScale = minScale + (1 - minScale) * beatOscillation;
   var pulseRadius = noteRadius * pulseScale;
-  for (var i = 0; i < dotCount; i++) {
-    var fromCell = this._progressionPulseFromCells[Math.min(i, this._progressionPulseFromCells.length - 1)];
-    var toCell = this._progressionPulseToCells[Math.min(i, this._progressionPulseToCells.length - 1)];
-    var pulseCell = this._interpolateCell(fromCell, toCell, moveT);
-    if (!pulseCell) continue;
+  for (var i = 0; i < cells.length; i++) {
+    var pulseCell = cells[i];
     var centerX = this._xCwToPx(pulseCell.xCw);
     var centerY = this._yCwToPx(pulseCell.yCw);
     this.ctx.save();
@@ -1135,6 +1879,59 @@ Fretscape.prototype._drawProgressionPulseIndicator = function () {
   }
 };
 
+/**
+ * Draws practice targets as shrinking orange rings (upcoming) and fading graded-hit markers.
+ */
+Fretscape.prototype._drawPracticeOverlay = function () {
+  if (!this._isPracticeMode || !this._isProgressionPlaying) return;
+  var nowMs = this._transport.getCurrentTimeMs();
+  var beatMs = this._getProgressionBeatMs();
+  var noteRadius = this.cellWidth * 0.4;
+  var lineWidth = Math.max(1, this.cellWidth * 0.03);
+  var targets = this._practiceScorer.getTargetsBetween(nowMs - beatMs / 2, nowMs + beatMs * 2);
+  this.ctx.save();
+  for (var i = 0; i < targets.length; i++) {
+    var target = targets[i];
+    if (target.result) continue;
+    /* Ring closes onto the cell as the target time approaches. */
+    var lead = Math.max(0, Math.min(1, (target.timeMs - nowMs) / (beatMs * 2)));
+    this.ctx.beginPath();
+    this.ctx.arc(this._xCwToPx(target.xCw), this._yCwToPx(target.yCw), noteRadius * (1 + lead), 0, Math.PI * 2);
+    this.ctx.strokeStyle = "rgba(230, 126, 34, " + (1 - lead * 0.6).toFixed(3) + ")";
+    this.ctx.lineWidth = lineWidth;
+    this.ctx.stroke();
+  }
+  var kept = [];
+  this.ctx.font = "bold " + (this.cellWidth * 0.22) + "px sans-serif";
+  this.ctx.textAlign = "center";
+  this.ctx.textBaseline = "bottom";
+  for (var f = 0; f < this._practiceFeedback.length; f++) {
+    var item = this._practiceFeedback[f];
+    var age = (nowMs - item.createdMs) / Fretscape.PRACTICE_FEEDBACK_MS;
+    if (age >= 1) continue;
+    kept.push(item);
+    var result = item.result;
+    var color = "192, 57, 43"; /* wrong pitch or extra note */
+    if (!result.extra && result.pitch !== "wrong") {
+      color = (result.pitch === "cell" && result.timing === "on-time") ? "46, 160, 67" : "241, 196, 15";
+    }
+    var cx = this._xCwToPx(result.xCw);
+    var cy = this._yCwToPx(result.yCw);
+    this.ctx.globalAlpha = 1 - age;
+    this.ctx.beginPath();
+    this.ctx.arc(cx, cy, noteRadius * 1.1, 0, Math.PI * 2);
+    this.ctx.strokeStyle = "rgb(" + color + ")";
+    this.ctx.lineWidth = lineWidth * 1.5;
+    this.ctx.stroke();
+    if (!result.extra) {
+      this.ctx.fillStyle = "rgb(" + color + ")";
+      this.ctx.fillText((result.deltaMs > 0 ? "+" : "") + result.deltaMs + "ms", cx, cy - noteRadius * 1.15);
+    }
+  }
+  this._practiceFeedback = kept;
+  this.ctx.restore();
+};
+
 /**
  * Returns currently active touch-note voices used for visual overlays.
  */
@@ -1143,7 +1940,7 @@ Fretscape.prototype._getActiveTouchVisualVoices = function () {
   var active = [];
   for (var i = 0; i < this._touchVisualVoices.length; i++) {
     var voice = this._touchVisualVoices[i];
-    if (!voice || !voice.osc) continue;
+    if (!voice || !voice.source) continue;
     active.push(voice);
   }
   if (active.length !== this._touchVisualVoices.length) {
@@ -1182,181 +1979,438 @@ Fretscape.prototype._drawTouchNoteOverlays = function () {
 };
 
 /**
- * Starts pulse animation frames for beat-synced motion and pulsing.
+ * Returns the event-riff dot position: on the sounding event, or travelling toward the next one.
+ */
+Fretscape.prototype._getRiffEventDotCell = function () {
+  var events = this._activeRiffEventBeats;
+  if (!this._isProgressionPlaying || !events || !events.length) return null;
+  var rootEntries = this._getActiveProgressionRootEntries();
+  if (!rootEntries.length) return null;
+  var position = this._transport.getBeatPosition() - this._countInBeats;
+  if (position < 0) return null;
+  var loopBeats = this._getRiffEventLoopBeats(this._getProgressionLoopBeats(rootEntries));
+  var localBeat = position % loopBeats;
+  var drawX = null;
+  var drawY = null;
+
+  // Find the current active event
+  var currentIndex = -1;
+  for (var i = 0; i < events.length; i++) {
+    var ev = events[i];
+    if (localBeat >= ev.startBeat && localBeat <= ev.startBeat + ev.durationBeats) {
+      currentIndex = i;
+      break;
+    }
+  }
+
+  if (currentIndex >= 0) {
+    // Draw at the active event's position
+    var currentCell = this._getRiffEventCell(events[currentIndex]);
+    drawX = currentCell.xCw;
+    drawY = currentCell.yCw;
+  } else {
+    // Find the last finished event
+    var lastFinishedIndex = -1;
+    for (var i = 0; i < events.length; i++) {
+      if (localBeat > events[i].startBeat + events[i].durationBeats) {
+        lastFinishedIndex = i;
+      } else {
+        break;
+      }
+    }
+    if (lastFinishedIndex >= 0) {
+      var lastCell = this._getRiffEventCell(events[lastFinishedIndex]);
+      var nextIndex = lastFinishedIndex + 1;
+      if (nextIndex < events.length) {
+        var nextEv = events[nextIndex];
+        var nextCell = this._getRiffEventCell(nextEv);
+        if (localBeat < nextEv.startBeat) {
+          // Animate to the next event during the gap
+          var travelStart = events[lastFinishedIndex].startBeat + events[lastFinishedIndex].durationBeats;
+          var travelDuration = nextEv.startBeat - travelStart;
+          var travelProgress = 0;
+          if (travelDuration > 0) {
+            travelProgress = (localBeat - travelStart) / travelDuration;
+            travelProgress = Math.max(0, Math.min(1, travelProgress));
+          } else {
+            travelProgress = 1;
+          }
+          drawX = lastCell.xCw + (nextCell.xCw - lastCell.xCw) * travelProgress;
+          drawY = lastCell.yCw + (nextCell.yCw - lastCell.yCw) * travelProgress;
+        } else {
+          // After the next event has started, draw at the last event's position
+          drawX = lastCell.xCw;
+          drawY = lastCell.yCw;
+        }
+      } else {
+        // After the last event, draw at the last event's position
+        drawX = lastCell.xCw;
+        drawY = lastCell.yCw;
+      }
+    }
+  }
+
+  if (drawX === null || drawY === null) return null;
+  return { xCw: drawX, yCw: drawY };
+};
+
+/**
+ * Draws the event-riff playback dot.
+ */
+Fretscape.prototype._drawRiffEventDots = function () {
+  var cell = this._getRiffEventDotCell();
+  if (!cell) return;
+  var noteRadius = this.cellWidth * 0.4;
+  var centerX = this._xCwToPx(cell.xCw);
+  var centerY = this._yCwToPx(cell.yCw);
+  this.ctx.save();
+  this.ctx.beginPath();
+  this.ctx.arc(centerX, centerY, noteRadius, 0, Math.PI * 2);
+  this.ctx.fillStyle = "#2ea043";
+  this.ctx.fill();
+  this.ctx.strokeStyle = "#1f7a34";
+  this.ctx.lineWidth = Math.max(1, this.cellWidth * 0.01);
+  this.ctx.stroke();
+  this.ctx.restore();
+};
+
+/**
+ * Routes one transport beat: count-in clicks first, then the metronome/drums without a progression,
+ * else the progression (whose beat 0 is the first beat after the count-in).
+ */
+Fretscape.prototype._scheduleTransportBeat = function (beatIndex, whenSec) {
+  var musicBeat = beatIndex - this._countInBeats;
+  if (musicBeat === 0 && this._midiOutput) {
+    /* MIDI Start goes out before beat 0's notes, so a recording DAW's bar 1 is the first bar of music. */
+    this._midiOutput.start(whenSec);
+  }
+  if (beatIndex < this._countInBeats) {
+    if (this._drumEngine && typeof this._drumEngine.playClick === "function") {
+      this._drumEngine.playClick(beatIndex % this._getBeatsPerBar(), whenSec);
+    }
+  } else if (this._isMetronomePlaying) {
+    this._playMetronomeBeat(musicBeat % this._getBeatsPerBar(), whenSec);
+  } else {
+    this._scheduleProgressionBeat(musicBeat, whenSec);
+  }
+  /* After the progression beat, so a tempo ramp step is already in the clock and a stop sends none. */
+  this._sendMidiClockBeat(whenSec);
+};
+
+/**
+ * Sends one beat of MIDI clock at clock time whenSec while the transport runs (count-in included). The beat is
+ * the time signature's unit, so x/8 beats carry half a quarter note of clock.
+ */
+Fretscape.prototype._sendMidiClockBeat = function (whenSec) {
+  if (!this._midiOutput || (!this._isProgressionPlaying && !this._isMetronomePlaying)) return;
+  this._midiOutput.sendClockBeat(whenSec, this._transport.getBeatSeconds(), 4 / this._timeSignature.unit);
+};
+
+/**
+ * Shows one audible transport beat: count-in beats report beats left through onCountInBeat (0 once the
+ * music starts), progression beats move the playback dots.
+ */
+Fretscape.prototype._showTransportBeat = function (beatIndex) {
+  if (this._countInBeats && beatIndex <= this._countInBeats) {
+    this._notifyCountInBeat(this._countInBeats - beatIndex);
+  }
+  if (beatIndex < this._countInBeats || this._isMetronomePlaying) return;
+  this._showProgressionBeat(beatIndex - this._countInBeats);
+};
+
+/**
+ * Plays the selected drum pattern for a beat, or a metronome click when no pattern is selected.
+ */
+Fretscape.prototype._playMetronomeBeat = function (beatInBar, whenSec) {
+  if (!this._drumEngine) return;
+  if (typeof this._drumEngine.hasSelectedPattern === "function" && this._drumEngine.hasSelectedPattern()) {
+    this._playDrumBeat(beatInBar, whenSec);
+    return;
+  }
+  if (typeof this._drumEngine.playClick === "function") {
+    this._drumEngine.playClick(beatInBar, whenSec);
+  }
+};
+
+/**
+ * Schedules audio for one progression beat at clock time whenSec (called ahead of time by the transport)
+ * and keeps the beat plans so _showProgressionBeat can move the dots when the beat is heard.
+ */
+Fretscape.prototype._scheduleProgressionBeat = function (beatIndex, whenSec) {
+  var rootEntries = this._getActiveProgressionRootEntries();
+  if (!rootEntries.length) {
+    this.stopProgressionPlayback();
+    return;
+  }
+  var loopBeats = this._getProgressionLoopBeats(rootEntries);
+  if (beatIndex > 0 && beatIndex % loopBeats === 0) {
+    this._notifyProgressionLoop();
+    if (!this._isProgressionPlaying) return; /* a subscriber may stop or reconfigure playback */
+    this._advanceTempoRamp(beatIndex + this._countInBeats);
+  }
+  var currentPlan = this._getProgressionBeatPlan(beatIndex, rootEntries);
+  var nextPlan = this._getProgressionBeatPlan(beatIndex + 1, rootEntries);
+  if (!currentPlan || !currentPlan.shape) {
+    this.stopProgressionPlayback();
+    return;
+  }
+  var currentEvents = this._getBeatPlaybackEvents(currentPlan);
+  var beatStartMs = whenSec * 1000;
+  if (beatIndex === 0) {
+    this._queuePracticeTargets(currentPlan, beatStartMs);
+  }
+  /* Targets are queued one beat ahead so they can be drawn as upcoming dots. */
+  this._queuePracticeTargets(nextPlan, beatStartMs + this._getProgressionBeatMs());
+  this._playDrumBeat(currentPlan.beatInBar, whenSec);
+  var beatSeconds = this._getProgressionBeatMs() / 1000;
+  for (var n = 0; n < currentEvents.length; n++) {
+    if (currentEvents[n]) this._playNoteEvent(currentEvents[n], whenSec, beatSeconds);
+  }
+  this._progressionBeatVisuals[beatIndex] = { currentPlan: currentPlan, nextPlan: nextPlan };
+};
+
+/**
+ * Returns the timed events a beat plan sounds. Recorded riffs replace the backing; in practice mode they
+ * are targets only.
+ */
+Fretscape.prototype._getBeatPlaybackEvents = function (plan) {
+  if (this._activeRiffEvents && this._activeRiffEvents.length) {
+    return this._isPracticeMode ? [] : plan.riffEvents.slice();
+  }
+  return plan.noteEvents && plan.noteEvents.length ? plan.noteEvents.slice() : [];
+};
+
+/**
+ * Returns the part ("bass", "strum" or "riff") a pitched playback event belongs to: its MIDI channel and
+ * mixer strip.
+ */
+Fretscape.prototype._getEventPart = function (event) {
+  return (event.kind === "strum" || event.kind === "riff") ? event.kind : "bass";
+};
+
+/**
+ * Walks loops passes of the progression as it would play now. Returns { notes, drumHits, totalBeats,
+ * rootEntries }: pitched notes as { part, cell, startBeat, durationBeats } (part per _getEventPart, slaps left
+ * out) and drum hits as { name, startBeat, velocity }, beats counted from the top of the first pass.
+ * Returns null without a playable progression.
+ */
+Fretscape.prototype._collectProgressionNotes = function (loops) {
+  var rootEntries = this._getActiveProgressionRootEntries();
+  if (!rootEntries.length) return null;
+  var notes = [];
+  var drumHits = [];
+  var totalBeats = Math.max(1, parseInt(loops, 10) || 1) * this._getProgressionLoopBeats(rootEntries);
+  for (var beatIndex = 0; beatIndex < totalBeats; beatIndex++) {
+    var plan = this._getProgressionBeatPlan(beatIndex, rootEntries);
+    if (!plan) continue;
+    var events = this._getBeatPlaybackEvents(plan);
+    for (var n = 0; n < events.length; n++) {
+      if (!events[n] || !events[n].cell || events[n].kind === "slap") continue;
+      var delayBeats = typeof events[n].delayBeats === "number" ? Math.max(0, events[n].delayBeats) : 0;
+      notes.push({
+        part: this._getEventPart(events[n]),
+        cell: events[n].cell,
+        startBeat: beatIndex + delayBeats,
+        durationBeats: typeof events[n].durationBeats === "number" ? events[n].durationBeats : 1
+      });
+    }
+    var hits = this._drumEngine ? this._drumEngine.getBeatHits(plan.beatInBar) : [];
+    for (var h = 0; h < hits.length; h++) {
+      drumHits.push({ name: hits[h].name, startBeat: beatIndex + hits[h].offsetBeats, velocity: hits[h].velocity });
+    }
+  }
+  return { notes: notes, drumHits: drumHits, totalBeats: totalBeats, rootEntries: rootEntries };
+};
+
+/**
+ * Renders loops passes of the progression as it would play now (bass run, strum, riff, drums) into a
+ * Standard MIDI File with one track per part, at the current tempo. channels maps parts to MIDI channels
+ * (default MidiOutput.DEFAULT_CHANNELS). Returns the file bytes, or null without a playable progression.
  */
-Fretscape.prototype._startProgressionPulseLoop = function () {
-  if (this._progressionAnimationFrame !== null) return;
-  var self = this;
-  var tick = function () {
-    if (!self._isProgressionPlaying ||
-        !self._progressionPulseFromCells || !self._progressionPulseFromCells.length ||
-        !self._progressionPulseToCells || !self._progressionPulseToCells.length) {
-      self._progressionAnimationFrame = null;
-      self.render();
-      return;
+Fretscape.prototype.renderMidiFile = function (loops, channels) {
+  var collected = this._collectProgressionNotes(loops);
+  if (!collected) return null;
+  var partChannels = channels || MidiOutput.DEFAULT_CHANNELS;
+  var quartersPerBeat = 4 / this._timeSignature.unit;
+  var writer = new MidiFileWriter(this._progressionBpm * quartersPerBeat, this.getTimeSignature());
+  var tracks = {};
+  var addNote = function (part, note, startBeat, durationBeats, velocity) {
+    if (!tracks.hasOwnProperty(part)) {
+      tracks[part] = writer.addTrack(part.charAt(0).toUpperCase() + part.slice(1));
     }
-    var now = (window.performance && window.performance.now) ? window.performance.now() : Date.now();
-    var beatMs = self._getProgressionBeatMs();
-    self._progressionPulseProgress = Math.max(0, Math.min(1, (now - self._progressionPulseStartMs) / beatMs));
-    self.render();
-    self._progressionAnimationFrame = window.requestAnimationFrame(tick);
+    writer.addNote(tracks[part], partChannels[part], note, startBeat * quartersPerBeat, durationBeats * quartersPerBeat, velocity);
   };
-  this._progressionAnimationFrame = window.requestAnimationFrame(tick);
+  for (var n = 0; n < collected.notes.length; n++) {
+    var note = collected.notes[n];
+    addNote(note.part, this._getCellMidiNote(note.cell), note.startBeat, note.durationBeats);
+  }
+  for (var h = 0; h < collected.drumHits.length; h++) {
+    var hit = collected.drumHits[h];
+    if (!MidiOutput.GM_DRUM_MAP.hasOwnProperty(hit.name)) continue;
+    addNote("drums", MidiOutput.GM_DRUM_MAP[hit.name], hit.startBeat, 0.25, MidiOutput.DEFAULT_VELOCITY * hit.velocity);
+  }
+  return writer.toBytes();
 };
 
 /**
- * Stops the pulse animation frame loop when playback transport is off.
+ * Renders loops passes of the progression's single-note lines as ASCII guitar tab in the current key, tuning
+ * and meter, beat by beat as playback sounds them: a notes-string riff's notes on beats where it has any and
+ * the bass run on beats it leaves empty, or a recorded riff's events alone. Strums are chords, not lines, and
+ * stay out, so beats a strum fills stay empty. Each note's string is its world row and its fret the pitch above
+ * that open string (see _worldCellToStringFret). Chord names print above the beat they start on; title heads
+ * the tab. Returns the tab text, or null without a playable progression.
  */
-Fretscape.prototype._stopProgressionPulseLoop = function () {
-  if (this._progressionAnimationFrame === null) return;
-  window.cancelAnimationFrame(this._progressionAnimationFrame);
-  this._progressionAnimationFrame = null;
+Fretscape.prototype.renderTab = function (loops, title) {
+  var collected = this._collectProgressionNotes(loops);
+  if (!collected) return null;
+  var stringNames = [];
+  for (var s = 0; s < this._tuning.getStringCount(); s++) {
+    stringNames.push(this._tuning.getStringName(s));
+  }
+  var writer = new TabWriter(stringNames, this._getBeatsPerBar(), collected.totalBeats);
+  var offNeckCount = 0;
+  for (var n = 0; n < collected.notes.length; n++) {
+    var note = collected.notes[n];
+    if (note.part === "strum") continue;
+    var pos = this._worldCellToStringFret(note.cell.xCw, note.cell.yCw);
+    if (!pos) {
+      offNeckCount++;
+      continue;
+    }
+    writer.addNote(pos.string, pos.fret, note.startBeat);
+  }
+  var loopBeats = this._getProgressionLoopBeats(collected.rootEntries);
+  for (var loopStart = 0; loopStart < collected.totalBeats; loopStart += loopBeats) {
+    var chordStart = loopStart;
+    for (var c = 0; c < collected.rootEntries.length; c++) {
+      writer.addLabel(collected.rootEntries[c].degreeToken, chordStart);
+      chordStart += collected.rootEntries[c].beats;
+    }
+  }
+  var timeSignature = this.getTimeSignature();
+  var header = [
+    title || "Fretbrick tab",
+    "Key: " + this._musicalKey + "   Tuning: " + this._tuning.name + "   " + Math.round(this._progressionBpm) +
+      " BPM   " + timeSignature.beats + "/" + timeSignature.unit
+  ];
+  if (offNeckCount) header.push(offNeckCount + " note(s) off the neck left out.");
+  return writer.toText(header);
 };
 
 /**
- * Plays one beat of the active progression root path and resets pulse animation.
+ * Plays one timed playback event of a beat starting at clock time whenSec: sends it to the MIDI output on
+ * its part's channel (bass runs, strums, riffs) and plays it through Web Audio unless routing is MIDI only.
+ * Articulated riff notes also start their travelling dot.
  */
-Fretscape.prototype._scheduleRiffEvents = function () {
-  // schedule all riff events relative to audio context time; build visuals
-  if (!this._activeRiffEvents || !this._activeRiffEvents.length) return;
-  var ctx = this._getAudioContext();
-  var baseTime = ctx ? ctx.currentTime : null;
-  this._riffEventVisuals = [];
-  this._riffEventVisualsStartMs = (window.performance && window.performance.now) ? window.performance.now() : Date.now();
-  for (var ei = 0; ei < this._activeRiffEvents.length; ei++) {
-    var ev = this._activeRiffEvents[ei];
-    var delaySec = (ev.timeMs || 0) / 1000;
-    var durationSec = (ev.durationMs || 0) / 1000;
-    // schedule tone. _playDotTone accepts delaySec relative to now.
-    this._playDotTone(ev.xCw, ev.yCw, { delaySec: delaySec, durationSec: durationSec });
-    // store for visuals
-    this._riffEventVisuals.push({ xCw: ev.xCw, yCw: ev.yCw, timeMs: ev.timeMs || 0, durationMs: ev.durationMs || 0 });
+Fretscape.prototype._playNoteEvent = function (event, whenSec, beatSeconds) {
+  var delaySec = (typeof event.delayBeats === "number") ? Math.max(0, event.delayBeats * beatSeconds) : 0;
+  var sendsAudio = !this._midiOutput || this._midiOutput.sendsAudio();
+  if (event.kind === "slap") {
+    if (sendsAudio) this._playSlapTone({ when: whenSec, delaySec: delaySec });
+    return;
+  }
+  if (!event.cell) return;
+  var durationSec = (typeof event.durationBeats === "number") ? Math.max(0.08, event.durationBeats * beatSeconds) : undefined;
+  if (this._midiOutput && this._midiOutput.sendsMidi()) {
+    this._midiOutput.playNote(this._getEventPart(event), this._getCellMidiNote(event.cell), whenSec + delaySec, durationSec || beatSeconds);
   }
+  if (event.articulation) this._addArticulationGlide(event, whenSec + delaySec, durationSec || beatSeconds);
+  if (!sendsAudio) return;
+  this._playDotTone(event.cell.xCw, event.cell.yCw, {
+    part: this._getEventPart(event),
+    when: whenSec,
+    delaySec: delaySec,
+    durationSec: durationSec,
+    sustainHold: event.kind === "strum",
+    articulation: event.articulation,
+    fromCell: event.fromCell
+  });
 };
 
-Fretscape.prototype._drawRiffEventDots = function () {
-  if (!this._riffEventVisuals || !this._riffEventVisuals.length) return;
-  var nowMs = (window.performance && window.performance.now) ? window.performance.now() : Date.now();
-  var localMs = nowMs - this._riffEventVisualsStartMs;
-  var noteRadius = this.cellWidth * 0.4;
-  var drawX = null;
-  var drawY = null;
+/**
+ * Registers the travelling dot of an articulated note heard from clock time startSec.
+ */
+Fretscape.prototype._addArticulationGlide = function (event, startSec, durationSec) {
+  var articulation = event.articulation;
+  this._articulationGlides.push({
+    cell: event.cell,
+    fromCell: event.fromCell || event.cell,
+    bendCell: articulation.bend ? this._shiftCellOnRow(event.cell, Fretscape.ARTICULATION.bendSemitones) : null,
+    articulation: articulation,
+    timeline: this._getArticulationTimeline(articulation, startSec, durationSec)
+  });
+};
 
-  // Find the current active event
-  var currentIndex = -1;
-  for (var i = 0; i < this._riffEventVisuals.length; i++) {
-    var ev = this._riffEventVisuals[i];
-    if (localMs >= ev.timeMs && localMs <= ev.timeMs + ev.durationMs) {
-      currentIndex = i;
-      break;
-    }
+/**
+ * Returns where an articulated note's dot is at clock time nowSec: travelling in from its approach cell,
+ * moving toward its bend pitch, swinging with vibrato.
+ */
+Fretscape.prototype._getArticulationDotCell = function (glide, nowSec) {
+  var timeline = glide.timeline;
+  if (nowSec < timeline.approachEnd) {
+    return this._interpolateCell(glide.fromCell, glide.cell, (nowSec - timeline.start) / (timeline.approachEnd - timeline.start));
   }
-
-  if (currentIndex >= 0) {
-    // Draw at the active event's position
-    drawX = this._riffEventVisuals[currentIndex].xCw;
-    drawY = this._riffEventVisuals[currentIndex].yCw;
-  } else {
-    // Find the last finished event
-    var lastFinishedIndex = -1;
-    for (var i = 0; i < this._riffEventVisuals.length; i++) {
-      if (localMs > this._riffEventVisuals[i].timeMs + this._riffEventVisuals[i].durationMs) {
-        lastFinishedIndex = i;
-      } else {
-        break;
-      }
-    }
-    if (lastFinishedIndex >= 0) {
-      var lastEv = this._riffEventVisuals[lastFinishedIndex];
-      var nextIndex = lastFinishedIndex + 1;
-      if (nextIndex < this._riffEventVisuals.length) {
-        var nextEv = this._riffEventVisuals[nextIndex];
-        if (localMs < nextEv.timeMs) {
-          // Animate to the next event during the gap
-          var travelStart = lastEv.timeMs + lastEv.durationMs;
-          var travelDuration = nextEv.timeMs - travelStart;
-          var travelProgress = 0;
-          if (travelDuration > 0) {
-            travelProgress = (localMs - travelStart) / travelDuration;
-            travelProgress = Math.max(0, Math.min(1, travelProgress));
-          } else {
-            travelProgress = 1;
-          }
-          drawX = lastEv.xCw + (nextEv.xCw - lastEv.xCw) * travelProgress;
-          drawY = lastEv.yCw + (nextEv.yCw - lastEv.yCw) * travelProgress;
-        } else {
-          // After the next event has started, draw at the last event's position
-          drawX = lastEv.xCw;
-          drawY = lastEv.yCw;
-        }
-      } else {
-        // After the last event, draw at the last event's position
-        drawX = lastEv.xCw;
-        drawY = lastEv.yCw;
-      }
-    }
+  var cell = glide.cell;
+  if (glide.bendCell && nowSec > timeline.bendStart) {
+    cell = this._interpolateCell(glide.cell, glide.bendCell, (nowSec - timeline.bendStart) / Math.max(0.001, timeline.bendEnd - timeline.bendStart));
+  }
+  if (glide.articulation.vibrato && nowSec > timeline.vibratoStart) {
+    var swing = Math.sin(2 * Math.PI * Fretscape.ARTICULATION.vibratoHz * (nowSec - timeline.vibratoStart));
+    cell = this._shiftCellOnRow(cell, swing * Fretscape.ARTICULATION.vibratoCents / 100);
   }
+  return cell;
+};
 
-  if (drawX !== null && drawY !== null) {
-    var centerX = this._xCwToPx(drawX);
-    var centerY = this._yCwToPx(drawY);
-    this.ctx.save();
+/**
+ * Draws the travelling dots of articulated notes now sounding (muted notes as rings) and forgets finished ones.
+ */
+Fretscape.prototype._drawArticulationDots = function () {
+  if (!this._articulationGlides.length) return;
+  var nowSec = this._transport.getCurrentTime();
+  var radius = this.cellWidth * 0.22;
+  var kept = [];
+  this.ctx.save();
+  for (var i = 0; i < this._articulationGlides.length; i++) {
+    var glide = this._articulationGlides[i];
+    if (nowSec > glide.timeline.end) continue;
+    kept.push(glide);
+    if (nowSec < glide.timeline.start) continue;
+    var cell = this._getArticulationDotCell(glide, nowSec);
     this.ctx.beginPath();
-    this.ctx.arc(centerX, centerY, noteRadius, 0, Math.PI * 2);
-    this.ctx.fillStyle = "#2ea043";
-    this.ctx.fill();
+    this.ctx.arc(this._xCwToPx(cell.xCw), this._yCwToPx(cell.yCw), radius, 0, Math.PI * 2);
+    if (!glide.articulation.mute) {
+      this.ctx.fillStyle = "#7ee787";
+      this.ctx.fill();
+    }
     this.ctx.strokeStyle = "#1f7a34";
-    this.ctx.lineWidth = Math.max(1, this.cellWidth * 0.01);
+    this.ctx.lineWidth = Math.max(1, this.cellWidth * 0.03);
     this.ctx.stroke();
-    this.ctx.restore();
   }
+  this.ctx.restore();
+  this._articulationGlides = kept;
 };
 
-Fretscape.prototype._playProgressionBeat = function () {
-  // reschedule riff events if the riff has changed
-  if (this._needRescheduleRiff && this._activeRiffEvents && this._activeRiffEvents.length) {
-    this._scheduleRiffEvents();
-    this._needRescheduleRiff = false;
-  }
-  var rootEntries = this._getActiveProgressionRootEntries();
-  if (!rootEntries.length) {
-    this.stopProgressionPlayback();
-    return;
-  }
-  var currentPlan = this._getProgressionBeatPlan(this._progressionBeatIndex, rootEntries);
-  var nextPlan = this._getProgressionBeatPlan(this._progressionBeatIndex + 1, rootEntries);
-  if (!currentPlan || !currentPlan.shape) {
-    this.stopProgressionPlayback();
-    return;
-  }
+/**
+ * Returns the MIDI note number a world cell sounds.
+ */
+Fretscape.prototype._getCellMidiNote = function (cell) {
+  return Fretscape.LOW_E_MIDI_NOTE + Math.round(this._getDotSemitoneFromLowE(cell.xCw, cell.yCw));
+};
+
+/**
+ * Moves the playback dots and chord guides to a beat once the transport reports it audible.
+ */
+Fretscape.prototype._showProgressionBeat = function (beatIndex) {
+  var visual = this._progressionBeatVisuals[beatIndex];
+  delete this._progressionBeatVisuals[beatIndex];
+  if (!visual) return;
+  var currentPlan = visual.currentPlan;
+  var nextPlan = visual.nextPlan;
   var currentNotes = currentPlan.noteCells && currentPlan.noteCells.length ? currentPlan.noteCells.slice() : [];
-  var currentEvents = currentPlan.noteEvents && currentPlan.noteEvents.length ? currentPlan.noteEvents.slice() : [];
-  if (this._activeRiffEvents && this._activeRiffEvents.length) {
-    // explicit events are played separately
-    currentEvents = [];
-  }
   var nextNotes = (nextPlan && nextPlan.noteCells && nextPlan.noteCells.length) ? nextPlan.noteCells.slice() : [];
   var currentAnchor = currentPlan.anchorCell || (currentNotes.length ? currentNotes[0] : null);
   var nextAnchor = (nextPlan && nextPlan.anchorCell) || (nextNotes.length ? nextNotes[0] : currentAnchor);
   var nextShape = nextPlan && nextPlan.shape ? nextPlan.shape : currentPlan.shape;
-  this._playDrumBeat(this._progressionBeatIndex % 4);
-  var beatSeconds = this._getProgressionBeatMs() / 1000;
-  for (var n = 0; n < currentEvents.length; n++) {
-    var event = currentEvents[n];
-    if (!event) continue;
-    var delaySec = (typeof event.delayBeats === "number") ? Math.max(0, event.delayBeats * beatSeconds) : 0;
-    if (event.kind === "slap") {
-      this._playSlapTone({ delaySec: delaySec });
-      continue;
-    }
-    if (!event.cell) continue;
-    var durationSec = (typeof event.durationBeats === "number") ? Math.max(0.08, event.durationBeats * beatSeconds) : undefined;
-    this._playDotTone(event.cell.xCw, event.cell.yCw, {
-      delaySec: delaySec,
-      durationSec: durationSec,
-      sustainHold: event.kind === "strum"
-    });
-  }
   if (currentAnchor) {
     this._progressionPulseFromCell = { xCw: currentAnchor.xCw, yCw: currentAnchor.yCw };
     this._progressionPulseToCell = nextAnchor
@@ -1364,35 +2418,21 @@ Fretscape.prototype._playProgressionBeat = function () {
       : { xCw: currentAnchor.xCw, yCw: currentAnchor.yCw };
     this._progressionPulseFromCells = [];
     this._progressionPulseToCells = [];
-    // if we built a visual list for event-based riffs, use it instead of the
-    // normal pulse computation so dots don't jump between beats.
-    if (this._riffEventVisuals && this._riffEventVisuals.length) {
-      var nowMs = (window.performance && window.performance.now) ? window.performance.now() : Date.now();
-      var localMs = nowMs - this._riffEventVisualsStartMs;
-      for (var vi = 0; vi < this._riffEventVisuals.length; vi++) {
-        var ev = this._riffEventVisuals[vi];
-        if (localMs >= ev.timeMs && localMs <= ev.timeMs + ev.durationMs) {
-          this._progressionPulseFromCells.push({ xCw: ev.xCw, yCw: ev.yCw });
-          this._progressionPulseToCells.push({ xCw: ev.xCw, yCw: ev.yCw });
-        }
+    if (currentNotes.length) {
+      for (var i = 0; i < currentNotes.length; i++) {
+        this._progressionPulseFromCells.push({ xCw: currentNotes[i].xCw, yCw: currentNotes[i].yCw });
       }
     } else {
-      if (currentNotes.length) {
-        for (var i = 0; i < currentNotes.length; i++) {
-          this._progressionPulseFromCells.push({ xCw: currentNotes[i].xCw, yCw: currentNotes[i].yCw });
-        }
-      } else {
-        this._progressionPulseFromCells.push({ xCw: currentAnchor.xCw, yCw: currentAnchor.yCw });
-      }
-      if (nextNotes.length) {
-        for (var j = 0; j < nextNotes.length; j++) {
-          this._progressionPulseToCells.push({ xCw: nextNotes[j].xCw, yCw: nextNotes[j].yCw });
-        }
-      } else if (nextAnchor) {
-        this._progressionPulseToCells.push({ xCw: nextAnchor.xCw, yCw: nextAnchor.yCw });
-      } else {
-        this._progressionPulseToCells.push({ xCw: currentAnchor.xCw, yCw: currentAnchor.yCw });
+      this._progressionPulseFromCells.push({ xCw: currentAnchor.xCw, yCw: currentAnchor.yCw });
+    }
+    if (nextNotes.length) {
+      for (var j = 0; j < nextNotes.length; j++) {
+        this._progressionPulseToCells.push({ xCw: nextNotes[j].xCw, yCw: nextNotes[j].yCw });
       }
+    } else if (nextAnchor) {
+      this._progressionPulseToCells.push({ xCw: nextAnchor.xCw, yCw: nextAnchor.yCw });
+    } else {
+      this._progressionPulseToCells.push({ xCw: currentAnchor.xCw, yCw: currentAnchor.yCw });
     }
   } else {
     this._clearProgressionPulse();
@@ -1407,57 +2447,144 @@ Fretscape.prototype._playProgressionBeat = function () {
     third: { xCw: nextShape.third.xCw, yCw: nextShape.third.yCw },
     fifth: { xCw: nextShape.fifth.xCw, yCw: nextShape.fifth.yCw }
   };
+  this._shownChord = currentPlan.shape.chord || null;
+  this._progressionShownBeatIndex = beatIndex;
   this._progressionPulseProgress = 0;
-  this._progressionPulseStartMs = (window.performance && window.performance.now) ? window.performance.now() : Date.now();
-  this._progressionBeatIndex++;
-  this._startProgressionPulseLoop();
   this.render();
 };
 
 /**
- * Starts progression playback at 100 BPM, quarter-note pulses, 4 beats per chord root.
+ * Sets bars of count-in clicks (0, 1 or 2) before progression playback, the metronome or a free recording.
+ */
+Fretscape.prototype.setCountInBars = function (bars) {
+  var n = parseInt(bars, 10);
+  this._countInBars = isNaN(n) ? 0 : Math.max(0, Math.min(2, n));
+};
+
+/**
+ * Returns bars of count-in clicks.
+ */
+Fretscape.prototype.getCountInBars = function () {
+  return this._countInBars;
+};
+
+/**
+ * Starts progression playback on the shared transport, one pulse per beat of the active meter.
  */
 Fretscape.prototype.startProgressionPlayback = function () {
   if (this._isProgressionPlaying) return true;
-  if (!this.hasProgressionPath()) return false;
+  if (this._isMetronomePlaying || !this.hasProgressionPath()) return false;
   this._isProgressionPlaying = true;
-  this._progressionBeatIndex = 0;
+  this._progressionBeatVisuals = {};
+  this._progressionShownBeatIndex = 0;
+  this._practiceScorer.reset(this._getProgressionBeatMs() / 2);
+  this._practiceFeedback = [];
+  if (this._tempoRamp) {
+    this._tempoRampLoops = 0;
+    this.setProgressionBpm(this._tempoRamp.startBpm);
+    this._notifyTempoChange();
+  }
+  return this._startTransport(true);
+};
+
+/**
+ * Starts the transport without a progression: the selected drum pattern, or a click, keeps time.
+ * Stop with stopProgressionPlayback.
+ */
+Fretscape.prototype.startMetronome = function () {
+  if (this._isProgressionPlaying || this._isMetronomePlaying) return false;
+  this._isMetronomePlaying = true;
+  return this._startTransport(false);
+};
+
+/**
+ * Records without a progression over the metronome. Stop with stopProgressionPlayback.
+ */
+Fretscape.prototype.startFreeRecording = function () {
+  if (this._isProgressionPlaying || this._isMetronomePlaying) return false;
+  this._isRecording = true;
+  this._recordedNotes = [];
+  this._recordingNotesMap = {};
+  return this.startMetronome();
+};
+
+/**
+ * Starts the shared transport for progression playback or the metronome: the count-in first, then beat 0
+ * of the music. A take being recorded starts on beat 0 and remembers what it is played over.
+ */
+Fretscape.prototype._startTransport = function (withProgression) {
+  this._countInBeats = this._countInBars * this._getBeatsPerBar();
   if (this._drumEngine && typeof this._drumEngine.reset === "function") {
     this._drumEngine.reset();
   }
-  // schedule riff events if present (this also primes visuals)
-  if (this._activeRiffEvents && this._activeRiffEvents.length) {
-    this._scheduleRiffEvents();
+  this._transport.setBpm(this._progressionBpm);
+  this._transport.start();
+  if (!this._isProgressionPlaying && !this._isMetronomePlaying) return false; /* the first beat found nothing to play */
+  if (this._isRecording) {
+    this._recordStartTime = this._transport.getBeatTime(this._countInBeats) * 1000;
+    this._recordBacking = this._getRecordBacking(withProgression);
   }
-  this._playProgressionBeat();
-  this._restartProgressionBeatTimer();
   this._notifyProgressionPlaybackStateChange();
   return true;
 };
 
 /**
- * Stops progression playback and clears active beat pulse.
+ * Returns true while the metronome runs without a progression (with or without a free recording).
+ */
+Fretscape.prototype.isMetronomePlaying = function () {
+  return this._isMetronomePlaying;
+};
+
+/**
+ * Returns true while a free recording (no progression) is running.
+ */
+Fretscape.prototype.isFreeRecording = function () {
+  return this._isMetronomePlaying && this._isRecording;
+};
+
+/**
+ * Returns what a take is played over: { key, bpm, progressionId, chordIndex }. Progression takes start on
+ * the first chord of the loop range; free takes have no progression or chord.
+ */
+Fretscape.prototype._getRecordBacking = function (withProgression) {
+  return {
+    key: this._musicalKey,
+    bpm: this._progressionBpm,
+    progressionId: withProgression ? this._activeProgressionId : null,
+    chordIndex: withProgression ? this._getLoopChordRange().start : null
+  };
+};
+
+/**
+ * Stops the transport (progression playback or the metronome) and clears active beat pulse.
+ * A take being recorded is handed to onRiffRecorded.
  */
 Fretscape.prototype.stopProgressionPlayback = function () {
-  var wasPlaying = this._isProgressionPlaying;
+  var wasPlaying = this._isProgressionPlaying || this._isMetronomePlaying;
   var wasRecording = this._isRecording;
   var recordedRiff = null;
   if (wasRecording) {
     recordedRiff = this.stopRecording();
   }
-  if (this._progressionBeatTimer !== null) {
-    window.clearInterval(this._progressionBeatTimer);
-    this._progressionBeatTimer = null;
-  }
+  this._transport.stop();
   if (this._drumEngine && typeof this._drumEngine.stop === "function") {
     this._drumEngine.stop();
   }
+  if (this._midiOutput) {
+    this._midiOutput.stop();
+  }
+  if (this._isProgressionPlaying && this._isPracticeMode && typeof this.onPracticeSummary === "function") {
+    this.onPracticeSummary(this._practiceScorer.getSummary(this._transport.getCurrentTimeMs()));
+  }
   this._isProgressionPlaying = false;
-  this._progressionBeatIndex = 0;
+  this._isMetronomePlaying = false;
+  this._countInBeats = 0;
+  this._progressionBeatVisuals = {};
+  this._practiceFeedback = [];
   this._clearProgressionPulse();
   this._progressionGuidePairFrom = null;
   this._progressionGuidePairTo = null;
-  this._stopProgressionPulseLoop();
+  this._shownChord = null;
   if (wasPlaying) {
     this._notifyProgressionPlaybackStateChange();
   }
@@ -1474,6 +2601,15 @@ Fretscape.prototype.applyChordProgression = function (progression) {
   this._activeProgressionDegrees = (progression && progression.degrees && progression.degrees.length)
     ? progression.degrees.slice()
     : null;
+  this._activeProgressionDurations = (progression && Array.isArray(progression.durations))
+    ? progression.durations.slice()
+    : null;
+  this._timeSignature = this._parseTimeSignature(progression ? progression.timeSignature : null);
+  this._activeProgressionId = (progression && typeof progression.id === "string") ? progression.id : null;
+  this._loopRange = null;
+  if (this._activeStrumBeats) {
+    this._activeStrumTimeline = this._buildStrumTimeline(this._activeStrumBeats);
+  }
   if (this._isProgressionPlaying && !this.hasProgressionPath()) {
     this.stopProgressionPlayback();
     return;
@@ -1687,8 +2823,9 @@ Fretscape.prototype._hitDotsAtPoint = function (xCw, yCw, hitRadiusCw) {
     var data = item.brick && item.brick.cellData ? item.brick.cellData : [];
     for (var r = 0; r < data.length; r++) {
       for (var c = 0; c < data[r].length; c++) {
-        var cx = item.xCw + c;
-        var cy = item.yCw + r;
+        var cell = this._getBrickCellWorld(item, r, c);
+        var cx = cell.xCw;
+        var cy = cell.yCw;
         var dx = xCw - cx;
         var dy = yCw - cy;
         var distSq = dx * dx + dy * dy;
@@ -1716,8 +2853,9 @@ Fretscape.prototype._getNearestDotOnRow = function (row, xCw, yCw, maxDistSq) {
     for (var r = 0; r < data.length; r++) {
       var dotY = item.yCw + r;
       if (dotY !== row) continue;
+      var rowShift = this._getKinkShiftCw(dotY);
       for (var c = 0; c < data[r].length; c++) {
-        var dotX = item.xCw + c;
+        var dotX = item.xCw + c + rowShift;
         var dx = xCw - dotX;
         var dy = yCw - dotY;
         var distSq = dx * dx + dy * dy;
@@ -1865,21 +3003,20 @@ Fretscape.prototype._getGuitarPeriodicWave = function (ctx) {
 };
 
 /**
- * Lazily initializes and returns the Web Audio context.
+ * Returns the audio engine's shared context (resumed if the browser suspended it), or null without Web Audio.
  */
 Fretscape.prototype._getAudioContext = function () {
-  if (this._audioCtxUnavailable) return null;
-  if (this._audioCtx) return this._audioCtx;
-  if (typeof window === "undefined") return null;
-  var AudioCtx = window.AudioContext || window.webkitAudioContext;
-  if (!AudioCtx) {
-    this._audioCtxUnavailable = true;
-    return null;
-  }
-  this._audioCtx = new AudioCtx();
+  this._audioCtx = this._audioEngine.getContext();
   return this._audioCtx;
 };
 
+/**
+ * Returns the voice id a part plays with; parts without their own voice use the touch voice.
+ */
+Fretscape.prototype._getPartVoice = function (part) {
+  return this._partVoices.hasOwnProperty(part) ? this._partVoices[part] : this._partVoices.touch;
+};
+
 /**
  * Returns cached white-noise buffer for slap/percussive strum sounds.
  */
@@ -1898,18 +3035,17 @@ Fretscape.prototype._getSlapNoiseBuffer = function (ctx) {
 
 /**
  * Plays a short percussive slap used by strum symbol "s".
+ * Starts at options.when (clock seconds, default now) plus options.delaySec.
  */
 Fretscape.prototype._playSlapTone = function (options) {
   var opts = options || {};
   var ctx = this._getAudioContext();
   if (!ctx) return;
-  if (ctx.state === "suspended" && ctx.resume) {
-    ctx.resume();
-  }
   var buffer = this._getSlapNoiseBuffer(ctx);
   if (!buffer) return;
   var delaySec = (typeof opts.delaySec === "number") ? Math.max(0, opts.delaySec) : 0;
-  var now = ctx.currentTime + delaySec;
+  var startTime = (typeof opts.when === "number") ? Math.max(ctx.currentTime, opts.when) : ctx.currentTime;
+  var now = startTime + delaySec;
   var src = ctx.createBufferSource();
   var highpass = ctx.createBiquadFilter();
   var lowpass = ctx.createBiquadFilter();
@@ -1925,19 +3061,27 @@ Fretscape.prototype._playSlapTone = function (options) {
   src.connect(highpass);
   highpass.connect(lowpass);
   lowpass.connect(gain);
-  gain.connect(ctx.destination);
+  gain.connect(this._audioEngine.getInput("strum"));
   src.start(now);
   src.stop(now + 0.1);
 };
 
+/**
+ * Converts a world-space dot coordinate into semitones above low E (E2). May be fractional off-cell.
+ */
+Fretscape.prototype._getDotSemitoneFromLowE = function (dotX, dotY) {
+  var coord = this._dotToDisplayCoord(dotX, dotY);
+  var rootSemitone = this._tuning.getRootSemitoneForKey(this._getKeySemitoneFromLowE());
+  var stringIndex = this._tuning.getRootStringIndex() + Math.round(coord.y);
+  /* Uniform fourths pitch, corrected by how far this row's real string departs from a fourth. */
+  return rootSemitone + coord.x + 5 * coord.y + this._tuning.getFourthsDeviation(stringIndex);
+};
+
 /**
  * Converts a world-space dot coordinate into frequency in Hz.
  */
 Fretscape.prototype._getDotFrequencyHz = function (dotX, dotY) {
-  var coord = this._dotToDisplayCoord(dotX, dotY);
-  var semitoneOffset = coord.x + 5 * coord.y;
-  var rootFromLowE = this._getKeySemitoneFromLowE();
-  var semitoneFromLowE = rootFromLowE + semitoneOffset;
+  var semitoneFromLowE = this._getDotSemitoneFromLowE(dotX, dotY);
   var lowEFrequencyHz = 82.4068892282175; /* E2, standard guitar low E. */
   var frequency = lowEFrequencyHz * Math.pow(2, semitoneFromLowE / 12);
   return Math.max(20, Math.min(20000, frequency));
@@ -2029,71 +3173,79 @@ Fretscape.prototype._startTouchVisualLoop = function () {
 };
 
 /**
- * Creates a pressed-note voice that fades from press and ends within one second.
+ * Creates a pressed-note voice on the "touch" strip with the touch part's voice. The oscillator tone fades
+ * from press and ends within one second; plucked voices ring out like a string.
  */
 Fretscape.prototype._createPressedNoteVoice = function (dotX, dotY, onEnded) {
   var self = this;
   var ctx = this._getAudioContext();
   if (!ctx) return null;
-  if (ctx.state === "suspended" && ctx.resume) {
-    ctx.resume();
-  }
   var snappedX = Math.round(dotX);
   var now = ctx.currentTime;
   var frequency = this._getDotFrequencyHz(snappedX, dotY);
-  var osc = ctx.createOscillator();
-  var wave = this._getGuitarPeriodicWave(ctx);
-  var toneFilter = ctx.createBiquadFilter();
-  var bodyFilter = ctx.createBiquadFilter();
-  var gain = ctx.createGain();
-  if (wave && osc.setPeriodicWave) {
-    osc.setPeriodicWave(wave);
+  var output = this._audioEngine.getInput("touch");
+  var voiceId = this._getPartVoice("touch");
+  var voice;
+  if (voiceId !== Fretscape.TONE_VOICE) {
+    voice = this._pluckSynth.play(ctx, output, frequency, now, { variant: voiceId });
   } else {
-    osc.type = "triangle";
-  }
-  osc.frequency.setValueAtTime(frequency * 1.006, now);
-  osc.frequency.exponentialRampToValueAtTime(frequency, now + 0.03);
-  toneFilter.type = "lowpass";
-  toneFilter.frequency.setValueAtTime(2600, now);
-  toneFilter.frequency.exponentialRampToValueAtTime(1100, now + 1);
-  toneFilter.Q.value = 1.2;
-  bodyFilter.type = "peaking";
-  bodyFilter.frequency.value = 190;
-  bodyFilter.Q.value = 0.9;
-  bodyFilter.gain.value = 4;
-  var attackEnd = now + 0.004;
-  var fadeEnd = now + 1;
-  gain.gain.setValueAtTime(0.0001, now);
-  gain.gain.exponentialRampToValueAtTime(0.24, attackEnd);
-  gain.gain.exponentialRampToValueAtTime(0.0001, fadeEnd);
-  osc.connect(toneFilter);
-  toneFilter.connect(bodyFilter);
-  bodyFilter.connect(gain);
-  gain.connect(ctx.destination);
-  var voice = {
-    osc: osc,
-    gain: gain,
-    yCw: dotY,
-    xCw: snappedX,
-    noteOnTime: now,
-    attackEndTime: attackEnd,
-    fadeEndTime: fadeEnd,
-    peakGain: 0.24,
-    minGain: 0.0001,
-    releaseStartTime: null,
-    releaseDuration: null,
-    releaseStartGain: null
-  };
+    var osc = ctx.createOscillator();
+    var wave = this._getGuitarPeriodicWave(ctx);
+    var toneFilter = ctx.createBiquadFilter();
+    var bodyFilter = ctx.createBiquadFilter();
+    var gain = ctx.createGain();
+    if (wave && osc.setPeriodicWave) {
+      osc.setPeriodicWave(wave);
+    } else {
+      osc.type = "triangle";
+    }
+    osc.frequency.setValueAtTime(frequency * 1.006, now);
+    osc.frequency.exponentialRampToValueAtTime(frequency, now + 0.03);
+    toneFilter.type = "lowpass";
+    toneFilter.frequency.setValueAtTime(2600, now);
+    toneFilter.frequency.exponentialRampToValueAtTime(1100, now + 1);
+    toneFilter.Q.value = 1.2;
+    bodyFilter.type = "peaking";
+    bodyFilter.frequency.value = 190;
+    bodyFilter.Q.value = 0.9;
+    bodyFilter.gain.value = 4;
+    var attackEnd = now + 0.004;
+    var fadeEnd = now + 1;
+    gain.gain.setValueAtTime(0.0001, now);
+    gain.gain.exponentialRampToValueAtTime(0.24, attackEnd);
+    gain.gain.exponentialRampToValueAtTime(0.0001, fadeEnd);
+    osc.connect(toneFilter);
+    toneFilter.connect(bodyFilter);
+    bodyFilter.connect(gain);
+    gain.connect(output);
+    osc.start(now);
+    osc.stop(now + 1.06);
+    voice = {
+      source: osc,
+      gain: gain,
+      pitchParam: osc.frequency,
+      pitchScale: 1,
+      letRing: false,
+      noteOnTime: now,
+      attackEndTime: attackEnd,
+      fadeEndTime: fadeEnd,
+      peakGain: 0.24,
+      minGain: 0.0001
+    };
+  }
+  voice.yCw = dotY;
+  voice.xCw = snappedX;
+  voice.releaseStartTime = null;
+  voice.releaseDuration = null;
+  voice.releaseStartGain = null;
   this._touchVisualVoices.push(voice);
   this._startTouchVisualLoop();
-  osc.onended = function () {
+  voice.source.onended = function () {
     self._removeTouchVisualVoice(voice);
     if (typeof onEnded === "function") {
       onEnded(voice);
     }
   };
-  osc.start(now);
-  osc.stop(now + 1.06);
   return voice;
 };
 
@@ -2101,7 +3253,7 @@ Fretscape.prototype._createPressedNoteVoice = function (dotX, dotY, onEnded) {
  * Slides a pressed-note voice horizontally; y remains locked to voice row.
  */
 Fretscape.prototype._slideNoteVoiceToX = function (voice, dotX) {
-  if (!voice || !voice.osc) return;
+  if (!voice || !voice.source) return;
   if (typeof dotX !== "number") return;
   var snappedX = Math.round(dotX); /* Snap slide to nearest horizontal fret. */
   if (voice.xCw === snappedX) return;
@@ -2109,17 +3261,20 @@ Fretscape.prototype._slideNoteVoiceToX = function (voice, dotX) {
   var ctx = this._getAudioContext();
   if (!ctx) return;
   var now = ctx.currentTime;
-  voice.osc.frequency.cancelScheduledValues(now);
-  voice.osc.frequency.setValueAtTime(Math.max(20, voice.osc.frequency.value || frequency), now);
-  voice.osc.frequency.exponentialRampToValueAtTime(frequency, now + 0.03);
+  var target = frequency * voice.pitchScale;
+  voice.pitchParam.cancelScheduledValues(now);
+  voice.pitchParam.setValueAtTime(voice.pitchParam.value || target, now);
+  voice.pitchParam.exponentialRampToValueAtTime(target, now + 0.03);
   voice.xCw = snappedX;
 };
 
 /**
- * Releases any pressed-note voice using the requested fade-out duration.
+ * Releases any pressed-note voice using the requested fade-out duration. Let-ring voices ring out after a
+ * lift; isStringStopped releases them too (another note took their string).
  */
-Fretscape.prototype._releaseNoteVoice = function (voice, fadeSec) {
-  if (!voice || !voice.gain || !voice.osc) return;
+Fretscape.prototype._releaseNoteVoice = function (voice, fadeSec, isStringStopped) {
+  if (!voice || !voice.gain || !voice.source) return;
+  if (voice.letRing && !isStringStopped) return;
   if (typeof voice.releaseStartTime === "number") return;
   var ctx = this._getAudioContext();
   if (!ctx) return;
@@ -2140,7 +3295,7 @@ Fretscape.prototype._releaseNoteVoice = function (voice, fadeSec) {
   }
   gainNode.exponentialRampToValueAtTime(0.0001, now + releaseSec);
   try {
-    voice.osc.stop(now + releaseSec + 0.05);
+    voice.source.stop(now + releaseSec + 0.05);
   } catch (e) {
     /* Ignore stop errors if voice has already been stopped. */
   }
@@ -2160,6 +3315,7 @@ Fretscape.prototype._startPressedNote = function (dotX, dotY, pointerId) {
     }
   });
   if (!voice) return false;
+  this._onUserNoteStarted(voice.xCw, voice.yCw);
   voice.pointerId = pointerId;
   this._pressedNoteVoice = voice;
   this._pressedNotePointerId = (pointerId === undefined || pointerId === null) ? null : pointerId;
@@ -2206,61 +3362,241 @@ Fretscape.prototype._releaseAllTouchPressedNotes = function (fadeSec) {
   this._touchPressedStates = {};
 };
 
+/**
+ * Returns the world cell nearest referenceCell that sounds semitoneFromLowE (semitones above E2).
+ * Only when no brick cell has the pitch does bare fretspace count; within either, cells on the instrument's
+ * strings win over rows off the neck. Null when no row reaches the note.
+ */
+Fretscape.prototype._findNearestCellForPitch = function (semitoneFromLowE, referenceCell) {
+  var reference = referenceCell || { xCw: this._getOneCellCenter().x, yCw: this._getOneCellCenter().y };
+  var best = null;
+  var bestTier = Number.POSITIVE_INFINITY;
+  var bestDistance = Number.POSITIVE_INFINITY;
+  for (var y = 0; y < this.heightCw; y++) {
+    var x = this._getRowCellXForPitch(semitoneFromLowE, y);
+    if (x === null) continue;
+    /* 0: brick cell on a string, 1: brick cell off the neck, 2 and 3: the same off the bricks. */
+    var tier = (this._hitDotsAtPoint(x, y, 0.01).length ? 0 : 2) + (this._worldCellToStringFret(x, y) ? 0 : 1);
+    var dx = x - reference.xCw;
+    var dy = y - reference.yCw;
+    var distance = dx * dx + dy * dy;
+    if (tier < bestTier || (tier === bestTier && distance < bestDistance)) {
+      bestTier = tier;
+      bestDistance = distance;
+      best = { xCw: x, yCw: y };
+    }
+  }
+  return best;
+};
+
+/**
+ * Returns the cell x on world row y that sounds semitoneFromLowE, or null when the row does not reach it.
+ */
+Fretscape.prototype._getRowCellXForPitch = function (semitoneFromLowE, y) {
+  /* Pitch moves one semitone per cell along a row; the direction depends on handedness. */
+  var rowStart = this._getDotSemitoneFromLowE(0, y);
+  var slope = this._getDotSemitoneFromLowE(1, y) - rowStart;
+  if (!slope) return null;
+  var x = (semitoneFromLowE - rowStart) / slope;
+  if (x < 0 || x > this.widthCw || Math.abs(x - Math.round(x)) > 0.001) return null;
+  return Math.round(x);
+};
+
+/**
+ * Inverse of _worldCellToStringFret: returns the world cell that plays fret on a string (low = 0), or null
+ * when that string's row or fret is off the fretspace.
+ */
+Fretscape.prototype._stringFretToWorldCell = function (stringIndex, fret) {
+  var semitoneFromLowE = this._tuning.getOpenSemitone(stringIndex) + fret;
+  for (var y = 0; y < this.heightCw; y++) {
+    if (this._getStringIndexForWorldRow(y) !== stringIndex) continue;
+    var x = this._getRowCellXForPitch(semitoneFromLowE, y);
+    if (x !== null) return { xCw: x, yCw: y };
+  }
+  return null;
+};
+
+/**
+ * Starts a note from a MIDI controller: lights and sounds the nearest cell for the pitch through the
+ * pressed-note voice, records it while recording and grades it in practice mode. Returns true when placed.
+ */
+Fretscape.prototype.pressMidiNote = function (midiNote) {
+  var self = this;
+  var cell = this._findNearestCellForPitch(midiNote - Fretscape.LOW_E_MIDI_NOTE, this._lastMidiCell);
+  if (!cell) return false;
+  this.releaseMidiNote(midiNote);
+  var pointerId = "midi-" + midiNote;
+  this._recordNote(cell.xCw, cell.yCw, pointerId);
+  var voice = this._createPressedNoteVoice(cell.xCw, cell.yCw, function (endedVoice) {
+    if (self._midiNoteVoices[midiNote] === endedVoice) delete self._midiNoteVoices[midiNote];
+  });
+  if (!voice) return false;
+  voice.pointerId = pointerId;
+  this._midiNoteVoices[midiNote] = voice;
+  this._lastMidiCell = cell;
+  this._onUserNoteStarted(voice.xCw, voice.yCw);
+  return true;
+};
+
+/**
+ * Ends a MIDI controller note: closes its recorded duration and fades its voice.
+ */
+Fretscape.prototype.releaseMidiNote = function (midiNote) {
+  var voice = this._midiNoteVoices[midiNote];
+  this._recordNoteRelease("midi-" + midiNote);
+  if (!voice) return;
+  delete this._midiNoteVoices[midiNote];
+  this._releaseNoteVoice(voice, 0.1);
+};
+
+/**
+ * Ends every held MIDI controller note (input switched off or unplugged).
+ */
+Fretscape.prototype.releaseAllMidiNotes = function () {
+  for (var note in this._midiNoteVoices) {
+    if (!this._midiNoteVoices.hasOwnProperty(note)) continue;
+    this.releaseMidiNote(note);
+  }
+};
+
 /**
  * Plays a plucked tone from semitone offset where left=+1 and down=+5 from (0,0).
+ * Starts at options.when (clock seconds, default now) plus options.delaySec, on mixer strip options.part
+ * (unknown or missing parts play on "touch") with that part's voice. options.articulation
+ * (RiffNotation.getArticulation) with options.fromCell shapes the note: legato approaches are not picked,
+ * slides glide in from fromCell, bends and vibrato move the pitch, muted notes are short palm-muted thuds.
  */
 Fretscape.prototype._playDotTone = function (dotX, dotY, options) {
   var opts = options || {};
   var frequency = this._getDotFrequencyHz(dotX, dotY);
   var ctx = this._getAudioContext();
   if (!ctx) return;
-  if (ctx.state === "suspended" && ctx.resume) {
-    ctx.resume();
-  }
   var delaySec = (typeof opts.delaySec === "number") ? Math.max(0, opts.delaySec) : 0;
   var durationSec = (typeof opts.durationSec === "number") ? Math.max(0.12, opts.durationSec) : 0.7;
   var useSustainHold = !!opts.sustainHold;
-  var now = ctx.currentTime + delaySec;
-  var osc = ctx.createOscillator();
-  var wave = this._getGuitarPeriodicWave(ctx);
-  var toneFilter = ctx.createBiquadFilter();
-  var bodyFilter = ctx.createBiquadFilter();
-  var gain = ctx.createGain();
-  if (wave && osc.setPeriodicWave) {
-    osc.setPeriodicWave(wave);
-  } else {
-    osc.type = "triangle";
-  }
-  osc.frequency.setValueAtTime(frequency * 1.006, now);
-  osc.frequency.exponentialRampToValueAtTime(frequency, now + 0.03);
-  toneFilter.type = "lowpass";
-  toneFilter.frequency.setValueAtTime(2600, now);
-  toneFilter.frequency.exponentialRampToValueAtTime(1200, now + Math.min(0.3, durationSec));
-  toneFilter.Q.value = 1.2;
-  bodyFilter.type = "peaking";
-  bodyFilter.frequency.value = 190;
-  bodyFilter.Q.value = 0.9;
-  bodyFilter.gain.value = 4;
-  var sustainGain = useSustainHold ? 0.11 : 0.075;
-  var decayEnd = now + Math.min(0.08, durationSec * 0.35);
-  gain.gain.setValueAtTime(0.0001, now);
-  gain.gain.exponentialRampToValueAtTime(0.22, now + 0.004);
-  gain.gain.exponentialRampToValueAtTime(sustainGain, decayEnd);
-  if (useSustainHold && durationSec > 0.14) {
-    /* Hold strum energy until near release so notes ring to the next strum boundary. */
-    var releaseStart = now + Math.max(0.08, durationSec - 0.06);
-    if (releaseStart < decayEnd) releaseStart = decayEnd;
-    gain.gain.setValueAtTime(sustainGain, releaseStart);
-    gain.gain.exponentialRampToValueAtTime(0.0001, now + durationSec);
+  var startTime = (typeof opts.when === "number") ? Math.max(ctx.currentTime, opts.when) : ctx.currentTime;
+  var now = startTime + delaySec;
+  var articulation = opts.articulation || null;
+  var timeline = articulation ? this._getArticulationTimeline(articulation, now, durationSec) : null;
+  if (timeline) durationSec = timeline.end - now;
+  var level = (articulation && articulation.approach) ? Fretscape.ARTICULATION.legatoLevel : 1;
+  var output = this._audioEngine.getInput(opts.part);
+  var voiceId = this._getPartVoice(opts.part);
+  var voice;
+  if (voiceId !== Fretscape.TONE_VOICE) {
+    voice = this._pluckSynth.play(ctx, output, frequency, now, {
+      variant: (articulation && articulation.mute) ? "palm" : voiceId,
+      durationSec: durationSec,
+      peakGain: PluckSynth.PEAK_GAIN * level,
+      legato: level < 1
+    });
   } else {
-    gain.gain.exponentialRampToValueAtTime(0.0001, now + durationSec);
+    var osc = ctx.createOscillator();
+    var wave = this._getGuitarPeriodicWave(ctx);
+    var toneFilter = ctx.createBiquadFilter();
+    var bodyFilter = ctx.createBiquadFilter();
+    var gain = ctx.createGain();
+    if (wave && osc.setPeriodicWave) {
+      osc.setPeriodicWave(wave);
+    } else {
+      osc.type = "triangle";
+    }
+    osc.frequency.setValueAtTime(frequency * 1.006, now);
+    osc.frequency.exponentialRampToValueAtTime(frequency, now + 0.03);
+    toneFilter.type = "lowpass";
+    toneFilter.frequency.setValueAtTime(2600, now);
+    toneFilter.frequency.exponentialRampToValueAtTime(1200, now + Math.min(0.3, durationSec));
+    toneFilter.Q.value = 1.2;
+    bodyFilter.type = "peaking";
+    bodyFilter.frequency.value = 190;
+    bodyFilter.Q.value = 0.9;
+    bodyFilter.gain.value = 4;
+    var sustainGain = (useSustainHold ? 0.11 : 0.075) * level;
+    var decayEnd = now + Math.min(0.08, durationSec * 0.35);
+    gain.gain.setValueAtTime(0.0001, now);
+    gain.gain.exponentialRampToValueAtTime(0.22 * level, now + 0.004);
+    gain.gain.exponentialRampToValueAtTime(sustainGain, decayEnd);
+    if (useSustainHold && durationSec > 0.14) {
+      /* Hold strum energy until near release so notes ring to the next strum boundary. */
+      var releaseStart = now + Math.max(0.08, durationSec - 0.06);
+      if (releaseStart < decayEnd) releaseStart = decayEnd;
+      gain.gain.setValueAtTime(sustainGain, releaseStart);
+      gain.gain.exponentialRampToValueAtTime(0.0001, now + durationSec);
+    } else {
+      gain.gain.exponentialRampToValueAtTime(0.0001, now + durationSec);
+    }
+    osc.connect(toneFilter);
+    toneFilter.connect(bodyFilter);
+    bodyFilter.connect(gain);
+    gain.connect(output);
+    osc.start(now);
+    osc.stop(now + durationSec + 0.06);
+    voice = { source: osc, gain: gain, pitchParam: osc.frequency, pitchScale: 1 };
+  }
+  if (timeline) this._articulateVoice(ctx, voice, frequency, opts.fromCell || null, articulation, timeline);
+};
+
+/**
+ * Returns clock times for an articulated note starting at startSec: { start, approachEnd (slide or hop
+ * done), bendStart, bendEnd, vibratoStart, end }. Muted notes end early. Audio and the travelling dot both
+ * follow it.
+ */
+Fretscape.prototype._getArticulationTimeline = function (articulation, startSec, durationSec) {
+  var settings = Fretscape.ARTICULATION;
+  var approachSec = articulation.approach ? Math.min(settings.approachSec, durationSec * 0.5) : 0;
+  var endSec = startSec + (articulation.mute ? Math.min(durationSec, settings.muteSec) : durationSec);
+  var approachEnd = startSec + approachSec;
+  var heldSec = Math.max(0, endSec - approachEnd);
+  return {
+    start: startSec,
+    approachEnd: approachEnd,
+    bendStart: approachEnd + heldSec * 0.1,
+    bendEnd: approachEnd + heldSec * 0.5,
+    vibratoStart: approachEnd + heldSec * 0.25,
+    end: endSec
+  };
+};
+
+/**
+ * Schedules an articulation's pitch moves on a voice's pitch parameter: the slide from fromCell into the
+ * note, the bend up and vibrato (an LFO on the same parameter).
+ */
+Fretscape.prototype._articulateVoice = function (ctx, voice, frequency, fromCell, articulation, timeline) {
+  var settings = Fretscape.ARTICULATION;
+  var param = voice.pitchParam;
+  var scale = voice.pitchScale;
+  var isSlide = articulation.approach === "slideUp" || articulation.approach === "slideDown";
+  var startFrequency = (isSlide && fromCell) ? this._getDotFrequencyHz(fromCell.xCw, fromCell.yCw) : frequency;
+  param.cancelScheduledValues(timeline.start);
+  param.setValueAtTime(startFrequency * scale, timeline.start);
+  if (timeline.approachEnd > timeline.start) {
+    param.exponentialRampToValueAtTime(frequency * scale, timeline.approachEnd);
+  }
+  var heldFrequency = frequency;
+  if (articulation.bend) {
+    heldFrequency = frequency * Math.pow(2, settings.bendSemitones / 12);
+    param.setValueAtTime(frequency * scale, timeline.bendStart);
+    param.exponentialRampToValueAtTime(heldFrequency * scale, timeline.bendEnd);
   }
-  osc.connect(toneFilter);
-  toneFilter.connect(bodyFilter);
-  bodyFilter.connect(gain);
-  gain.connect(ctx.destination);
-  osc.start(now);
-  osc.stop(now + durationSec + 0.06);
+  if (articulation.vibrato && timeline.end > timeline.vibratoStart) {
+    var lfo = ctx.createOscillator();
+    var depth = ctx.createGain();
+    lfo.frequency.value = settings.vibratoHz;
+    depth.gain.value = heldFrequency * scale * (Math.pow(2, settings.vibratoCents / 1200) - 1);
+    lfo.connect(depth);
+    depth.connect(param);
+    lfo.start(timeline.vibratoStart);
+    lfo.stop(timeline.end);
+  }
+};
+
+/**
+ * Returns a cell moved along its row by semitones (fractional cells allowed), for slide starts and bend targets.
+ */
+Fretscape.prototype._shiftCellOnRow = function (cell, semitones) {
+  var slope = this._getDotSemitoneFromLowE(cell.xCw + 1, cell.yCw) - this._getDotSemitoneFromLowE(cell.xCw, cell.yCw);
+  if (!slope) return { xCw: cell.xCw, yCw: cell.yCw };
+  return { xCw: cell.xCw + semitones / slope, yCw: cell.yCw };
 };
 
 /**
@@ -2391,7 +3727,7 @@ Fretscape.prototype._bindInput = function () {
       for (var activeRowKey in suppressedState.rows) {
         if (!suppressedState.rows.hasOwnProperty(activeRowKey)) continue;
         if (touchWinners[activeRowKey]) continue;
-        self._releaseNoteVoice(suppressedState.rows[activeRowKey], 0.1);
+        self._releaseNoteVoice(suppressedState.rows[activeRowKey], 0.1, true);
         delete suppressedState.rows[activeRowKey];
       }
     }
@@ -2424,6 +3760,7 @@ Fretscape.prototype._bindInput = function () {
           })(winnerState, winnerRowKey)
         );
         winnerState.rows[winnerRowKey] = voice;
+        if (voice) self._onUserNoteStarted(voice.xCw, voice.yCw);
       }
     }
     return true;
@@ -2487,6 +3824,7 @@ Fretscape.prototype._bindInput = function () {
     self._isCreating = false;
     self._dragStartOrigin = null;
     self.render();
+    self._notifyBricksChange();
     return true;
   };
   var start = function (e) {
@@ -2868,6 +4206,61 @@ Fretscape.prototype._drawGrid = function () {
   }
 };
 
+/**
+ * Draws string names at the left edge of rows that are real strings, and a dashed red line
+ * between string pairs that are not a fourth apart (the kink) labelled with their interval.
+ */
+Fretscape.prototype._drawTuningOverlay = function () {
+  var origin = this._getOneCellCenter();
+  var rootString = this._tuning.getRootStringIndex();
+  var labelX = this._cwToPx(0.3);
+  this.ctx.save();
+  this.ctx.font = "bold " + (this.cellWidth * 0.28) + "px sans-serif";
+  this.ctx.textAlign = "center";
+  this.ctx.textBaseline = "middle";
+  this.ctx.fillStyle = "#777";
+  for (var s = 0; s < this._tuning.getStringCount(); s++) {
+    var rowY = origin.y + s - rootString;
+    if (rowY < 0 || rowY > this.heightCw) continue;
+    this.ctx.fillText(this._tuning.getStringName(s), labelX, this._yCwToPx(rowY));
+  }
+  var kinks = this._tuning.getKinks();
+  this.ctx.strokeStyle = "#c0392b";
+  this.ctx.fillStyle = "#c0392b";
+  this.ctx.lineWidth = Math.max(1, this.cellWidth * 0.02);
+  this.ctx.setLineDash([this.cellWidth * 0.15, this.cellWidth * 0.1]);
+  this.ctx.font = (this.cellWidth * 0.2) + "px sans-serif";
+  this.ctx.textAlign = "left";
+  for (var k = 0; k < kinks.length; k++) {
+    var kinkY = origin.y + kinks[k].lowerString - rootString + 0.5;
+    if (kinkY < 0 || kinkY > this.heightCw) continue;
+    var py = this._yCwToPx(kinkY);
+    this.ctx.beginPath();
+    this.ctx.moveTo(this._cwToPx(0.6), py);
+    this.ctx.lineTo(this._cwToPx(this.widthCw), py);
+    this.ctx.stroke();
+    this.ctx.fillText("kink: " + kinks[k].interval + " semitones", this._cwToPx(0.6), py - this.cellWidth * 0.12);
+  }
+  this.ctx.restore();
+};
+
+/**
+ * Returns { rootSemitone, tones } for Brick.render while a chord is heard and the overlay is on, else null.
+ */
+Fretscape.prototype._getChordToneOverlay = function () {
+  if (!this._isChordToneOverlayEnabled || !this._shownChord) return null;
+  return { rootSemitone: this._shownChord.getRootSemitone(), tones: this._shownChord.getToneLabels() };
+};
+
+/**
+ * Turns the chord-tone overlay on or off: during playback bricks colour the current chord's tones,
+ * dim the rest and label cells from the chord root.
+ */
+Fretscape.prototype.setChordToneOverlay = function (enabled) {
+  this._isChordToneOverlayEnabled = !!enabled;
+  this.render();
+};
+
 /**
  * Renders grid then bricks. All positioning scales by cellWidth.
  */
@@ -2885,11 +4278,20 @@ Fretscape.prototype.render = function () {
   this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
   this.ctx.setTransform(this._viewScale, 0, 0, this._viewScale, this._viewPanPx.x, this._viewPanPx.y);
   this._drawGrid();
+  this._drawTuningOverlay();
+  var stepX = this._isLeftHanded ? -this.cellWidth : this.cellWidth;
+  var stepY = this._isVerticallyMirrored ? -this.cellWidth : this.cellWidth;
+  var chordTones = this._getChordToneOverlay();
   for (var i = 0; i < this.bricks.length; i++) {
     var item = this.bricks[i];
-    var stepX = this._isLeftHanded ? -this.cellWidth : this.cellWidth;
-    var stepY = this._isVerticallyMirrored ? -this.cellWidth : this.cellWidth;
-    item.brick.render(this.ctx, this._xCwToPx(item.xCw), this._yCwToPx(item.yCw), stepX, stepY);
+    var rowOffsetsPx = [];
+    for (var r = 0; r < item.brick.getHeightCw(); r++) {
+      rowOffsetsPx.push(this._getKinkShiftCw(item.yCw + r) * stepX);
+    }
+    item.brick.render(this.ctx, this._xCwToPx(item.xCw), this._yCwToPx(item.yCw), stepX, stepY, {
+      rowOffsetsPx: rowOffsetsPx,
+      chordTones: chordTones
+    });
   }
   this._drawTouchNoteOverlays();
   this._drawProgressionRootGuide();
@@ -2899,5 +4301,10 @@ Fretscape.prototype.render = function () {
   } else {
     this._drawProgressionPulseIndicator();
   }
+  this._drawArticulationDots();
+  this._drawPracticeOverlay();
   this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+  if (typeof this.onRender === "function") {
+    this.onRender();
+  }
 };
@@ -0,0 +1,226 @@
+/**
+ * LessonPlayer - Steps through the lessons dataset (data/lessons.JSON).
+ * Each step carries toolbar settings, a brick layout, instruction text and an advance rule.
+ * Settings inherit from earlier steps of the same lesson, so a step only lists what changes.
+ */
+function LessonPlayer() {
+  this._lessons = [];
+  this._lessonById = {};
+  this._activeLesson = null;
+  this._stepIndex = -1;
+  this._tapProgress = 0;
+  this._loopProgress = 0;
+  this.onStepChange = null;
+  this.onProgressChange = null;
+}
+
+/** Step fields that are carried forward from earlier steps when a step omits them. */
+LessonPlayer.SETTING_KEYS = ["key", "scale", "tuning", "progression", "bass", "strum", "riff", "drums", "bricks", "loop", "ramp"];
+
+/**
+ * Sets lesson dataset in shape: [{ id, name, steps: [{ text, advance, ...settings }] }].
+ */
+LessonPlayer.prototype.setLessons = function (lessons) {
+  var list = Array.isArray(lessons) ? lessons : [];
+  this._lessons = [];
+  this._lessonById = {};
+  for (var i = 0; i < list.length; i++) {
+    var lesson = list[i];
+    if (!lesson || typeof lesson.id !== "string" || typeof lesson.name !== "string") continue;
+    if (!Array.isArray(lesson.steps) || !lesson.steps.length) continue;
+    this._lessons.push(lesson);
+    this._lessonById[lesson.id] = lesson;
+  }
+  if (this._activeLesson && !this._lessonById[this._activeLesson.id]) {
+    this.stop();
+  }
+};
+
+/**
+ * Returns available lessons (id/name only) for UI dropdown.
+ */
+LessonPlayer.prototype.getLessons = function () {
+  var list = [];
+  for (var i = 0; i < this._lessons.length; i++) {
+    list.push({ id: this._lessons[i].id, name: this._lessons[i].name });
+  }
+  return list;
+};
+
+/**
+ * Returns true while a lesson is selected.
+ */
+LessonPlayer.prototype.isActive = function () {
+  return !!this._activeLesson;
+};
+
+/**
+ * Starts a lesson by id at its first step. Unknown id stops the lesson player.
+ */
+LessonPlayer.prototype.startLesson = function (lessonId) {
+  var lesson = lessonId ? this._lessonById[lessonId] : null;
+  if (!lesson) {
+    this.stop();
+    return false;
+  }
+  this._activeLesson = lesson;
+  this._goToStep(0);
+  return true;
+};
+
+/**
+ * Leaves lesson mode. Toolbar settings stay as the last step left them.
+ */
+LessonPlayer.prototype.stop = function () {
+  if (!this._activeLesson) return;
+  this._activeLesson = null;
+  this._stepIndex = -1;
+  this._tapProgress = 0;
+  this._loopProgress = 0;
+  this._notifyStepChange();
+};
+
+/**
+ * Advances to the next step. Returns false when already on the last step.
+ */
+LessonPlayer.prototype.nextStep = function () {
+  if (!this._activeLesson) return false;
+  if (this._stepIndex >= this._activeLesson.steps.length - 1) return false;
+  this._goToStep(this._stepIndex + 1);
+  return true;
+};
+
+/**
+ * Goes back one step. Returns false when already on the first step.
+ */
+LessonPlayer.prototype.previousStep = function () {
+  if (!this._activeLesson || this._stepIndex <= 0) return false;
+  this._goToStep(this._stepIndex - 1);
+  return true;
+};
+
+/**
+ * Returns the resolved current step, or null when no lesson is active.
+ * Shape: { index, count, text, advance, settings: { key, progression, ... } }.
+ */
+LessonPlayer.prototype.getCurrentStep = function () {
+  if (!this._activeLesson || this._stepIndex < 0) return null;
+  var steps = this._activeLesson.steps;
+  var settings = {};
+  for (var i = 0; i <= this._stepIndex; i++) {
+    for (var k = 0; k < LessonPlayer.SETTING_KEYS.length; k++) {
+      var key = LessonPlayer.SETTING_KEYS[k];
+      if (steps[i] && steps[i].hasOwnProperty(key)) settings[key] = steps[i][key];
+    }
+  }
+  var step = steps[this._stepIndex] || {};
+  return {
+    index: this._stepIndex,
+    count: steps.length,
+    text: typeof step.text === "string" ? step.text : "",
+    advance: this._getAdvanceRule(step),
+    settings: settings
+  };
+};
+
+/**
+ * Returns a short progress string for the current step advance rule.
+ */
+LessonPlayer.prototype.getProgressText = function () {
+  var step = this.getCurrentStep();
+  if (!step) return "";
+  var rule = step.advance;
+  if (rule.type === "taps") {
+    return "Tap " + rule.labels.join(" ") + " (" + this._tapProgress + "/" + rule.labels.length + ")";
+  }
+  if (rule.type === "loops") {
+    return "Loops " + this._loopProgress + "/" + rule.count;
+  }
+  return "Press Next to continue";
+};
+
+/**
+ * Feeds a user-played brick label ("1", "b3", ...) into a "taps" advance rule.
+ * A wrong label restarts the sequence, counting it as a first tap if it matches.
+ */
+LessonPlayer.prototype.handleNotePressed = function (label) {
+  var step = this.getCurrentStep();
+  if (!step || step.advance.type !== "taps") return;
+  var labels = step.advance.labels;
+  if (label === labels[this._tapProgress]) {
+    this._tapProgress++;
+  } else {
+    this._tapProgress = label === labels[0] ? 1 : 0;
+  }
+  if (this._tapProgress >= labels.length) {
+    this._completeStep();
+    return;
+  }
+  this._notifyProgressChange();
+};
+
+/**
+ * Counts one full pass of the progression toward a "loops" advance rule.
+ */
+LessonPlayer.prototype.handleProgressionLoop = function () {
+  var step = this.getCurrentStep();
+  if (!step || step.advance.type !== "loops") return;
+  this._loopProgress++;
+  if (this._loopProgress >= step.advance.count) {
+    this._completeStep();
+    return;
+  }
+  this._notifyProgressChange();
+};
+
+/**
+ * Normalizes a step advance rule; anything unrecognised becomes "manual".
+ */
+LessonPlayer.prototype._getAdvanceRule = function (step) {
+  var advance = step && step.advance ? step.advance : null;
+  if (advance && advance.type === "taps" && Array.isArray(advance.labels) && advance.labels.length) {
+    return { type: "taps", labels: advance.labels.map(String) };
+  }
+  if (advance && advance.type === "loops") {
+    return { type: "loops", count: Math.max(1, parseInt(advance.count, 10) || 1) };
+  }
+  return { type: "manual" };
+};
+
+/**
+ * Moves to the next step when the current one is completed; the last step stays put and reports done.
+ */
+LessonPlayer.prototype._completeStep = function () {
+  if (this.nextStep()) return;
+  this._tapProgress = 0;
+  this._loopProgress = 0;
+  this._notifyProgressChange("Lesson complete");
+};
+
+/**
+ * Activates a step index and resets its advance progress.
+ */
+LessonPlayer.prototype._goToStep = function (index) {
+  this._stepIndex = index;
+  this._tapProgress = 0;
+  this._loopProgress = 0;
+  this._notifyStepChange();
+};
+
+/**
+ * Notifies app-level subscriber that the active step (or lesson) changed.
+ */
+LessonPlayer.prototype._notifyStepChange = function () {
+  if (typeof this.onStepChange === "function") {
+    this.onStepChange(this.getCurrentStep());
+  }
+};
+
+/**
+ * Notifies app-level subscriber that step progress changed. Optional text overrides progress text.
+ */
+LessonPlayer.prototype._notifyProgressChange = function (text) {
+  if (typeof this.onProgressChange === "function") {
+    this.onProgressChange(typeof text === "string" ? text : this.getProgressText());
+  }
+};
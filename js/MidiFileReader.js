@@ -0,0 +1,188 @@
+/**
+ * MidiFileReader - Reads the notes out of a Standard MIDI File (format 0 or 1).
+ * Notes are grouped per track and channel, so a format 0 file with several instruments still offers one
+ * part per channel. Times are in quarter notes from the start; bpm is the file's first tempo (later
+ * tempo changes only move the audio, not where notes fall in the bar). Throws Error for files that are
+ * not MIDI files.
+ */
+function MidiFileReader(bytes) {
+  this._bytes = bytes;
+  this._pos = 0;
+  this.ticksPerQuarter = 480;
+  this.bpm = 120;
+  this.parts = [];  /* [{ name, channel, notes: [{ note, startQuarters, durationQuarters, velocity }] }] */
+  this._parse();
+}
+
+/** MIDI channel (1-16) that carries General MIDI drums. */
+MidiFileReader.DRUM_CHANNEL = 10;
+
+/**
+ * Returns parts as [{ index, name, channel, noteCount, isDrums }] for a picker.
+ */
+MidiFileReader.prototype.getParts = function () {
+  var list = [];
+  for (var i = 0; i < this.parts.length; i++) {
+    list.push({
+      index: i,
+      name: this.parts[i].name,
+      channel: this.parts[i].channel,
+      noteCount: this.parts[i].notes.length,
+      isDrums: this.parts[i].channel === MidiFileReader.DRUM_CHANNEL
+    });
+  }
+  return list;
+};
+
+/**
+ * Returns a part's notes in time order, or [] for an unknown index.
+ */
+MidiFileReader.prototype.getNotes = function (partIndex) {
+  var part = this.parts[partIndex];
+  return part ? part.notes.slice() : [];
+};
+
+/**
+ * Reads the header and every track chunk; unknown chunks are skipped.
+ */
+MidiFileReader.prototype._parse = function () {
+  if (!this._bytes || this._bytes.length < 14 || this._readText(4) !== "MThd") {
+    throw new Error("Not a MIDI file.");
+  }
+  var headerLength = this._readUint(4);
+  var headerEnd = this._pos + headerLength;
+  this._readUint(2); /* format: 0 and 1 read the same way, track by track */
+  var trackCount = this._readUint(2);
+  var division = this._readUint(2);
+  if (division & 0x8000) throw new Error("SMPTE-timed MIDI files are not supported.");
+  this.ticksPerQuarter = division || 480;
+  this._pos = headerEnd;
+  var tempoFound = false;
+  for (var t = 0; t < trackCount && this._pos + 8 <= this._bytes.length; t++) {
+    var chunkId = this._readText(4);
+    var chunkLength = this._readUint(4);
+    var chunkEnd = Math.min(this._bytes.length, this._pos + chunkLength);
+    if (chunkId === "MTrk") {
+      var track = this._readTrack(chunkEnd, t);
+      if (track.bpm && !tempoFound) {
+        this.bpm = track.bpm;
+        tempoFound = true;
+      }
+    }
+    this._pos = chunkEnd;
+  }
+};
+
+/**
+ * Reads one track's events up to chunkEnd and adds its notes as parts (one per channel used).
+ * Returns { bpm } with the track's first tempo, or null bpm.
+ */
+MidiFileReader.prototype._readTrack = function (chunkEnd, trackIndex) {
+  var tick = 0;
+  var runningStatus = 0;
+  var name = "";
+  var bpm = null;
+  var open = {};  /* "channel:note" -> [note-on waiting for its note-off] */
+  var byChannel = {};
+  while (this._pos < chunkEnd) {
+    tick += this._readVarLength();
+    var status = this._bytes[this._pos];
+    if (status & 0x80) {
+      this._pos++;
+    } else {
+      status = runningStatus;  /* running status: data bytes reuse the last channel status */
+    }
+    if (status === 0xff) {
+      var metaType = this._bytes[this._pos++];
+      var metaLength = this._readVarLength();
+      if (metaType === 0x03 && !name) name = this._readText(metaLength);
+      else if (metaType === 0x51 && metaLength === 3 && bpm === null) bpm = 60000000 / this._readUint(3);
+      else this._pos += metaLength;
+      continue;
+    }
+    if (status === 0xf0 || status === 0xf7) {
+      this._pos += this._readVarLength();
+      continue;
+    }
+    if (!(status & 0x80)) break;  /* data without any status: corrupt track */
+    runningStatus = status;
+    var type = status & 0xf0;
+    var channel = (status & 0x0f) + 1;
+    var data1 = this._bytes[this._pos++];
+    var data2 = (type === 0xc0 || type === 0xd0) ? 0 : this._bytes[this._pos++];
+    if (type !== 0x90 && type !== 0x80) continue;
+    var key = channel + ":" + data1;
+    if (type === 0x90 && data2 > 0) {
+      if (!open[key]) open[key] = [];
+      open[key].push({ note: data1, startTick: tick, velocity: data2, channel: channel });
+      continue;
+    }
+    var started = open[key] && open[key].shift();
+    if (!started) continue;
+    this._addNote(byChannel, started, tick);
+  }
+  /* Notes never released end where the track ends. */
+  for (var openKey in open) {
+    if (!open.hasOwnProperty(openKey)) continue;
+    for (var i = 0; i < open[openKey].length; i++) this._addNote(byChannel, open[openKey][i], tick);
+  }
+  for (var ch in byChannel) {
+    if (!byChannel.hasOwnProperty(ch)) continue;
+    var notes = byChannel[ch];
+    notes.sort(function (a, b) { return a.startQuarters - b.startQuarters || a.note - b.note; });
+    this.parts.push({
+      name: (name || "Track " + (trackIndex + 1)) + " (ch " + ch + ")",
+      channel: parseInt(ch, 10),
+      notes: notes
+    });
+  }
+  return { bpm: bpm };
+};
+
+/**
+ * Adds a finished note to its channel's list in quarter notes.
+ */
+MidiFileReader.prototype._addNote = function (byChannel, started, endTick) {
+  if (!byChannel[started.channel]) byChannel[started.channel] = [];
+  byChannel[started.channel].push({
+    note: started.note,
+    startQuarters: started.startTick / this.ticksPerQuarter,
+    durationQuarters: Math.max(0, endTick - started.startTick) / this.ticksPerQuarter,
+    velocity: started.velocity
+  });
+};
+
+/**
+ * Reads an unsigned big-endian integer of byteCount bytes.
+ */
+MidiFileReader.prototype._readUint = function (byteCount) {
+  var value = 0;
+  for (var i = 0; i < byteCount; i++) {
+    value = value * 256 + (this._bytes[this._pos++] || 0);
+  }
+  return value;
+};
+
+/**
+ * Reads a variable-length quantity (at most four bytes).
+ */
+MidiFileReader.prototype._readVarLength = function () {
+  var value = 0;
+  for (var i = 0; i < 4; i++) {
+    var b = this._bytes[this._pos++] || 0;
+    value = (value * 128) + (b & 0x7f);
+    if (!(b & 0x80)) break;
+  }
+  return value;
+};
+
+/**
+ * Reads byteCount bytes as text.
+ */
+MidiFileReader.prototype._readText = function (byteCount) {
+  var text = "";
+  for (var i = 0; i < byteCount; i++) {
+    text += String.fromCharCode(this._bytes[this._pos++] || 0);
+  }
+  return text;
+};
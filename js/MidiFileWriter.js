@@ -0,0 +1,122 @@
+/**
+ * MidiFileWriter - Builds a Standard MIDI File (format 1) in memory.
+ * Track 0 carries tempo and time signature; every addTrack call adds a named track of notes. Times are in
+ * quarter notes from the start so callers never deal with ticks. toBytes returns the file as a Uint8Array
+ * ready for a Blob download.
+ */
+function MidiFileWriter(bpm, timeSignature) {
+  this._quarterBpm = (typeof bpm === "number" && bpm > 0) ? bpm : 120;
+  this._timeSignature = timeSignature || { beats: 4, unit: 4 };
+  this._tracks = [];  /* [{ name, events: [{ tick, order, bytes }] }] */
+}
+
+/** Ticks per quarter note. */
+MidiFileWriter.TICKS_PER_QUARTER = 480;
+
+/**
+ * Adds a named track and returns its index for addNote.
+ */
+MidiFileWriter.prototype.addTrack = function (name) {
+  this._tracks.push({ name: String(name || ""), events: [] });
+  return this._tracks.length - 1;
+};
+
+/**
+ * Adds a note to a track: channel 1-16, MIDI note, start and length in quarter notes, velocity 1-127.
+ */
+MidiFileWriter.prototype.addNote = function (trackIndex, channel, note, startQuarters, durationQuarters, velocity) {
+  var track = this._tracks[trackIndex];
+  if (!track) return;
+  var status = Math.max(0, Math.min(15, channel - 1));
+  var pitch = Math.max(0, Math.min(127, Math.round(note)));
+  var start = this._toTick(startQuarters);
+  var end = Math.max(start + 1, this._toTick(startQuarters + durationQuarters));
+  var vel = Math.max(1, Math.min(127, Math.round(velocity || 96)));
+  /* order 0 puts note-offs before note-ons on the same tick, so repeated notes retrigger cleanly. */
+  track.events.push({ tick: start, order: 1, bytes: [0x90 | status, pitch, vel] });
+  track.events.push({ tick: end, order: 0, bytes: [0x80 | status, pitch, 0] });
+};
+
+/**
+ * Returns the file bytes: header, conductor track, then note tracks in the order they were added.
+ */
+MidiFileWriter.prototype.toBytes = function () {
+  var bytes = [];
+  MidiFileWriter._pushText(bytes, "MThd");
+  MidiFileWriter._pushUint(bytes, 6, 4);
+  MidiFileWriter._pushUint(bytes, 1, 2);
+  MidiFileWriter._pushUint(bytes, this._tracks.length + 1, 2);
+  MidiFileWriter._pushUint(bytes, MidiFileWriter.TICKS_PER_QUARTER, 2);
+  var usPerQuarter = Math.round(60000000 / this._quarterBpm);
+  var unitPower = Math.round(Math.log(this._timeSignature.unit) / Math.LN2);
+  bytes = bytes.concat(this._buildTrackChunk("", [
+    { tick: 0, order: 0, bytes: [0xff, 0x51, 3, (usPerQuarter >> 16) & 0xff, (usPerQuarter >> 8) & 0xff, usPerQuarter & 0xff] },
+    { tick: 0, order: 0, bytes: [0xff, 0x58, 4, this._timeSignature.beats, unitPower, 24, 8] }
+  ]));
+  for (var i = 0; i < this._tracks.length; i++) {
+    bytes = bytes.concat(this._buildTrackChunk(this._tracks[i].name, this._tracks[i].events));
+  }
+  return new Uint8Array(bytes);
+};
+
+/**
+ * Builds one MTrk chunk: optional track name, events sorted by tick with delta times, end of track.
+ */
+MidiFileWriter.prototype._buildTrackChunk = function (name, events) {
+  var sorted = events.slice().sort(function (a, b) {
+    return a.tick - b.tick || a.order - b.order;
+  });
+  var data = [];
+  if (name) {
+    data.push(0, 0xff, 0x03);
+    MidiFileWriter._pushVarLength(data, name.length);
+    MidiFileWriter._pushText(data, name);
+  }
+  var lastTick = 0;
+  for (var i = 0; i < sorted.length; i++) {
+    MidiFileWriter._pushVarLength(data, sorted[i].tick - lastTick);
+    lastTick = sorted[i].tick;
+    for (var b = 0; b < sorted[i].bytes.length; b++) data.push(sorted[i].bytes[b]);
+  }
+  data.push(0, 0xff, 0x2f, 0);
+  var chunk = [];
+  MidiFileWriter._pushText(chunk, "MTrk");
+  MidiFileWriter._pushUint(chunk, data.length, 4);
+  return chunk.concat(data);
+};
+
+/**
+ * Converts quarter notes to ticks.
+ */
+MidiFileWriter.prototype._toTick = function (quarters) {
+  return Math.max(0, Math.round(quarters * MidiFileWriter.TICKS_PER_QUARTER));
+};
+
+/**
+ * Appends an unsigned big-endian integer of byteCount bytes.
+ */
+MidiFileWriter._pushUint = function (bytes, value, byteCount) {
+  for (var i = byteCount - 1; i >= 0; i--) {
+    bytes.push(Math.floor(value / Math.pow(256, i)) & 0xff);
+  }
+};
+
+/**
+ * Appends a MIDI variable-length quantity (7 bits per byte, high bit set on all but the last).
+ */
+MidiFileWriter._pushVarLength = function (bytes, value) {
+  var groups = [value & 0x7f];
+  var rest = value >> 7;
+  while (rest > 0) {
+    groups.unshift((rest & 0x7f) | 0x80);
+    rest = rest >> 7;
+  }
+  for (var i = 0; i < groups.length; i++) bytes.push(groups[i]);
+};
+
+/**
+ * Appends text as 7-bit ASCII bytes.
+ */
+MidiFileWriter._pushText = function (bytes, text) {
+  for (var i = 0; i < text.length; i++) bytes.push(text.charCodeAt(i) & 0x7f);
+};
@@ -0,0 +1,163 @@
+/**
+ * MidiInput - Listens to Web MIDI inputs (a MIDI guitar, a keyboard) and reports note-on/off.
+ * enable() asks the browser for access once (shared with MidiOutput, see requestAccess); setAccess takes
+ * any MIDIAccess-like object, so a virtual port or a mocked { inputs, onstatechange } works the same.
+ * Notes arrive as MIDI note numbers through onNoteOn(note, velocity) and onNoteOff(note); the app decides
+ * where they land on the fretspace.
+ */
+function MidiInput() {
+  this._access = null;
+  this._inputId = "";  /* "" listens to every input */
+  this._isEnabled = false;  /* false after disable(): ports plugged in or picked stay unbound */
+  this._boundInputs = [];
+  this.onNoteOn = null;
+  this.onNoteOff = null;
+  this.onInputsChange = null;
+  var self = this;
+  this._handleMessage = function (event) {
+    self._onMessage(event);
+  };
+}
+
+/** MIDI status nibbles for note messages. */
+MidiInput.NOTE_OFF = 0x80;
+MidiInput.NOTE_ON = 0x90;
+
+/**
+ * Returns true when the browser offers Web MIDI.
+ */
+MidiInput.isSupported = function () {
+  return typeof navigator !== "undefined" && typeof navigator.requestMIDIAccess === "function";
+};
+
+/** Pending or granted MIDI access, shared by MidiInput and MidiOutput so the browser asks once. */
+MidiInput._accessRequest = null;
+
+/**
+ * Resolves with the browser's MIDIAccess, asking only once per page. Rejects when MIDI is unsupported or
+ * the user declines (a later call asks again).
+ */
+MidiInput.requestAccess = function () {
+  if (!MidiInput.isSupported()) return Promise.reject(new Error("Web MIDI is not supported in this browser."));
+  if (!MidiInput._accessRequest) {
+    MidiInput._accessRequest = navigator.requestMIDIAccess({ sysex: false }).catch(function (error) {
+      MidiInput._accessRequest = null;
+      throw error;
+    });
+  }
+  return MidiInput._accessRequest;
+};
+
+/**
+ * Requests MIDI access (once) and starts listening. Resolves with the input list, rejects when MIDI is
+ * unsupported or the user declines.
+ */
+MidiInput.prototype.enable = function () {
+  var self = this;
+  if (this._access) {
+    this._isEnabled = true;
+    this._bindInputs();
+    return Promise.resolve(this.getInputs());
+  }
+  return MidiInput.requestAccess().then(function (access) {
+    self.setAccess(access);
+    return self.getInputs();
+  });
+};
+
+/**
+ * Uses a MIDIAccess object: binds its inputs and follows ports being plugged in or removed (rebinding only
+ * while enabled).
+ */
+MidiInput.prototype.setAccess = function (access) {
+  var self = this;
+  this._unbindInputs();
+  this._access = access || null;
+  if (!this._access) return;
+  this._isEnabled = true;
+  this._access.onstatechange = function () {
+    self._bindInputs();
+    self._notifyInputsChange();
+  };
+  this._bindInputs();
+  this._notifyInputsChange();
+};
+
+/**
+ * Stops listening to every input. Access is kept so enable() resumes without asking again.
+ */
+MidiInput.prototype.disable = function () {
+  this._isEnabled = false;
+  this._unbindInputs();
+};
+
+/**
+ * Returns connected inputs as [{ id, name }].
+ */
+MidiInput.prototype.getInputs = function () {
+  var list = [];
+  if (!this._access || !this._access.inputs) return list;
+  this._access.inputs.forEach(function (input) {
+    list.push({ id: input.id, name: input.name || input.id });
+  });
+  return list;
+};
+
+/**
+ * Listens to one input by id, or to every input for "".
+ */
+MidiInput.prototype.setInputId = function (id) {
+  this._inputId = typeof id === "string" ? id : "";
+  if (this._access) this._bindInputs();
+};
+
+/**
+ * Attaches the message handler to the selected inputs; does nothing while disabled.
+ */
+MidiInput.prototype._bindInputs = function () {
+  var self = this;
+  this._unbindInputs();
+  if (!this._isEnabled || !this._access || !this._access.inputs) return;
+  this._access.inputs.forEach(function (input) {
+    if (self._inputId && input.id !== self._inputId) return;
+    input.onmidimessage = self._handleMessage;
+    self._boundInputs.push(input);
+  });
+};
+
+/**
+ * Detaches the message handler from every bound input.
+ */
+MidiInput.prototype._unbindInputs = function () {
+  for (var i = 0; i < this._boundInputs.length; i++) {
+    if (this._boundInputs[i].onmidimessage === this._handleMessage) {
+      this._boundInputs[i].onmidimessage = null;
+    }
+  }
+  this._boundInputs = [];
+};
+
+/**
+ * Reports note-on and note-off from a MIDI message on any channel. Note-on with velocity 0 is a note-off.
+ */
+MidiInput.prototype._onMessage = function (event) {
+  var data = event && event.data;
+  if (!data || data.length < 3) return;
+  var status = data[0] & 0xf0;
+  var note = data[1];
+  var velocity = data[2];
+  if (status === MidiInput.NOTE_ON && velocity > 0) {
+    if (typeof this.onNoteOn === "function") this.onNoteOn(note, velocity);
+    return;
+  }
+  if (status === MidiInput.NOTE_OFF || status === MidiInput.NOTE_ON) {
+    if (typeof this.onNoteOff === "function") this.onNoteOff(note);
+  }
+};
+
+/**
+ * Notifies listener that inputs were plugged in or removed.
+ */
+MidiInput.prototype._notifyInputsChange = function () {
+  if (typeof this.onInputsChange === "function") this.onInputsChange(this.getInputs());
+};
@@ -0,0 +1,242 @@
+/**
+ * MidiOutput - Sends playback to a Web MIDI output so a DAW or hardware synth can record or play it.
+ * Notes go out per part ("bass", "strum", "riff") on that part's channel, drums go to the drum channel
+ * through the General MIDI drum map, and the transport drives MIDI clock (24 pulses per quarter note) with
+ * start/stop. Times are transport clock seconds, converted to MIDI timestamps so messages are scheduled
+ * as precisely as the audio. Routing says whether playback also stays audible ("both") or is only sent
+ * ("midi"); with no output chosen everything plays as audio.
+ */
+function MidiOutput() {
+  this._transport = null;
+  this._access = null;
+  this._output = null;
+  this._outputId = "";
+  this._routing = "both";
+  this._channels = {};
+  for (var part in MidiOutput.DEFAULT_CHANNELS) {
+    if (!MidiOutput.DEFAULT_CHANNELS.hasOwnProperty(part)) continue;
+    this._channels[part] = MidiOutput.DEFAULT_CHANNELS[part];
+  }
+  this._isClockStarted = false;
+  this.onOutputsChange = null;
+}
+
+/** Channels (1-16) per playback part; 10 is the General MIDI drum channel. */
+MidiOutput.DEFAULT_CHANNELS = { bass: 1, strum: 2, riff: 3, drums: 10 };
+
+/** General MIDI drum notes for DrumEngine voice names. */
+MidiOutput.GM_DRUM_MAP = { kick: 36, snare: 38, hat: 42, ding: 34, click: 33 };
+
+/** MIDI clock pulses per quarter-note beat. */
+MidiOutput.CLOCK_PPQN = 24;
+
+/** Real-time status bytes. */
+MidiOutput.CLOCK = 0xf8;
+MidiOutput.START = 0xfa;
+MidiOutput.STOP = 0xfc;
+
+/** Velocity for unaccented notes and hits. */
+MidiOutput.DEFAULT_VELOCITY = 96;
+
+/**
+ * Uses the transport clock for timestamps.
+ */
+MidiOutput.prototype.setTransport = function (transport) {
+  this._transport = transport || null;
+};
+
+/**
+ * Requests MIDI access (shared with MidiInput) and resolves with the output list.
+ */
+MidiOutput.prototype.enable = function () {
+  var self = this;
+  if (this._access) return Promise.resolve(this.getOutputs());
+  return MidiInput.requestAccess().then(function (access) {
+    self.setAccess(access);
+    return self.getOutputs();
+  });
+};
+
+/**
+ * Uses a MIDIAccess object (or a mock with outputs) and follows ports being plugged in or removed.
+ * addEventListener is used so MidiInput's onstatechange keeps working on the same object.
+ */
+MidiOutput.prototype.setAccess = function (access) {
+  var self = this;
+  this._access = access || null;
+  if (!this._access) return;
+  if (typeof this._access.addEventListener === "function") {
+    this._access.addEventListener("statechange", function () {
+      self._selectOutput();
+      if (typeof self.onOutputsChange === "function") self.onOutputsChange(self.getOutputs());
+    });
+  }
+  this._selectOutput();
+  if (typeof this.onOutputsChange === "function") this.onOutputsChange(this.getOutputs());
+};
+
+/**
+ * Returns connected outputs as [{ id, name }].
+ */
+MidiOutput.prototype.getOutputs = function () {
+  var list = [];
+  if (!this._access || !this._access.outputs) return list;
+  this._access.outputs.forEach(function (output) {
+    list.push({ id: output.id, name: output.name || output.id });
+  });
+  return list;
+};
+
+/**
+ * Sends to the output with this id; "" turns MIDI output off.
+ */
+MidiOutput.prototype.setOutputId = function (id) {
+  if (this._output) this.stop();
+  this._outputId = typeof id === "string" ? id : "";
+  this._selectOutput();
+};
+
+/**
+ * Looks up the chosen output port among the connected ones.
+ */
+MidiOutput.prototype._selectOutput = function () {
+  var self = this;
+  this._output = null;
+  if (!this._outputId || !this._access || !this._access.outputs) return;
+  this._access.outputs.forEach(function (output) {
+    if (output.id === self._outputId) self._output = output;
+  });
+};
+
+/**
+ * Sets routing: "both" keeps playback audible while sending MIDI, "midi" mutes playback audio.
+ */
+MidiOutput.prototype.setRouting = function (routing) {
+  this._routing = routing === "midi" ? "midi" : "both";
+};
+
+/**
+ * Returns routing ("both" or "midi").
+ */
+MidiOutput.prototype.getRouting = function () {
+  return this._routing;
+};
+
+/**
+ * Sets a part's channel (1-16). Notes already sounding on the old channel are silenced.
+ */
+MidiOutput.prototype.setChannel = function (part, channel) {
+  if (!this._channels.hasOwnProperty(part)) return;
+  var n = parseInt(channel, 10);
+  if (isNaN(n)) return;
+  this._sendAllNotesOff(this._channels[part]);
+  this._channels[part] = Math.max(1, Math.min(16, n));
+};
+
+/**
+ * Returns channels per part as { bass, strum, riff, drums } (1-16).
+ */
+MidiOutput.prototype.getChannels = function () {
+  var channels = {};
+  for (var part in this._channels) {
+    if (this._channels.hasOwnProperty(part)) channels[part] = this._channels[part];
+  }
+  return channels;
+};
+
+/**
+ * Returns true when playback should be sent as MIDI.
+ */
+MidiOutput.prototype.sendsMidi = function () {
+  return !!this._output;
+};
+
+/**
+ * Returns true when playback should still be heard through Web Audio.
+ */
+MidiOutput.prototype.sendsAudio = function () {
+  return !this._output || this._routing !== "midi";
+};
+
+/**
+ * Sends a note on a part's channel at clock time whenSec for durationSec.
+ */
+MidiOutput.prototype.playNote = function (part, midiNote, whenSec, durationSec, velocity) {
+  if (!this._output || !this._channels.hasOwnProperty(part)) return;
+  var note = Math.max(0, Math.min(127, Math.round(midiNote)));
+  var status = this._channels[part] - 1;
+  var startMs = this._toTimestamp(whenSec);
+  this._output.send([0x90 | status, note, this._toVelocity(velocity)], startMs);
+  this._output.send([0x80 | status, note, 0], startMs + Math.max(0.01, durationSec || 0.25) * 1000);
+};
+
+/**
+ * Sends a drum voice by DrumEngine name on the drum channel. velocity is DrumEngine's gain multiplier.
+ */
+MidiOutput.prototype.playDrum = function (name, whenSec, velocity) {
+  if (!this._output || !MidiOutput.GM_DRUM_MAP.hasOwnProperty(name)) return;
+  var gain = (typeof velocity === "number" && velocity > 0) ? velocity : 1;
+  this.playNote("drums", MidiOutput.GM_DRUM_MAP[name], whenSec, 0.1, MidiOutput.DEFAULT_VELOCITY * gain);
+};
+
+/**
+ * Sends MIDI Start at clock time whenSec, once per run (until stop), so the receiver starts its bar 1 there.
+ */
+MidiOutput.prototype.start = function (whenSec) {
+  if (!this._output || this._isClockStarted) return;
+  this._output.send([MidiOutput.START], this._toTimestamp(whenSec));
+  this._isClockStarted = true;
+};
+
+/**
+ * Sends one beat of MIDI clock starting at clock time whenSec: CLOCK_PPQN pulses per quarter note, so a beat
+ * of quartersPerBeat quarter notes (default 1; 0.5 for the eighth-note beat of 6/8) gets that share, over beatSec.
+ */
+MidiOutput.prototype.sendClockBeat = function (whenSec, beatSec, quartersPerBeat) {
+  if (!this._output) return;
+  var pulses = Math.max(1, Math.round(MidiOutput.CLOCK_PPQN * (quartersPerBeat > 0 ? quartersPerBeat : 1)));
+  var startMs = this._toTimestamp(whenSec);
+  var pulseMs = (beatSec * 1000) / pulses;
+  for (var i = 0; i < pulses; i++) {
+    this._output.send([MidiOutput.CLOCK], startMs + i * pulseMs);
+  }
+};
+
+/**
+ * Sends Stop (when clock was started) and silences every part's channel. Messages still queued for
+ * later are dropped where the browser supports clear().
+ */
+MidiOutput.prototype.stop = function () {
+  if (!this._output) return;
+  if (typeof this._output.clear === "function") this._output.clear();
+  if (this._isClockStarted) this._output.send([MidiOutput.STOP]);
+  this._isClockStarted = false;
+  for (var part in this._channels) {
+    if (this._channels.hasOwnProperty(part)) this._sendAllNotesOff(this._channels[part]);
+  }
+};
+
+/**
+ * Sends All Notes Off (controller 123) on a channel (1-16).
+ */
+MidiOutput.prototype._sendAllNotesOff = function (channel) {
+  if (!this._output) return;
+  this._output.send([0xb0 | (channel - 1), 123, 0]);
+};
+
+/**
+ * Converts a 0..127 velocity (default DEFAULT_VELOCITY) into a MIDI data byte of at least 1.
+ */
+MidiOutput.prototype._toVelocity = function (velocity) {
+  var v = typeof velocity === "number" ? velocity : MidiOutput.DEFAULT_VELOCITY;
+  return Math.max(1, Math.min(127, Math.round(v)));
+};
+
+/**
+ * Converts transport clock seconds into a MIDI timestamp (performance.now() milliseconds).
+ */
+MidiOutput.prototype._toTimestamp = function (whenSec) {
+  var nowMs = (window.performance && window.performance.now) ? window.performance.now() : Date.now();
+  if (!this._transport || typeof whenSec !== "number") return nowMs;
+  return nowMs + Math.max(0, whenSec - this._transport.getCurrentTime()) * 1000;
+};
@@ -0,0 +1,224 @@
+/**
+ * NeckView - Draws a conventional fretboard (nut, frets, inlays, string names) on its own canvas and
+ * lights up notes given as { string, fret } positions (see Fretscape.getLitNotes).
+ * Frets use real guitar spacing, so positions further up the neck get narrower.
+ */
+function NeckView(containerEl) {
+  this.container = containerEl;
+  this.canvas = document.createElement("canvas");
+  this.ctx = this.canvas.getContext("2d");
+  this.container.appendChild(this.canvas);
+  this.fretCount = 15;
+  this._isPitchRisingRight = true;
+  this._isHighStringOnTop = true;
+  this._tuning = null;
+  this._notes = [];
+}
+
+/** Frets that carry an inlay dot; 12 and 24 carry two. */
+NeckView.INLAY_FRETS = [3, 5, 7, 9, 12, 15, 17, 19, 21, 24];
+
+/** Side margin (px) holding string names, and the area left of the nut for open-string notes. */
+NeckView.LABEL_MARGIN_PX = 22;
+NeckView.OPEN_AREA_PX = 26;
+
+/**
+ * Sets number of frets drawn. Notes above the last fret are not shown.
+ */
+NeckView.prototype.setFretCount = function (count) {
+  var n = parseInt(count, 10);
+  if (!isFinite(n) || n < 1) return;
+  this.fretCount = n;
+  this.render(this._tuning, this._notes);
+};
+
+/**
+ * Sets orientation so the neck reads the same way as the fretspace.
+ * pitchRisesRight puts the nut on the left; highStringOnTop puts the highest string on the top row.
+ */
+NeckView.prototype.setOrientation = function (pitchRisesRight, highStringOnTop) {
+  this._isPitchRisingRight = !!pitchRisesRight;
+  this._isHighStringOnTop = !!highStringOnTop;
+  this.render(this._tuning, this._notes);
+};
+
+/**
+ * Returns distance of fret wire f from the nut as a fraction of the drawn neck (0 = nut, 1 = last fret).
+ */
+NeckView.prototype._getFretFraction = function (fret) {
+  var full = 1 - Math.pow(2, -this.fretCount / 12);
+  return (1 - Math.pow(2, -fret / 12)) / full;
+};
+
+/**
+ * Returns x (px) of fret wire f, before mirroring.
+ */
+NeckView.prototype._fretWireX = function (fret, layout) {
+  return layout.nutX + this._getFretFraction(fret) * layout.neckWidth;
+};
+
+/**
+ * Returns x (px) where a note on fret f is drawn, before mirroring. Fret 0 sits left of the nut;
+ * fractional frets (moving dots) slide smoothly between fret centers.
+ */
+NeckView.prototype._noteX = function (fret, layout) {
+  var openX = layout.nutX - NeckView.OPEN_AREA_PX / 2;
+  var f = Math.max(1, fret);
+  var centerX = (this._fretWireX(f - 1, layout) + this._fretWireX(f, layout)) / 2;
+  if (fret >= 1) return centerX;
+  return openX + (centerX - openX) * Math.max(0, fret);
+};
+
+/**
+ * Returns final x (px) after left/right mirroring.
+ */
+NeckView.prototype._mirrorX = function (x) {
+  return this._isPitchRisingRight ? x : this.canvas.width - x;
+};
+
+/**
+ * Returns y (px) of a string, highest string on top unless flipped.
+ */
+NeckView.prototype._stringY = function (stringIndex, layout) {
+  var row = this._isHighStringOnTop ? (layout.stringCount - 1 - stringIndex) : stringIndex;
+  return layout.top + row * layout.stringSpacing;
+};
+
+/**
+ * Renders the neck for a tuning and lights up notes [{ string, fret, kind, label, fill, textColor, alpha }].
+ */
+NeckView.prototype.render = function (tuning, notes) {
+  this._tuning = tuning || null;
+  this._notes = Array.isArray(notes) ? notes : [];
+  var width = this.container.clientWidth > 0 ? this.container.clientWidth : 600;
+  var height = this.container.clientHeight > 0 ? this.container.clientHeight : 140;
+  this.canvas.width = width;
+  this.canvas.height = height;
+  var ctx = this.ctx;
+  ctx.clearRect(0, 0, width, height);
+  if (!this._tuning) return;
+  var stringCount = this._tuning.getStringCount();
+  var padY = 14;
+  var nutX = NeckView.LABEL_MARGIN_PX + NeckView.OPEN_AREA_PX;
+  var layout = {
+    stringCount: stringCount,
+    top: padY,
+    stringSpacing: stringCount > 1 ? (height - padY * 2) / (stringCount - 1) : 0,
+    nutX: nutX,
+    neckWidth: Math.max(10, width - nutX - 8)
+  };
+  this._drawBoard(layout);
+  this._drawNotes(layout);
+};
+
+/**
+ * Draws fingerboard, frets, inlays, nut, strings and string names.
+ */
+NeckView.prototype._drawBoard = function (layout) {
+  var ctx = this.ctx;
+  var top = layout.top;
+  var bottom = this._stringY(this._isHighStringOnTop ? 0 : layout.stringCount - 1, layout);
+  var midY = (top + bottom) / 2;
+  var boardLeft = this._mirrorX(layout.nutX);
+  var boardRight = this._mirrorX(layout.nutX + layout.neckWidth);
+  ctx.save();
+  ctx.fillStyle = "#e9dcc0";
+  ctx.fillRect(Math.min(boardLeft, boardRight), top - 6, Math.abs(boardRight - boardLeft), bottom - top + 12);
+
+  /* Inlays sit between strings, centered on their fret. */
+  var inlayRadius = Math.max(2, Math.min(6, layout.stringSpacing * 0.18));
+  ctx.fillStyle = "#b9a98a";
+  for (var i = 0; i < NeckView.INLAY_FRETS.length; i++) {
+    var inlayFret = NeckView.INLAY_FRETS[i];
+    if (inlayFret > this.fretCount) continue;
+    var ix = this._mirrorX(this._noteX(inlayFret, layout));
+    var ys = inlayFret % 12 === 0 ? [top + (bottom - top) * 0.25, top + (bottom - top) * 0.75] : [midY];
+    for (var y = 0; y < ys.length; y++) {
+      ctx.beginPath();
+      ctx.arc(ix, ys[y], inlayRadius, 0, Math.PI * 2);
+      ctx.fill();
+    }
+    ctx.font = "10px sans-serif";
+    ctx.textAlign = "center";
+    ctx.textBaseline = "top";
+    ctx.fillText(String(inlayFret), ix, bottom + 4);
+  }
+
+  ctx.strokeStyle = "#8a8a8a";
+  ctx.lineWidth = 1.5;
+  for (var f = 1; f <= this.fretCount; f++) {
+    var fx = this._mirrorX(this._fretWireX(f, layout));
+    ctx.beginPath();
+    ctx.moveTo(fx, top - 6);
+    ctx.lineTo(fx, bottom + 6);
+    ctx.stroke();
+  }
+  ctx.strokeStyle = "#333";
+  ctx.lineWidth = 5;
+  ctx.beginPath();
+  ctx.moveTo(boardLeft, top - 6);
+  ctx.lineTo(boardLeft, bottom + 6);
+  ctx.stroke();
+
+  /* Lower strings are drawn thicker. */
+  var labelX = this._mirrorX(NeckView.LABEL_MARGIN_PX / 2);
+  ctx.font = "bold 11px sans-serif";
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  for (var s = 0; s < layout.stringCount; s++) {
+    var sy = this._stringY(s, layout);
+    ctx.strokeStyle = "#555";
+    ctx.lineWidth = 0.8 + 1.6 * (layout.stringCount - 1 - s) / Math.max(1, layout.stringCount - 1);
+    ctx.beginPath();
+    ctx.moveTo(boardLeft, sy);
+    ctx.lineTo(boardRight, sy);
+    ctx.stroke();
+    ctx.fillStyle = "#333";
+    ctx.fillText(this._tuning.getStringName(s), labelX, sy);
+  }
+  ctx.restore();
+};
+
+/**
+ * Draws lit notes with the same colours the fretspace uses: brick cells, blue touch notes, green playback.
+ */
+NeckView.prototype._drawNotes = function (layout) {
+  var ctx = this.ctx;
+  var radius = Math.max(4, Math.min(11, layout.stringSpacing * 0.42));
+  ctx.save();
+  for (var i = 0; i < this._notes.length; i++) {
+    var note = this._notes[i];
+    if (!note || !this._tuning.hasString(note.string) || note.fret > this.fretCount + 0.5) continue;
+    var x = this._mirrorX(this._noteX(note.fret, layout));
+    var y = this._stringY(note.string, layout);
+    ctx.beginPath();
+    ctx.arc(x, y, radius, 0, Math.PI * 2);
+    if (note.kind === "touch") {
+      var alpha = typeof note.alpha === "number" ? note.alpha : 1;
+      ctx.fillStyle = "rgba(46, 134, 255, " + alpha.toFixed(3) + ")";
+      ctx.fill();
+      continue;
+    }
+    if (note.kind === "playback") {
+      ctx.fillStyle = "#2ea043";
+      ctx.fill();
+      ctx.strokeStyle = "#1f7a34";
+      ctx.lineWidth = 1;
+      ctx.stroke();
+      continue;
+    }
+    ctx.fillStyle = note.fill || "#f5f5f5";
+    ctx.fill();
+    ctx.strokeStyle = "#333";
+    ctx.lineWidth = 1;
+    ctx.stroke();
+    if (note.label) {
+      ctx.fillStyle = note.textColor || "#333";
+      ctx.font = "bold " + Math.round(radius * 0.9) + "px sans-serif";
+      ctx.textAlign = "center";
+      ctx.textBaseline = "middle";
+      ctx.fillText(note.label, x, y);
+    }
+  }
+  ctx.restore();
+};
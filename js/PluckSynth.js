@@ -0,0 +1,171 @@
+/**
+ * PluckSynth - Physically modelled plucked-string voice (Karplus-Strong).
+ * A burst of noise shaped by the pick position circulates in a delay line one string period long; a
+ * damping filter in the loop takes off highs on every pass, so the tone starts bright and mellows as it
+ * rings, like a real string. Each note is rendered once into an AudioBuffer (cached per pitch and variant)
+ * and played through body resonance filters. Variants: "pluck" (normal), "palm" (palm-muted: short, dull
+ * thud) and "ring" (let ring: sustains past the note's length).
+ */
+function PluckSynth() {
+  this._buffers = {};     /* "variant:frequency" -> rendered AudioBuffer */
+  this._bufferKeys = [];  /* cache keys, oldest first */
+}
+
+/**
+ * Variants: decaySec is the time to fall 60 dB; damping (0..1) weights the loop filter toward the previous
+ * sample (more damping loses highs faster); brightness (0..1) of the pick noise; pickPosition as a fraction
+ * of the string from the bridge; toneHz caps the output; letRing ignores note lengths.
+ */
+PluckSynth.VARIANTS = {
+  pluck: { decaySec: 2.4, damping: 0.4, brightness: 0.75, pickPosition: 0.18, toneHz: 5200, letRing: false },
+  palm: { decaySec: 0.25, damping: 0.5, brightness: 0.35, pickPosition: 0.12, toneHz: 1300, letRing: false },
+  ring: { decaySec: 4.5, damping: 0.35, brightness: 0.8, pickPosition: 0.2, toneHz: 5600, letRing: true }
+};
+
+/** Guitar body modes boosted after the string: air cavity and top plate, with a dip in the boxy mids. */
+PluckSynth.BODY = [
+  { type: "peaking", frequency: 105, Q: 1.1, gain: 5 },
+  { type: "peaking", frequency: 220, Q: 1.4, gain: 3 },
+  { type: "peaking", frequency: 800, Q: 0.8, gain: -3 }
+];
+
+/** Output gain at the pluck; rendered buffers peak at 1. */
+PluckSynth.PEAK_GAIN = 0.26;
+
+/** Seconds of the pick burst a legato note (hammer-on, pull-off, slide) skips, as it is not picked. */
+PluckSynth.LEGATO_OFFSET_SEC = 0.012;
+
+/** Fade at the end of a note that is not let ring, in seconds. */
+PluckSynth.RELEASE_SEC = 0.06;
+
+/** Most rendered notes kept; the oldest is dropped first. */
+PluckSynth.CACHE_SIZE = 48;
+
+/**
+ * Plays frequency (Hz) into output from clock time when. Options: variant (default "pluck"), durationSec
+ * (released then unless the variant lets ring; default: ring out), peakGain and legato (start past the pick
+ * burst). Returns the voice
+ * { source, gain, pitchParam, pitchScale, letRing, noteOnTime, attackEndTime, fadeEndTime, peakGain, minGain }:
+ * setting pitchParam to newFrequency * pitchScale bends the note.
+ */
+PluckSynth.prototype.play = function (ctx, output, frequency, when, options) {
+  var opts = options || {};
+  var variantId = PluckSynth.VARIANTS.hasOwnProperty(opts.variant) ? opts.variant : "pluck";
+  var variant = PluckSynth.VARIANTS[variantId];
+  var buffer = this._getBuffer(ctx, frequency, variantId);
+  var source = ctx.createBufferSource();
+  source.buffer = buffer;
+  var node = source;
+  for (var i = 0; i < PluckSynth.BODY.length; i++) {
+    var body = ctx.createBiquadFilter();
+    body.type = PluckSynth.BODY[i].type;
+    body.frequency.value = PluckSynth.BODY[i].frequency;
+    body.Q.value = PluckSynth.BODY[i].Q;
+    body.gain.value = PluckSynth.BODY[i].gain;
+    node.connect(body);
+    node = body;
+  }
+  var tone = ctx.createBiquadFilter();
+  tone.type = "lowpass";
+  tone.frequency.value = variant.toneHz;
+  node.connect(tone);
+  var gain = ctx.createGain();
+  tone.connect(gain);
+  gain.connect(output);
+  var peakGain = (typeof opts.peakGain === "number") ? opts.peakGain : PluckSynth.PEAK_GAIN;
+  var end = when + buffer.duration;
+  gain.gain.setValueAtTime(peakGain, when);
+  if (!variant.letRing && typeof opts.durationSec === "number" && when + opts.durationSec < end) {
+    end = when + Math.max(PluckSynth.RELEASE_SEC, opts.durationSec);
+    gain.gain.setValueAtTime(peakGain, end - PluckSynth.RELEASE_SEC);
+    gain.gain.exponentialRampToValueAtTime(0.0001, end);
+  }
+  source.start(when, opts.legato ? PluckSynth.LEGATO_OFFSET_SEC : 0);
+  source.stop(end + 0.05);
+  return {
+    source: source,
+    gain: gain,
+    pitchParam: source.playbackRate,
+    pitchScale: 1 / frequency,
+    letRing: variant.letRing,
+    noteOnTime: when,
+    attackEndTime: when + 0.004,
+    fadeEndTime: Math.min(end, when + variant.decaySec),
+    peakGain: peakGain,
+    minGain: 0.0001
+  };
+};
+
+/**
+ * Returns the rendered note for a pitch and variant, rendering it on first use.
+ */
+PluckSynth.prototype._getBuffer = function (ctx, frequency, variantId) {
+  var key = variantId + ":" + frequency.toFixed(1);
+  if (this._buffers.hasOwnProperty(key)) return this._buffers[key];
+  if (this._bufferKeys.length >= PluckSynth.CACHE_SIZE) {
+    delete this._buffers[this._bufferKeys.shift()];
+  }
+  this._buffers[key] = this._render(ctx, frequency, PluckSynth.VARIANTS[variantId]);
+  this._bufferKeys.push(key);
+  return this._buffers[key];
+};
+
+/**
+ * Renders one plucked note: the pick burst circulates in a delay line through the damping filter and a
+ * fractional-delay allpass that keeps the loop exactly one period long (in tune at high pitches).
+ */
+PluckSynth.prototype._render = function (ctx, frequency, variant) {
+  var sampleRate = ctx.sampleRate;
+  var length = Math.ceil(sampleRate * (variant.decaySec + 0.1));
+  var buffer = ctx.createBuffer(1, length, sampleRate);
+  var out = buffer.getChannelData(0);
+  /* The damping filter delays by `damping` samples and the allpass by 0.1-1.1; the line takes the rest. */
+  var loopDelay = sampleRate / frequency - variant.damping;
+  var size = Math.max(2, Math.floor(loopDelay - 0.1));
+  var fraction = loopDelay - size;
+  var allpass = (1 - fraction) / (1 + fraction);
+  /* Loss per pass so the note falls 60 dB over decaySec whatever its pitch. */
+  var loss = Math.pow(0.001, 1 / (frequency * variant.decaySec));
+  var line = this._excite(size, variant);
+  var index = 0;
+  var previous = 0;
+  var allpassIn = 0;
+  var allpassOut = 0;
+  for (var n = 0; n < length; n++) {
+    var current = line[index];
+    out[n] = current;
+    var damped = loss * ((1 - variant.damping) * current + variant.damping * previous);
+    previous = current;
+    allpassOut = allpass * damped + allpassIn - allpass * allpassOut;
+    allpassIn = damped;
+    line[index] = allpassOut;
+    index++;
+    if (index >= size) index = 0;
+  }
+  return buffer;
+};
+
+/**
+ * Returns the initial string shape: lowpassed noise with the harmonics that have a node at the pick position
+ * cancelled (a comb, which also removes DC), normalized to peak 1.
+ */
+PluckSynth.prototype._excite = function (size, variant) {
+  var noise = new Float32Array(size);
+  var smooth = 0;
+  for (var i = 0; i < size; i++) {
+    smooth += variant.brightness * ((Math.random() * 2 - 1) - smooth);
+    noise[i] = smooth;
+  }
+  var pick = Math.max(1, Math.round(size * variant.pickPosition));
+  var line = new Float32Array(size);
+  var peak = 0;
+  for (var j = 0; j < size; j++) {
+    /* The shape is one period of a loop, so the comb wraps around. */
+    line[j] = noise[j] - noise[(j - pick + size) % size];
+    peak = Math.max(peak, Math.abs(line[j]));
+  }
+  if (peak > 0) {
+    for (var k = 0; k < size; k++) line[k] /= peak;
+  }
+  return line;
+};
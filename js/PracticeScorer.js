@@ -0,0 +1,137 @@
+/**
+ * PracticeScorer - Grades user-played notes against expected riff targets.
+ * Targets and hits share one millisecond clock supplied by the caller (the beat clock).
+ * Pitch is graded by exact cell, then by semitone; timing as early/late against the target time.
+ */
+function PracticeScorer() {
+  this._targets = [];
+  this._results = [];
+  this._extraHits = 0;
+  this._matchWindowMs = 300;
+}
+
+/** Hits within this many ms of the target count as on time. */
+PracticeScorer.ON_TIME_MS = 70;
+
+/**
+ * Clears targets and results for a new run. matchWindowMs is the max distance a hit may be from its target.
+ */
+PracticeScorer.prototype.reset = function (matchWindowMs) {
+  this._targets = [];
+  this._results = [];
+  this._extraHits = 0;
+  if (typeof matchWindowMs === "number" && matchWindowMs > 0) {
+    this._matchWindowMs = matchWindowMs;
+  }
+};
+
+/**
+ * Adds one expected note: { timeMs, xCw, yCw, semitone }.
+ */
+PracticeScorer.prototype.addTarget = function (target) {
+  if (!target || typeof target.timeMs !== "number") return;
+  this._targets.push({
+    timeMs: target.timeMs,
+    xCw: target.xCw,
+    yCw: target.yCw,
+    semitone: target.semitone,
+    result: null
+  });
+};
+
+/**
+ * Returns targets with time in [fromMs, toMs], including already graded ones.
+ */
+PracticeScorer.prototype.getTargetsBetween = function (fromMs, toMs) {
+  var list = [];
+  for (var i = 0; i < this._targets.length; i++) {
+    var t = this._targets[i];
+    if (t.timeMs >= fromMs && t.timeMs <= toMs) list.push(t);
+  }
+  return list;
+};
+
+/**
+ * Grades one user hit { timeMs, xCw, yCw, semitone } against the nearest open target in time.
+ * Returns { pitch: "cell"|"semitone"|"wrong", timing: "early"|"on-time"|"late", deltaMs, target } or
+ * { extra: true } when no target is within the match window.
+ */
+PracticeScorer.prototype.gradeHit = function (hit) {
+  if (!hit || typeof hit.timeMs !== "number") return null;
+  var best = null;
+  var bestScore = Number.POSITIVE_INFINITY;
+  for (var i = 0; i < this._targets.length; i++) {
+    var t = this._targets[i];
+    if (t.result) continue;
+    var dist = Math.abs(hit.timeMs - t.timeMs);
+    if (dist > this._matchWindowMs) continue;
+    /* Prefer the right pitch when two targets are close in time (chords, fast runs). */
+    var score = dist + (t.semitone === hit.semitone ? 0 : this._matchWindowMs);
+    if (score < bestScore) {
+      bestScore = score;
+      best = t;
+    }
+  }
+  if (!best) {
+    this._extraHits++;
+    return { extra: true, xCw: hit.xCw, yCw: hit.yCw, timeMs: hit.timeMs };
+  }
+  var deltaMs = hit.timeMs - best.timeMs;
+  var pitch = "wrong";
+  if (hit.xCw === best.xCw && hit.yCw === best.yCw) pitch = "cell";
+  else if (hit.semitone === best.semitone) pitch = "semitone";
+  var timing = "on-time";
+  if (deltaMs < -PracticeScorer.ON_TIME_MS) timing = "early";
+  if (deltaMs > PracticeScorer.ON_TIME_MS) timing = "late";
+  var result = {
+    pitch: pitch,
+    timing: timing,
+    deltaMs: Math.round(deltaMs),
+    xCw: hit.xCw,
+    yCw: hit.yCw,
+    timeMs: hit.timeMs,
+    target: best
+  };
+  best.result = result;
+  this._results.push(result);
+  return result;
+};
+
+/**
+ * Returns run summary. Targets older than the match window at nowMs without a hit count as missed;
+ * later targets are not counted yet.
+ */
+PracticeScorer.prototype.getSummary = function (nowMs) {
+  var due = 0;
+  var missed = 0;
+  for (var i = 0; i < this._targets.length; i++) {
+    var t = this._targets[i];
+    if (t.result) {
+      due++;
+      continue;
+    }
+    if (typeof nowMs === "number" && t.timeMs + this._matchWindowMs > nowMs) continue;
+    due++;
+    missed++;
+  }
+  var pitchCorrect = 0;
+  var onTime = 0;
+  var absDeltaSum = 0;
+  for (var r = 0; r < this._results.length; r++) {
+    var result = this._results[r];
+    if (result.pitch !== "wrong") pitchCorrect++;
+    if (result.timing === "on-time") onTime++;
+    absDeltaSum += Math.abs(result.deltaMs);
+  }
+  var hits = this._results.length;
+  return {
+    targets: due,
+    hits: hits,
+    missed: missed,
+    extra: this._extraHits,
+    pitchCorrect: pitchCorrect,
+    onTime: onTime,
+    meanOffsetMs: hits ? Math.round(absDeltaSum / hits) : 0,
+    accuracy: due ? Math.round((100 * pitchCorrect) / (due + this._extraHits)) : 0
+  };
+};
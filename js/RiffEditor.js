@@ -0,0 +1,303 @@
+/**
+ * RiffEditor - Step-grid panel for notes-string riffs (see RiffNotation).
+ * Rows are fretspace y offsets from the riff root (higher rows on top), columns are beat subdivisions.
+ * Clicking a cell writes the current fret offset (x) and articulation there; clicking a cell that already
+ * holds both clears it.
+ * The panel only edits a riff object; the app decides what preview and save do through onPreview/onSave.
+ */
+function RiffEditor(containerEl) {
+  this.container = containerEl;
+  this._notation = new RiffNotation("");
+  this._riffId = "";
+  this._sourceHasEvents = false;
+  this._beatCount = RiffEditor.DEFAULT_BEATS;
+  this._rowMin = -1;
+  this._rowMax = 1;
+  this.onPreview = null;
+  this.onSave = null;
+  this.onClose = null;
+  this._buildControls();
+  this.setRiff(null);
+}
+
+/** Beats in a new riff, and the most the grid offers. */
+RiffEditor.DEFAULT_BEATS = 4;
+RiffEditor.MAX_BEATS = 32;
+
+/** Articulation dropdown: marks written with the offset (see RiffNotation). */
+RiffEditor.ARTICULATIONS = [
+  { marks: "", text: "Plain" },
+  { marks: "h", text: "Hammer-on" },
+  { marks: "p", text: "Pull-off" },
+  { marks: "/", text: "Slide up" },
+  { marks: "\\", text: "Slide down" },
+  { marks: "b", text: "Bend" },
+  { marks: "~", text: "Vibrato" },
+  { marks: "x", text: "Mute" }
+];
+
+/** Labels for the subdivision dropdown, keyed by steps per beat. */
+RiffEditor.SUBDIVISION_LABELS = { 1: "Quarters", 2: "Eighths", 3: "Triplets", 4: "Sixteenths", 6: "Sixteenth triplets" };
+
+/**
+ * Creates a labelled field wrapper in toolbar style and returns the wrapper. Shared with TakeEditor.
+ */
+RiffEditor.addField = function (parent, labelText, control) {
+  var label = document.createElement("label");
+  label.className = "toolbar-field compact";
+  var span = document.createElement("span");
+  span.textContent = labelText;
+  label.appendChild(span);
+  label.appendChild(control);
+  parent.appendChild(label);
+  return label;
+};
+
+/**
+ * Creates a button with a click handler. Shared with TakeEditor.
+ */
+RiffEditor.addButton = function (parent, text, onClick) {
+  var button = document.createElement("button");
+  button.type = "button";
+  button.textContent = text;
+  button.addEventListener("click", onClick);
+  parent.appendChild(button);
+  return button;
+};
+
+/**
+ * Builds the control row, the note hint and the grid host once.
+ */
+RiffEditor.prototype._buildControls = function () {
+  var self = this;
+  var controls = document.createElement("div");
+  controls.className = "toolbar-row";
+  this.container.appendChild(controls);
+
+  this._nameInput = document.createElement("input");
+  this._nameInput.type = "text";
+  RiffEditor.addField(controls, "Name", this._nameInput);
+
+  this._contextSelect = document.createElement("select");
+  var contexts = [{ value: "chord", text: "Chord root" }, { value: "key", text: "Key root" }];
+  for (var c = 0; c < contexts.length; c++) {
+    var contextOption = document.createElement("option");
+    contextOption.value = contexts[c].value;
+    contextOption.textContent = contexts[c].text;
+    this._contextSelect.appendChild(contextOption);
+  }
+  RiffEditor.addField(controls, "Relative to", this._contextSelect);
+
+  this._beatsInput = document.createElement("input");
+  this._beatsInput.type = "number";
+  this._beatsInput.min = "1";
+  this._beatsInput.max = String(RiffEditor.MAX_BEATS);
+  this._beatsInput.addEventListener("change", function () {
+    self._setBeatCount(self._beatsInput.value);
+  });
+  RiffEditor.addField(controls, "Beats", this._beatsInput);
+
+  this._subdivisionSelect = document.createElement("select");
+  for (var s = 0; s < RiffNotation.STEPS_PER_BEAT.length; s++) {
+    var steps = RiffNotation.STEPS_PER_BEAT[s];
+    var stepOption = document.createElement("option");
+    stepOption.value = String(steps);
+    stepOption.textContent = RiffEditor.SUBDIVISION_LABELS[steps];
+    this._subdivisionSelect.appendChild(stepOption);
+  }
+  this._subdivisionSelect.addEventListener("change", function () {
+    self._setStepsPerBeat(self._subdivisionSelect.value);
+  });
+  RiffEditor.addField(controls, "Steps", this._subdivisionSelect);
+
+  this._brushInput = document.createElement("input");
+  this._brushInput.type = "number";
+  this._brushInput.min = "-12";
+  this._brushInput.max = "24";
+  this._brushInput.value = "0";
+  RiffEditor.addField(controls, "Fret offset (x)", this._brushInput);
+
+  this._articulationSelect = document.createElement("select");
+  for (var a = 0; a < RiffEditor.ARTICULATIONS.length; a++) {
+    var articulationOption = document.createElement("option");
+    articulationOption.value = RiffEditor.ARTICULATIONS[a].marks;
+    articulationOption.textContent = RiffEditor.ARTICULATIONS[a].text;
+    this._articulationSelect.appendChild(articulationOption);
+  }
+  RiffEditor.addField(controls, "Articulation", this._articulationSelect);
+
+  RiffEditor.addButton(controls, "Row above", function () {
+    self._rowMax++;
+    self._renderGrid();
+  });
+  RiffEditor.addButton(controls, "Row below", function () {
+    self._rowMin--;
+    self._renderGrid();
+  });
+  RiffEditor.addButton(controls, "New", function () {
+    self.setRiff(null);
+  });
+  RiffEditor.addButton(controls, "Preview", function () {
+    if (typeof self.onPreview === "function") self.onPreview(self.getRiff());
+  });
+  RiffEditor.addButton(controls, "Save", function () {
+    if (typeof self.onSave === "function") self.onSave(self.getRiff());
+  });
+  RiffEditor.addButton(controls, "Close", function () {
+    if (typeof self.onClose === "function") self.onClose();
+  });
+
+  this._hint = document.createElement("div");
+  this._hint.className = "riff-editor-hint";
+  this.container.appendChild(this._hint);
+
+  this._gridHost = document.createElement("div");
+  this._gridHost.className = "riff-editor-grid";
+  this.container.appendChild(this._gridHost);
+};
+
+/**
+ * Loads a riff into the grid; null starts a blank riff with a fresh id.
+ * Recorded riffs are edited through their notes string; their event timing is dropped on save.
+ */
+RiffEditor.prototype.setRiff = function (riff) {
+  var source = riff && typeof riff === "object" ? riff : null;
+  var notes = "";
+  if (source && typeof source.notes === "string") notes = source.notes;
+  else if (source && typeof source.tab === "string") notes = source.tab;
+  this._notation = new RiffNotation(notes);
+  this._riffId = source && typeof source.id === "string" ? source.id : "riff_" + String(Date.now());
+  this._sourceHasEvents = !!(source && Array.isArray(source.events) && source.events.length);
+  var stepsPerBeat = RiffNotation.getStepsPerBeat(source);
+  this._subdivisionSelect.value = String(stepsPerBeat);
+  this._beatCount = Math.max(1, Math.ceil(this._notation.getStepCount() / stepsPerBeat) || RiffEditor.DEFAULT_BEATS);
+  this._notation.setStepCount(this._beatCount * stepsPerBeat);
+  var rows = this._notation.getRows();
+  this._rowMin = Math.min(-1, rows.length ? rows[0] : 0);
+  this._rowMax = Math.max(1, rows.length ? rows[rows.length - 1] : 0);
+  this._nameInput.value = source && typeof source.name === "string" ? source.name : "New riff";
+  this._contextSelect.value = source && source.context === "key" ? "key" : "chord";
+  this._beatsInput.value = String(this._beatCount);
+  this._hint.textContent = this._sourceHasEvents
+    ? "Recorded riff: saving from the grid replaces its recorded timing."
+    : "Click a cell to place the fret offset; click it again to clear.";
+  this._renderGrid();
+};
+
+/**
+ * Returns the edited riff in the riffs.JSON shape: { id, name, notes, context, stepsPerBeat? }.
+ */
+RiffEditor.prototype.getRiff = function () {
+  var stepsPerBeat = this._getStepsPerBeat();
+  var riff = {
+    id: this._riffId,
+    name: this._nameInput.value.trim() || "Untitled riff",
+    notes: this._notation.toString() || "(0," + new Array(this._notation.getStepCount() + 1).join("-") + ")",
+    context: this._contextSelect.value === "key" ? "key" : "chord"
+  };
+  if (stepsPerBeat > 1) riff.stepsPerBeat = stepsPerBeat;
+  return riff;
+};
+
+/**
+ * Returns steps per beat from the subdivision dropdown.
+ */
+RiffEditor.prototype._getStepsPerBeat = function () {
+  return RiffNotation.getStepsPerBeat({ stepsPerBeat: this._subdivisionSelect.value });
+};
+
+/**
+ * Changes riff length in beats; shortening drops notes past the end.
+ */
+RiffEditor.prototype._setBeatCount = function (value) {
+  var beats = Math.max(1, Math.min(RiffEditor.MAX_BEATS, parseInt(value, 10) || 1));
+  this._beatCount = beats;
+  this._beatsInput.value = String(beats);
+  this._notation.setStepCount(beats * this._getStepsPerBeat());
+  this._renderGrid();
+};
+
+/**
+ * Changes subdivision, moving notes to the nearest step of the new grid so they keep their beat position.
+ */
+RiffEditor.prototype._setStepsPerBeat = function (value) {
+  var previous = this._notation;
+  var fromSteps = Math.max(1, Math.round(previous.getStepCount() / this._beatCount));
+  var toSteps = RiffNotation.getStepsPerBeat({ stepsPerBeat: value });
+  var next = new RiffNotation("");
+  next.setStepCount(this._beatCount * toSteps);
+  var rows = previous.getRows();
+  for (var r = 0; r < rows.length; r++) {
+    for (var i = 0; i < previous.getStepCount(); i++) {
+      var x = previous.getCell(rows[r], i);
+      if (x === null) continue;
+      var step = Math.min(next.getStepCount() - 1, Math.round((i * toSteps) / fromSteps));
+      next.setCell(rows[r], step, x);
+      next.setMarks(rows[r], step, previous.getMarks(rows[r], i));
+    }
+  }
+  this._notation = next;
+  this._renderGrid();
+};
+
+/**
+ * Writes the current fret offset and articulation into a cell, or clears the cell when it already holds both.
+ */
+RiffEditor.prototype._toggleCell = function (y, step) {
+  var x = parseInt(this._brushInput.value, 10);
+  if (isNaN(x)) x = 0;
+  var marks = this._articulationSelect.value;
+  if (this._notation.getCell(y, step) === x && this._notation.getMarks(y, step) === marks) {
+    this._notation.setCell(y, step, null);
+  } else {
+    this._notation.setCell(y, step, x);
+    this._notation.setMarks(y, step, marks);
+  }
+  this._renderGrid();
+};
+
+/**
+ * Rebuilds the grid table: one row per y offset (highest on top), beat numbers over each beat's first step.
+ */
+RiffEditor.prototype._renderGrid = function () {
+  var stepsPerBeat = this._getStepsPerBeat();
+  var stepCount = this._notation.getStepCount();
+  var table = document.createElement("table");
+  var header = document.createElement("tr");
+  header.appendChild(document.createElement("th"));
+  for (var h = 0; h < stepCount; h++) {
+    var th = document.createElement("th");
+    th.textContent = h % stepsPerBeat === 0 ? String(h / stepsPerBeat + 1) : "";
+    header.appendChild(th);
+  }
+  table.appendChild(header);
+  for (var y = this._rowMax; y >= this._rowMin; y--) {
+    var tr = document.createElement("tr");
+    var rowLabel = document.createElement("th");
+    rowLabel.textContent = (y > 0 ? "+" : "") + y;
+    tr.appendChild(rowLabel);
+    for (var i = 0; i < stepCount; i++) {
+      var td = document.createElement("td");
+      var x = this._notation.getCell(y, i);
+      td.textContent = x === null ? "" : this._notation.getToken(y, i);
+      td.className = (x === null ? "" : "filled ") + (i % stepsPerBeat === 0 ? "beat-start" : "");
+      td.addEventListener("click", this._makeCellHandler(y, i));
+      tr.appendChild(td);
+    }
+    table.appendChild(tr);
+  }
+  while (this._gridHost.firstChild) {
+    this._gridHost.removeChild(this._gridHost.firstChild);
+  }
+  this._gridHost.appendChild(table);
+};
+
+/**
+ * Returns a click handler bound to one grid cell.
+ */
+RiffEditor.prototype._makeCellHandler = function (y, step) {
+  var self = this;
+  return function () {
+    self._toggleCell(y, step);
+  };
+};
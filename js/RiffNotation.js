@@ -0,0 +1,237 @@
+/**
+ * RiffNotation - Step grid behind the compact riff notes string "(y,sequence),(y,sequence)".
+ * y is a fretspace row offset from the riff root (+1 row = +5 semitones); each sequence token is one step and
+ * holds the x offset (frets) played on that row, or "-" for nothing. Single-digit sequences are written
+ * packed ("024-"); anything with negative or multi-digit offsets is written comma separated ("0,-2,12,-").
+ * A token may carry articulation marks: before the offset, how the note is reached from the previous note on
+ * its row ("h" hammer-on, "p" pull-off, "/" slide up, "\" slide down); after it, what the note does ("b" bend
+ * up a whole step, "~" vibrato, "x" muted). "5h65" packs three steps with a hammer-on into the 6.
+ * A riff's stepsPerBeat (default 1) says how many steps share one beat; the string itself carries no timing.
+ */
+function RiffNotation(notesString) {
+  this._cells = {};  /* "y:step" -> x */
+  this._marks = {};  /* "y:step" -> articulation marks of that note, when it has any */
+  this._stepCount = 0;
+  if (typeof notesString === "string") this._parse(notesString);
+}
+
+/** Subdivisions offered by the editor; the riff's stepsPerBeat must be one of these. */
+RiffNotation.STEPS_PER_BEAT = [1, 2, 3, 4, 6];
+
+/** Marks written before an offset: how a note is reached from the previous note on its row. */
+RiffNotation.APPROACH_MARKS = { "h": "hammer", "p": "pull", "/": "slideUp", "\\": "slideDown" };
+
+/** Marks written after an offset: what the note does once it sounds. */
+RiffNotation.NOTE_MARKS = { "b": "bend", "~": "vibrato", "x": "mute" };
+
+/** One token: optional approach mark, the offset, then note marks. */
+RiffNotation.TOKEN_PATTERN = /^([hp\/\\]?)([+-]?\d+)([b~x]*)$/;
+
+/** Packed tokens: a single-digit offset with its marks, or any other character as one (empty) step. */
+RiffNotation.PACKED_TOKEN_PATTERN = /[hp\/\\]?\d[b~x]*|[\s\S]/g;
+
+/**
+ * Returns riff.stepsPerBeat when valid, else 1.
+ */
+RiffNotation.getStepsPerBeat = function (riff) {
+  var n = riff ? parseInt(riff.stepsPerBeat, 10) : 1;
+  return RiffNotation.STEPS_PER_BEAT.indexOf(n) >= 0 ? n : 1;
+};
+
+/**
+ * Returns what a marks string asks for: { approach ("hammer", "pull", "slideUp", "slideDown" or null),
+ * bend, vibrato, mute }.
+ */
+RiffNotation.getArticulation = function (marks) {
+  var text = String(marks || "");
+  var articulation = { approach: null, bend: false, vibrato: false, mute: false };
+  for (var i = 0; i < text.length; i++) {
+    var mark = text.charAt(i);
+    if (RiffNotation.APPROACH_MARKS.hasOwnProperty(mark)) articulation.approach = RiffNotation.APPROACH_MARKS[mark];
+    if (RiffNotation.NOTE_MARKS.hasOwnProperty(mark)) articulation[RiffNotation.NOTE_MARKS[mark]] = true;
+  }
+  return articulation;
+};
+
+/**
+ * Reads "(y,sequence)" groups. Step count is set by the longest sequence.
+ */
+RiffNotation.prototype._parse = function (notesString) {
+  var re = /\(\s*(-?\d+)\s*,\s*([^)]+)\)/g;
+  var match;
+  while ((match = re.exec(notesString))) {
+    var y = parseInt(match[1], 10);
+    if (isNaN(y)) continue;
+    var compact = String(match[2] || "").replace(/\s+/g, "");
+    if (!compact) continue;
+    var tokens = compact.indexOf(",") >= 0 ? compact.split(",") : compact.match(RiffNotation.PACKED_TOKEN_PATTERN);
+    if (tokens.length > 1 && tokens[tokens.length - 1] === "") tokens.pop();  /* "(0,12,)" is one step */
+    this._stepCount = Math.max(this._stepCount, tokens.length);
+    for (var i = 0; i < tokens.length; i++) {
+      var token = RiffNotation.TOKEN_PATTERN.exec(tokens[i]);
+      if (!token) continue;
+      this.setCell(y, i, parseInt(token[2], 10));
+      this.setMarks(y, i, token[1] + token[3]);
+    }
+  }
+};
+
+/**
+ * Returns number of steps in the grid.
+ */
+RiffNotation.prototype.getStepCount = function () {
+  return this._stepCount;
+};
+
+/**
+ * Sets number of steps; shrinking drops notes past the new end.
+ */
+RiffNotation.prototype.setStepCount = function (count) {
+  var n = Math.max(0, parseInt(count, 10) || 0);
+  if (n < this._stepCount) {
+    for (var key in this._cells) {
+      if (!this._cells.hasOwnProperty(key) || parseInt(key.split(":")[1], 10) < n) continue;
+      delete this._cells[key];
+      delete this._marks[key];
+    }
+  }
+  this._stepCount = n;
+};
+
+/**
+ * Returns x offset at (y, step), or null when the cell is empty.
+ */
+RiffNotation.prototype.getCell = function (y, step) {
+  var key = y + ":" + step;
+  return this._cells.hasOwnProperty(key) ? this._cells[key] : null;
+};
+
+/**
+ * Sets x offset at (y, step); null clears the cell and its marks. Steps past the end grow the grid.
+ */
+RiffNotation.prototype.setCell = function (y, step, x) {
+  var key = y + ":" + step;
+  if (x === null || x === undefined || isNaN(parseInt(x, 10))) {
+    delete this._cells[key];
+    delete this._marks[key];
+    return;
+  }
+  this._cells[key] = parseInt(x, 10);
+  this._stepCount = Math.max(this._stepCount, step + 1);
+};
+
+/**
+ * Returns the articulation marks of the note at (y, step) in written order ("" when none).
+ */
+RiffNotation.prototype.getMarks = function (y, step) {
+  var key = y + ":" + step;
+  return this._marks.hasOwnProperty(key) ? this._marks[key] : "";
+};
+
+/**
+ * Sets articulation marks on the note at (y, step): at most one approach mark, then note marks. Unknown
+ * characters are dropped; empty cells take no marks.
+ */
+RiffNotation.prototype.setMarks = function (y, step, marks) {
+  var key = y + ":" + step;
+  var text = String(marks || "");
+  var approach = "";
+  var noteMarks = "";
+  for (var i = 0; i < text.length; i++) {
+    var mark = text.charAt(i);
+    if (RiffNotation.APPROACH_MARKS.hasOwnProperty(mark)) approach = mark;
+    if (RiffNotation.NOTE_MARKS.hasOwnProperty(mark) && noteMarks.indexOf(mark) < 0) noteMarks += mark;
+  }
+  if (!this._cells.hasOwnProperty(key) || !(approach + noteMarks)) {
+    delete this._marks[key];
+    return;
+  }
+  this._marks[key] = approach + noteMarks;
+};
+
+/**
+ * Returns the cell token as written in a notes string: approach mark, offset, note marks ("h5", "7b~").
+ */
+RiffNotation.prototype.getToken = function (y, step) {
+  var x = this.getCell(y, step);
+  if (x === null) return "-";
+  var marks = this.getMarks(y, step);
+  var approach = RiffNotation.APPROACH_MARKS.hasOwnProperty(marks.charAt(0)) ? marks.charAt(0) : "";
+  return approach + x + marks.slice(approach.length);
+};
+
+/**
+ * Returns row offsets that hold at least one note, lowest first.
+ */
+RiffNotation.prototype.getRows = function () {
+  var seen = {};
+  var rows = [];
+  for (var key in this._cells) {
+    if (!this._cells.hasOwnProperty(key)) continue;
+    var y = parseInt(key.split(":")[0], 10);
+    if (seen[y]) continue;
+    seen[y] = true;
+    rows.push(y);
+  }
+  rows.sort(function (a, b) { return a - b; });
+  return rows;
+};
+
+/**
+ * Returns notes per step: [[{ x, y }], ...] with one entry per step (empty steps are []). Notes with marks
+ * also carry marks and, when they have an approach mark, from: the previous note's { x, y } on their row
+ * (looking back around the loop), or null when the row has no other note.
+ */
+RiffNotation.prototype.getSteps = function () {
+  var steps = [];
+  var rows = this.getRows();
+  for (var i = 0; i < this._stepCount; i++) {
+    var notes = [];
+    for (var r = 0; r < rows.length; r++) {
+      var x = this.getCell(rows[r], i);
+      if (x === null) continue;
+      var note = { x: x, y: rows[r] };
+      var marks = this.getMarks(rows[r], i);
+      if (marks) {
+        note.marks = marks;
+        if (RiffNotation.getArticulation(marks).approach) note.from = this._findPreviousNote(rows[r], i);
+      }
+      notes.push(note);
+    }
+    steps.push(notes);
+  }
+  return steps;
+};
+
+/**
+ * Returns the nearest earlier note on row y before step as { x, y }, wrapping to the end of the grid, or
+ * null when the row has no other note.
+ */
+RiffNotation.prototype._findPreviousNote = function (y, step) {
+  for (var back = 1; back < this._stepCount; back++) {
+    var x = this.getCell(y, (step - back + this._stepCount) % this._stepCount);
+    if (x !== null) return { x: x, y: y };
+  }
+  return null;
+};
+
+/**
+ * Writes the grid back as a notes string, one "(y,sequence)" group per used row.
+ */
+RiffNotation.prototype.toString = function () {
+  var rows = this.getRows();
+  var groups = [];
+  for (var r = 0; r < rows.length; r++) {
+    var tokens = [];
+    var isPacked = true;
+    for (var i = 0; i < this._stepCount; i++) {
+      var x = this.getCell(rows[r], i);
+      if (x !== null && (x < 0 || x > 9)) isPacked = false;
+      tokens.push(this.getToken(rows[r], i));
+    }
+    var sequence = tokens.join(isPacked ? "" : ",");
+    if (!isPacked && tokens.length === 1) sequence += ",";  /* keeps a lone "12" from reading as two steps */
+    groups.push("(" + rows[r] + "," + sequence + ")");
+  }
+  return groups.join(",");
+};
@@ -0,0 +1,213 @@
+/**
+ * RiffTake - Editable copy of one recorded take, kept in beats at the tempo it was recorded.
+ * Every note remembers where it was actually played, so quantizing to another grid (or back to "off")
+ * always starts from the performance instead of compounding earlier rounding. Trimming, deleting and
+ * moving edit the take itself. toRiff writes both the event list and a notes string on the chosen grid.
+ */
+function RiffTake(riff) {
+  var source = riff && typeof riff === "object" ? riff : {};
+  this._bpm = (typeof source.bpm === "number" && source.bpm > 0) ? source.bpm : 100;
+  this._id = typeof source.id === "string" ? source.id : "recorded_" + String(Date.now());
+  this._name = typeof source.name === "string" ? source.name : "Recorded riff";
+  this._stepsPerBeat = 0;
+  this._notes = [];  /* [{ xCw, yCw, playedBeat, playedDuration, startBeat, durationBeats }] */
+  this._loopBeats = (typeof source.loopBeats === "number" && source.loopBeats > 0) ? source.loopBeats : 0;
+  this._backing = source.backing && typeof source.backing === "object" ? source.backing : null;
+  var beatMs = 60000 / this._bpm;
+  var events = Array.isArray(source.events) ? source.events : [];
+  for (var i = 0; i < events.length; i++) {
+    var ev = events[i];
+    if (!ev || typeof ev.xCw !== "number" || typeof ev.yCw !== "number") continue;
+    var start = Math.max(0, (ev.timeMs || 0) / beatMs);
+    var duration = Math.max(0, (ev.durationMs || 0) / beatMs);
+    this._notes.push({
+      xCw: ev.xCw,
+      yCw: ev.yCw,
+      playedBeat: start,
+      playedDuration: duration,
+      startBeat: start,
+      durationBeats: duration
+    });
+  }
+  this._sortNotes();
+}
+
+/** Quantize grids as steps per beat; 0 keeps played timing. */
+RiffTake.GRIDS = [
+  { stepsPerBeat: 0, name: "Off" },
+  { stepsPerBeat: 1, name: "1/4" },
+  { stepsPerBeat: 2, name: "1/8" },
+  { stepsPerBeat: 3, name: "1/8 triplets" },
+  { stepsPerBeat: 4, name: "1/16" },
+  { stepsPerBeat: 6, name: "1/16 triplets" }
+];
+
+/** Grid used for the notes string while quantize is off. */
+RiffTake.NOTES_STEPS_PER_BEAT = 4;
+
+/**
+ * Keeps notes in time order so indexes follow the timeline left to right.
+ */
+RiffTake.prototype._sortNotes = function () {
+  this._notes.sort(function (a, b) { return a.startBeat - b.startBeat; });
+};
+
+/**
+ * Returns notes as [{ xCw, yCw, startBeat, durationBeats }] in time order.
+ */
+RiffTake.prototype.getNotes = function () {
+  var list = [];
+  for (var i = 0; i < this._notes.length; i++) {
+    var note = this._notes[i];
+    list.push({ xCw: note.xCw, yCw: note.yCw, startBeat: note.startBeat, durationBeats: note.durationBeats });
+  }
+  return list;
+};
+
+/**
+ * Returns tempo the take was recorded at.
+ */
+RiffTake.prototype.getBpm = function () {
+  return this._bpm;
+};
+
+/**
+ * Returns current quantize grid in steps per beat (0 = off).
+ */
+RiffTake.prototype.getStepsPerBeat = function () {
+  return this._stepsPerBeat;
+};
+
+/**
+ * Returns beats up to the end of the last note.
+ */
+RiffTake.prototype.getLengthBeats = function () {
+  var end = 0;
+  for (var i = 0; i < this._notes.length; i++) {
+    end = Math.max(end, this._notes[i].startBeat + this._notes[i].durationBeats);
+  }
+  return end;
+};
+
+/**
+ * Returns loop length in beats, or 0 when the take loops with whole progression passes.
+ */
+RiffTake.prototype.getLoopBeats = function () {
+  return this._loopBeats;
+};
+
+/**
+ * Sets loop length in beats; 0 goes back to whole progression passes.
+ */
+RiffTake.prototype.setLoopBeats = function (beats) {
+  var n = Number(beats);
+  this._loopBeats = isFinite(n) && n > 0 ? n : 0;
+};
+
+/**
+ * Snaps note starts to a grid of stepsPerBeat steps per beat (0 restores played timing).
+ * Durations snap too but never below one step, so short taps still sound.
+ */
+RiffTake.prototype.quantize = function (stepsPerBeat) {
+  var steps = Math.max(0, parseInt(stepsPerBeat, 10) || 0);
+  this._stepsPerBeat = steps;
+  for (var i = 0; i < this._notes.length; i++) {
+    var note = this._notes[i];
+    if (!steps) {
+      note.startBeat = note.playedBeat;
+      note.durationBeats = note.playedDuration;
+      continue;
+    }
+    note.startBeat = Math.round(note.playedBeat * steps) / steps;
+    note.durationBeats = Math.max(1, Math.round(note.playedDuration * steps)) / steps;
+  }
+  this._sortNotes();
+};
+
+/**
+ * Keeps notes starting in [fromBeat, toBeat) and moves fromBeat to the start of the take.
+ */
+RiffTake.prototype.trim = function (fromBeat, toBeat) {
+  var from = Math.max(0, Number(fromBeat) || 0);
+  var to = Number(toBeat);
+  if (!isFinite(to) || to <= from) to = Number.POSITIVE_INFINITY;
+  var kept = [];
+  for (var i = 0; i < this._notes.length; i++) {
+    var note = this._notes[i];
+    if (note.startBeat < from || note.startBeat >= to) continue;
+    note.startBeat -= from;
+    note.playedBeat = Math.max(0, note.playedBeat - from);
+    kept.push(note);
+  }
+  this._notes = kept;
+};
+
+/**
+ * Removes note at index (time order).
+ */
+RiffTake.prototype.deleteNote = function (index) {
+  if (index < 0 || index >= this._notes.length) return;
+  this._notes.splice(index, 1);
+};
+
+/**
+ * Moves note at index by whole cells and by beats. Time moves by one grid step when quantized,
+ * else by a sixteenth. Returns the note's new index.
+ */
+RiffTake.prototype.moveNote = function (index, dxCw, dyCw, dSteps) {
+  var note = this._notes[index];
+  if (!note) return -1;
+  var stepBeats = 1 / (this._stepsPerBeat || RiffTake.NOTES_STEPS_PER_BEAT);
+  note.xCw += dxCw || 0;
+  note.yCw += dyCw || 0;
+  var shift = (dSteps || 0) * stepBeats;
+  note.startBeat = Math.max(0, note.startBeat + shift);
+  note.playedBeat = Math.max(0, note.playedBeat + shift);
+  this._sortNotes();
+  return this._notes.indexOf(note);
+};
+
+/**
+ * Builds the riff object: { id, name, events, bpm, notes, stepsPerBeat?, context, loopBeats?, backing? }.
+ * cellToOffset(cell) returns the note's { x, y } fretspace offset from the key root. Events keep it next to
+ * the world cell so playback can follow the key root; in the notes string a row holds one note per step,
+ * so the first of two colliding notes wins.
+ */
+RiffTake.prototype.toRiff = function (cellToOffset) {
+  var beatMs = 60000 / this._bpm;
+  var stepsPerBeat = this._stepsPerBeat || RiffTake.NOTES_STEPS_PER_BEAT;
+  var events = [];
+  var notation = new RiffNotation("");
+  var lengthBeats = this._loopBeats || Math.max(1, Math.ceil(this.getLengthBeats()));
+  notation.setStepCount(Math.ceil(lengthBeats * stepsPerBeat));
+  for (var i = 0; i < this._notes.length; i++) {
+    var note = this._notes[i];
+    var offset = typeof cellToOffset === "function" ? cellToOffset({ xCw: note.xCw, yCw: note.yCw }) : null;
+    var event = {
+      xCw: note.xCw,
+      yCw: note.yCw,
+      timeMs: note.startBeat * beatMs,
+      durationMs: note.durationBeats * beatMs
+    };
+    if (offset) {
+      event.x = offset.x;
+      event.y = offset.y;
+    }
+    events.push(event);
+    var step = Math.round(note.startBeat * stepsPerBeat);
+    if (!offset || step >= notation.getStepCount() || notation.getCell(offset.y, step) !== null) continue;
+    notation.setCell(offset.y, step, offset.x);
+  }
+  var riff = {
+    id: this._id,
+    name: this._name,
+    notes: notation.toString(),
+    context: "key",
+    events: events,
+    bpm: this._bpm
+  };
+  if (stepsPerBeat > 1) riff.stepsPerBeat = stepsPerBeat;
+  if (this._loopBeats) riff.loopBeats = this._loopBeats;
+  if (this._backing) riff.backing = this._backing;
+  return riff;
+};
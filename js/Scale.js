@@ -0,0 +1,101 @@
+/**
+ * Scale - Which of the brick's twelve cells belong to the key, how they are spelled and how they are coloured.
+ * A brick always holds every semitone; the scale only relabels and highlights it. degrees lists the scale's
+ * labels from the root ("b3", "#4", ...), fill colours in-scale cells and accents colours each scale's
+ * characteristic notes (the 6 of Dorian, the b5 of the blues) so they stand out.
+ */
+function Scale(preset) {
+  var p = preset || Scale.PRESETS[0];
+  this.id = p.id;
+  this.name = p.name;
+  this._degrees = p.degrees.slice();
+  this._fill = p.fill;
+  this._accents = p.accents || {};
+  this._labelsBySemitone = {};
+  for (var i = 0; i < this._degrees.length; i++) {
+    this._labelsBySemitone[ChordSymbol.degreeLabelToSemitone(this._degrees[i])] = this._degrees[i];
+  }
+}
+
+/** Fill and text colours shared by every scale. */
+Scale.ROOT_FILL = "#c00";
+Scale.OUT_OF_SCALE_FILL = "#f5f5f5";
+Scale.OUT_OF_SCALE_TEXT = "#333";
+Scale.IN_SCALE_TEXT = "#fff";
+
+/**
+ * Built-in scales. The first is the default brick.
+ */
+Scale.PRESETS = [
+  { id: "major", name: "Major (Ionian)", degrees: ["1", "2", "3", "4", "5", "6", "7"], fill: "#000" },
+  { id: "natural-minor", name: "Natural minor (Aeolian)", degrees: ["1", "2", "b3", "4", "5", "b6", "b7"], fill: "#1d3461" },
+  { id: "dorian", name: "Dorian", degrees: ["1", "2", "b3", "4", "5", "6", "b7"], fill: "#1d3461", accents: { "6": "#b35c00" } },
+  { id: "phrygian", name: "Phrygian", degrees: ["1", "b2", "b3", "4", "5", "b6", "b7"], fill: "#1d3461", accents: { "b2": "#b35c00" } },
+  { id: "lydian", name: "Lydian", degrees: ["1", "2", "3", "#4", "5", "6", "7"], fill: "#000", accents: { "#4": "#b35c00" } },
+  { id: "mixolydian", name: "Mixolydian", degrees: ["1", "2", "3", "4", "5", "6", "b7"], fill: "#000", accents: { "b7": "#b35c00" } },
+  { id: "locrian", name: "Locrian", degrees: ["1", "b2", "b3", "4", "b5", "b6", "b7"], fill: "#1d3461", accents: { "b5": "#b35c00" } },
+  { id: "harmonic-minor", name: "Harmonic minor", degrees: ["1", "2", "b3", "4", "5", "b6", "7"], fill: "#1d3461", accents: { "7": "#b35c00" } },
+  { id: "melodic-minor", name: "Melodic minor", degrees: ["1", "2", "b3", "4", "5", "6", "7"], fill: "#1d3461", accents: { "6": "#b35c00", "7": "#b35c00" } },
+  { id: "major-pentatonic", name: "Major pentatonic", degrees: ["1", "2", "3", "5", "6"], fill: "#1e5631" },
+  { id: "minor-pentatonic", name: "Minor pentatonic", degrees: ["1", "b3", "4", "5", "b7"], fill: "#1e5631" },
+  { id: "blues", name: "Blues", degrees: ["1", "b3", "4", "b5", "5", "b7"], fill: "#1e5631", accents: { "b5": "#2f6fd6" } }
+];
+
+/**
+ * Returns preset list (id/name only) for UI dropdown.
+ */
+Scale.getPresets = function () {
+  var list = [];
+  for (var i = 0; i < Scale.PRESETS.length; i++) {
+    list.push({ id: Scale.PRESETS[i].id, name: Scale.PRESETS[i].name });
+  }
+  return list;
+};
+
+/**
+ * Creates a scale from preset id. Unknown ids fall back to the major scale.
+ */
+Scale.fromId = function (id) {
+  for (var i = 0; i < Scale.PRESETS.length; i++) {
+    if (Scale.PRESETS[i].id === id) return new Scale(Scale.PRESETS[i]);
+  }
+  return new Scale(Scale.PRESETS[0]);
+};
+
+/**
+ * Returns true when semitone (0..11 above the root) is in the scale.
+ */
+Scale.prototype.contains = function (semitone) {
+  return this._labelsBySemitone.hasOwnProperty(semitone);
+};
+
+/**
+ * Returns the scale's spelling for a semitone ("#4" in Lydian), or null when it is not in the scale.
+ */
+Scale.prototype.getLabel = function (semitone) {
+  return this.contains(semitone) ? this._labelsBySemitone[semitone] : null;
+};
+
+/**
+ * Returns semitones of degrees 1..7 for seven-note scales (roman numerals follow them), else null.
+ */
+Scale.prototype.getDegreeSemitones = function () {
+  if (this._degrees.length !== 7) return null;
+  var semitones = [];
+  for (var i = 0; i < this._degrees.length; i++) {
+    semitones.push(ChordSymbol.degreeLabelToSemitone(this._degrees[i]));
+  }
+  return semitones;
+};
+
+/**
+ * Returns { fill, textColor } for a cell label: red root, accent or scale fill in the scale, light otherwise.
+ */
+Scale.prototype.getCellStyle = function (label) {
+  if (label === "1") return { fill: Scale.ROOT_FILL, textColor: Scale.IN_SCALE_TEXT };
+  var semitone = ChordSymbol.degreeLabelToSemitone(label);
+  if (semitone === null || !this.contains(semitone)) {
+    return { fill: Scale.OUT_OF_SCALE_FILL, textColor: Scale.OUT_OF_SCALE_TEXT };
+  }
+  return { fill: this._accents[label] || this._fill, textColor: Scale.IN_SCALE_TEXT };
+};
@@ -0,0 +1,167 @@
+/**
+ * SessionStore - Keeps the workspace (toolbar settings, view toggles, brick layout) and the user's
+ * recorded riff library in localStorage, and packs both into one JSON bundle for export/import.
+ * When storage is unavailable (private mode, file:// quirks, quota) everything still works for the
+ * current page; nothing is kept across reloads.
+ */
+function SessionStore() {
+  this._storage = null;
+  this._storageUnavailable = false;
+}
+
+/** localStorage keys. */
+SessionStore.WORKSPACE_KEY = "fretbrick.workspace";
+SessionStore.RIFFS_KEY = "fretbrick.riffs";
+
+/** Marks exported files so imports can reject unrelated JSON. */
+SessionStore.BUNDLE_FORMAT = "fretbrick-session";
+SessionStore.BUNDLE_VERSION = 1;
+
+/**
+ * Returns lazily-resolved localStorage, or null when it cannot be used.
+ */
+SessionStore.prototype._getStorage = function () {
+  if (this._storageUnavailable) return null;
+  if (this._storage) return this._storage;
+  try {
+    var storage = window.localStorage;
+    /* Some browsers expose localStorage but throw on write (private mode). */
+    storage.setItem("fretbrick.probe", "1");
+    storage.removeItem("fretbrick.probe");
+    this._storage = storage;
+  } catch (error) {
+    console.warn("Local storage unavailable; session will not persist.", error);
+    this._storageUnavailable = true;
+    return null;
+  }
+  return this._storage;
+};
+
+/**
+ * Reads and parses a JSON value by key. Missing or corrupt entries return null.
+ */
+SessionStore.prototype._read = function (key) {
+  var storage = this._getStorage();
+  if (!storage) return null;
+  try {
+    var raw = storage.getItem(key);
+    return raw ? JSON.parse(raw) : null;
+  } catch (error) {
+    console.warn("Stored session data unreadable.", key, error);
+    return null;
+  }
+};
+
+/**
+ * Serializes a value under key. Returns false when it could not be written.
+ */
+SessionStore.prototype._write = function (key, value) {
+  var storage = this._getStorage();
+  if (!storage) return false;
+  try {
+    storage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch (error) {
+    console.warn("Session data could not be saved.", key, error);
+    return false;
+  }
+};
+
+/**
+ * Returns the saved workspace object, or null when nothing was saved.
+ */
+SessionStore.prototype.loadWorkspace = function () {
+  var workspace = this._read(SessionStore.WORKSPACE_KEY);
+  return workspace && typeof workspace === "object" && !Array.isArray(workspace) ? workspace : null;
+};
+
+/**
+ * Saves the workspace object, replacing the previous one.
+ */
+SessionStore.prototype.saveWorkspace = function (workspace) {
+  if (!workspace || typeof workspace !== "object") return false;
+  return this._write(SessionStore.WORKSPACE_KEY, workspace);
+};
+
+/**
+ * Returns true for riff objects the riff dropdown and Fretscape.setRiffPattern can use.
+ */
+SessionStore.prototype._isValidRiff = function (riff) {
+  if (!riff || typeof riff.id !== "string" || !riff.id || typeof riff.name !== "string") return false;
+  return typeof riff.notes === "string" || typeof riff.tab === "string" || Array.isArray(riff.events);
+};
+
+/**
+ * Returns the saved riff library (oldest first).
+ */
+SessionStore.prototype.getRiffs = function () {
+  var stored = this._read(SessionStore.RIFFS_KEY);
+  var list = [];
+  if (!Array.isArray(stored)) return list;
+  for (var i = 0; i < stored.length; i++) {
+    if (this._isValidRiff(stored[i])) list.push(stored[i]);
+  }
+  return list;
+};
+
+/**
+ * Adds riffs to the library; a riff with an existing id replaces the stored one.
+ * Returns the riffs that were accepted.
+ */
+SessionStore.prototype.saveRiffs = function (riffList) {
+  var library = this.getRiffs();
+  var accepted = [];
+  var list = Array.isArray(riffList) ? riffList : [];
+  for (var i = 0; i < list.length; i++) {
+    var riff = list[i];
+    if (!this._isValidRiff(riff)) continue;
+    var replaced = false;
+    for (var j = 0; j < library.length; j++) {
+      if (library[j].id !== riff.id) continue;
+      library[j] = riff;
+      replaced = true;
+      break;
+    }
+    if (!replaced) library.push(riff);
+    accepted.push(riff);
+  }
+  if (accepted.length) {
+    this._write(SessionStore.RIFFS_KEY, library);
+  }
+  return accepted;
+};
+
+/**
+ * Returns a bundle with the given workspace and the whole riff library, ready for JSON.stringify.
+ */
+SessionStore.prototype.exportBundle = function (workspace) {
+  return {
+    format: SessionStore.BUNDLE_FORMAT,
+    version: SessionStore.BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    workspace: workspace || null,
+    riffs: this.getRiffs()
+  };
+};
+
+/**
+ * Reads an exported bundle (JSON text or parsed object), merges its riffs into the library and saves its
+ * workspace. Returns { workspace, riffs } with what was accepted; throws Error for files that are not bundles.
+ */
+SessionStore.prototype.importBundle = function (bundle) {
+  var payload = typeof bundle === "string" ? JSON.parse(bundle) : bundle;
+  if (!payload || payload.format !== SessionStore.BUNDLE_FORMAT) {
+    throw new Error("Not a Fretbrick session file.");
+  }
+  if (typeof payload.version !== "number" || payload.version > SessionStore.BUNDLE_VERSION) {
+    throw new Error("Session file version " + payload.version + " is not supported.");
+  }
+  var workspace = payload.workspace && typeof payload.workspace === "object" ? payload.workspace : null;
+  if (workspace) {
+    this.saveWorkspace(workspace);
+  }
+  return {
+    workspace: workspace,
+    riffs: this.saveRiffs(payload.riffs)
+  };
+};
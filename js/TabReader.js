@@ -0,0 +1,198 @@
+/**
+ * TabReader - Reads pasted ASCII guitar tab ("e|---3---5---|" lines, highest string on top) into timed notes.
+ * Consecutive tab lines form a system and systems follow each other in time. The top line's bar lines split a
+ * system into bars of beatsPerBar beats (a system without inner bar lines is one bar), and a note's column
+ * within its bar gives its beat. Extra characters of multi-digit frets take no time, so "-12-" and "-5-"
+ * columns line up. A bar may start with one padding column (the usual dash after a bar line). The grid is the
+ * coarsest riff subdivision (RiffNotation.STEPS_PER_BEAT) on which every note column falls on a step (within
+ * GRID_TOLERANCE), else the finest one; notes go to the nearest step, so evenly spaced columns stay evenly
+ * spaced. Technique marks (h, p, /, \, b, r, ~, x) are skipped. Throws Error
+ * when no tab is found or systems disagree on the number of strings.
+ */
+function TabReader(text, beatsPerBar) {
+  this._beatsPerBar = beatsPerBar > 0 ? beatsPerBar : 4;
+  this._stringNames = [];  /* low to high, "" where a line has no name */
+  /* [{ start (column), width (in time columns), lead (padding columns), notes: [{ string (low = 0), fret, position }] }] */
+  this._bars = [];
+  this._parse(String(text || ""));
+  this._stepsPerBeat = this._findStepsPerBeat();
+}
+
+/** A tab line: optional string name, a bar line, then dashes, frets, bar lines and technique marks. */
+TabReader.LINE_PATTERN = /^\s*([A-Ga-g][#b]?)?\s*\|([-0-9|hpbrsx\/\\~^().*<> ]*?)\s*$/;
+
+/** Fewest lines that count as a tab system (a four-string bass). */
+TabReader.MIN_STRINGS = 4;
+
+/** Padding columns a bar may start with before its first beat: none, or one dash after the bar line. */
+TabReader.BAR_LEADS = [0, 1];
+
+/** How far (in beats) a note column may sit from a grid step and still count as on it. */
+TabReader.GRID_TOLERANCE = 0.02;
+
+/**
+ * Returns number of strings in the tab.
+ */
+TabReader.prototype.getStringCount = function () {
+  return this._stringNames.length;
+};
+
+/**
+ * Returns string names as written, low to high ("" where a line has none).
+ */
+TabReader.prototype.getStringNames = function () {
+  return this._stringNames.slice();
+};
+
+/**
+ * Returns the grid subdivision per beat the notes were placed on.
+ */
+TabReader.prototype.getStepsPerBeat = function () {
+  return this._stepsPerBeat;
+};
+
+/**
+ * Returns tab length in beats (every bar is beatsPerBar beats).
+ */
+TabReader.prototype.getLengthBeats = function () {
+  return this._bars.length * this._beatsPerBar;
+};
+
+/**
+ * Returns notes as [{ string, fret, startBeat }] (string low = 0) in time order, low strings first.
+ */
+TabReader.prototype.getNotes = function () {
+  var steps = this._beatsPerBar * this._stepsPerBeat;
+  var notes = [];
+  for (var b = 0; b < this._bars.length; b++) {
+    var bar = this._bars[b];
+    for (var i = 0; i < bar.notes.length; i++) {
+      var step = Math.min(steps - 1, Math.round(this._getBeat(bar, bar.notes[i].position, bar.lead) * this._stepsPerBeat));
+      notes.push({
+        string: bar.notes[i].string,
+        fret: bar.notes[i].fret,
+        startBeat: b * this._beatsPerBar + step / this._stepsPerBeat
+      });
+    }
+  }
+  notes.sort(function (a, b) { return a.startBeat - b.startBeat || a.string - b.string; });
+  return notes;
+};
+
+/**
+ * Groups consecutive tab lines into systems and reads each one's bars.
+ */
+TabReader.prototype._parse = function (text) {
+  var lines = text.split(/\r?\n/);
+  var system = [];
+  for (var i = 0; i <= lines.length; i++) {
+    var match = i < lines.length ? TabReader.LINE_PATTERN.exec(lines[i]) : null;
+    if (match && /-/.test(match[2])) {
+      system.push({ name: match[1] || "", body: match[2] });
+      continue;
+    }
+    if (system.length >= TabReader.MIN_STRINGS) this._readSystem(system);
+    system = [];
+  }
+  if (!this._bars.length) throw new Error("No tab found. Paste lines like e|---3---5---|.");
+};
+
+/**
+ * Reads one system (lines top = highest string) into bars.
+ */
+TabReader.prototype._readSystem = function (system) {
+  if (this._stringNames.length && this._stringNames.length !== system.length) {
+    throw new Error("Tab systems have different numbers of strings.");
+  }
+  if (!this._stringNames.length) {
+    for (var s = system.length - 1; s >= 0; s--) this._stringNames.push(system[s].name);
+  }
+  /* Frets by column; the second and later digits of a fret are columns that take no time. */
+  var frets = [];
+  var extraColumns = {};
+  for (var line = 0; line < system.length; line++) {
+    var re = /\d+/g;
+    var match;
+    while ((match = re.exec(system[line].body))) {
+      frets.push({ string: system.length - 1 - line, fret: parseInt(match[0], 10), column: match.index });
+      for (var d = 1; d < match[0].length; d++) extraColumns[match.index + d] = true;
+    }
+  }
+  var timeAt = function (column) {
+    var time = column;
+    for (var key in extraColumns) {
+      if (extraColumns.hasOwnProperty(key) && parseInt(key, 10) < column) time--;
+    }
+    return time;
+  };
+  /* Bars come from the top line: segments between its bar lines, plus any open bar after the last one. */
+  var top = system[0].body;
+  var firstBar = this._bars.length;
+  var barStart = 0;
+  for (var c = 0; c <= top.length; c++) {
+    var isBarLine = top.charAt(c) === "|";
+    if (!isBarLine && (c < top.length || !/[^\s|]/.test(top.slice(barStart)))) continue;
+    if (c > barStart) this._bars.push({ start: barStart, width: Math.max(1, timeAt(c) - timeAt(barStart)), lead: 0, notes: [] });
+    barStart = c + 1;
+  }
+  if (this._bars.length === firstBar) this._bars.push({ start: 0, width: Math.max(1, timeAt(top.length)), lead: 0, notes: [] });
+  for (var f = 0; f < frets.length; f++) {
+    var barIndex = firstBar;
+    while (barIndex + 1 < this._bars.length && frets[f].column >= this._bars[barIndex + 1].start) barIndex++;
+    var bar = this._bars[barIndex];
+    bar.notes.push({
+      string: frets[f].string,
+      fret: frets[f].fret,
+      position: Math.min(bar.width - 1, Math.max(0, timeAt(frets[f].column) - timeAt(bar.start)))
+    });
+  }
+};
+
+/**
+ * Returns the coarsest subdivision on which every note column falls on a step (within GRID_TOLERANCE beats),
+ * or the finest one when none does, and sets each bar's lead to the padding that fits it best.
+ */
+TabReader.prototype._findStepsPerBeat = function () {
+  var options = RiffNotation.STEPS_PER_BEAT;
+  for (var o = 0; o < options.length; o++) {
+    var isLast = o === options.length - 1;
+    var leads = [];
+    for (var b = 0; b < this._bars.length; b++) {
+      var fit = this._fitBar(this._bars[b], options[o]);
+      if (fit.error > TabReader.GRID_TOLERANCE && !isLast) break;
+      leads.push(fit.lead);
+    }
+    if (leads.length < this._bars.length) continue;
+    for (var l = 0; l < leads.length; l++) this._bars[l].lead = leads[l];
+    return options[o];
+  }
+  return options[options.length - 1];
+};
+
+/**
+ * Returns { lead, error } for a bar on a grid of stepsPerBeat: the padding (see BAR_LEADS) that puts its notes
+ * closest to steps, and the farthest any note then sits from its step, in beats.
+ */
+TabReader.prototype._fitBar = function (bar, stepsPerBeat) {
+  var best = { lead: 0, error: Infinity };
+  for (var l = 0; l < TabReader.BAR_LEADS.length; l++) {
+    var lead = TabReader.BAR_LEADS[l];
+    if (lead >= bar.width) continue;
+    var error = 0;
+    for (var i = 0; i < bar.notes.length; i++) {
+      /* A note in a padding column rules that padding out. */
+      if (bar.notes[i].position < lead) error = Infinity;
+      var beat = this._getBeat(bar, bar.notes[i].position, lead);
+      error = Math.max(error, Math.abs(beat - Math.round(beat * stepsPerBeat) / stepsPerBeat));
+    }
+    if (error < best.error) best = { lead: lead, error: error };
+  }
+  return best;
+};
+
+/**
+ * Returns the beat within its bar of a note column, skipping lead padding columns at the bar's start.
+ */
+TabReader.prototype._getBeat = function (bar, position, lead) {
+  return (position - lead) * this._beatsPerBar / (bar.width - lead);
+};
@@ -0,0 +1,169 @@
+/**
+ * TabWriter - Lays out notes as ASCII guitar tablature.
+ * Notes are { string (low = 0), fret, startBeat }; the highest string prints on top, one column per grid step,
+ * with "|" at every bar line and systems wrapped at LINE_WIDTH characters. Labels (chord names) print on a line
+ * above the strings at their beat. The grid is the coarsest subdivision that holds every note, so straight
+ * eighths stay compact and triplets still line up.
+ */
+function TabWriter(stringNames, beatsPerBar, totalBeats) {
+  this._stringNames = stringNames.slice();
+  this._beatsPerBar = beatsPerBar > 0 ? beatsPerBar : 4;
+  this._totalBeats = Math.max(1, totalBeats || 1);
+  this._notes = [];   /* [{ string, fret, startBeat }] */
+  this._labels = [];  /* [{ text, startBeat }] */
+}
+
+/** Widest a printed system's strings may run (in characters, after the string names) before the next bar wraps. */
+TabWriter.LINE_WIDTH = 76;
+
+/** Grid subdivisions per beat, coarsest first; the first one every note fits is used. */
+TabWriter.STEPS_PER_BEAT = [1, 2, 3, 4, 6, 8, 12];
+
+/** Grid used when notes fit no subdivision (loosely played takes): sixteenths in 4/4, as RiffTake. */
+TabWriter.FALLBACK_STEPS_PER_BEAT = 4;
+
+/** How far (in beats) a note may sit from a grid step and still count as on it. */
+TabWriter.GRID_TOLERANCE = 0.02;
+
+/**
+ * Adds a note on a string (low = 0) at a fret, starting startBeat beats into the tab. Notes past the end
+ * or off the strings are ignored.
+ */
+TabWriter.prototype.addNote = function (stringIndex, fret, startBeat) {
+  if (stringIndex < 0 || stringIndex >= this._stringNames.length) return;
+  if (startBeat < 0 || startBeat >= this._totalBeats) return;
+  this._notes.push({ string: stringIndex, fret: Math.max(0, Math.round(fret)), startBeat: startBeat });
+};
+
+/**
+ * Adds a label (a chord name) above the strings at startBeat.
+ */
+TabWriter.prototype.addLabel = function (text, startBeat) {
+  if (!text || startBeat < 0 || startBeat >= this._totalBeats) return;
+  this._labels.push({ text: String(text), startBeat: startBeat });
+};
+
+/**
+ * Returns the grid subdivision per beat the tab is written on.
+ */
+TabWriter.prototype.getStepsPerBeat = function () {
+  for (var s = 0; s < TabWriter.STEPS_PER_BEAT.length; s++) {
+    var steps = TabWriter.STEPS_PER_BEAT[s];
+    var fits = true;
+    for (var i = 0; i < this._notes.length && fits; i++) {
+      var position = this._notes[i].startBeat * steps;
+      fits = Math.abs(position - Math.round(position)) / steps <= TabWriter.GRID_TOLERANCE;
+    }
+    if (fits) return steps;
+  }
+  return TabWriter.FALLBACK_STEPS_PER_BEAT;
+};
+
+/**
+ * Returns the tab as text: headerLines first, then systems of whole bars up to LINE_WIDTH characters wide.
+ * Two notes on the same string and step keep the first one added.
+ */
+TabWriter.prototype.toText = function (headerLines) {
+  var stepsPerBeat = this.getStepsPerBeat();
+  var stepsPerBar = this._beatsPerBar * stepsPerBeat;
+  var totalSteps = Math.ceil(this._totalBeats * stepsPerBeat);
+  var frets = {};  /* "string:step" -> fret text */
+  for (var i = 0; i < this._notes.length; i++) {
+    var step = Math.min(totalSteps - 1, Math.round(this._notes[i].startBeat * stepsPerBeat));
+    var key = this._notes[i].string + ":" + step;
+    if (!frets.hasOwnProperty(key)) frets[key] = String(this._notes[i].fret);
+  }
+  var labels = {};  /* step -> label text (first wins) */
+  for (var l = 0; l < this._labels.length; l++) {
+    var labelStep = Math.min(totalSteps - 1, Math.round(this._labels[l].startBeat * stepsPerBeat));
+    if (!labels.hasOwnProperty(labelStep)) labels[labelStep] = this._labels[l].text;
+  }
+  /* One long line per string (low to high) with "|" after every bar; systems are cut from it at bar lines. */
+  var rows = [];
+  for (var s = 0; s < this._stringNames.length; s++) rows.push("");
+  var labelLine = "";
+  var barEnds = [];
+  for (step = 0; step < totalSteps; step++) {
+    if (step % stepsPerBar === 0) {
+      if (step > 0) {
+        this._appendColumn(rows, ["|"]);
+        barEnds.push(rows[0].length);
+      }
+      this._appendColumn(rows, ["-"]);
+    }
+    if (labels.hasOwnProperty(step)) {
+      /* A label that would run into the previous one starts one space after it. */
+      labelLine = TabWriter._pad(labelLine, rows[0].length, " ") + (labelLine.length > rows[0].length ? " " : "");
+      labelLine += labels[step];
+    }
+    var cells = [];
+    var width = 1;
+    for (var r = 0; r < rows.length; r++) {
+      cells.push(frets[r + ":" + step] || "");
+      width = Math.max(width, cells[r].length);
+    }
+    for (var c = 0; c < cells.length; c++) cells[c] = TabWriter._pad(cells[c], width, "-") + "-";
+    this._appendColumn(rows, cells);
+  }
+  this._appendColumn(rows, ["|"]);
+  barEnds.push(rows[0].length);
+  var lines = (headerLines || []).slice();
+  if (lines.length) lines.push("");
+  var systemStart = 0;
+  while (systemStart < rows[0].length) {
+    var systemEnd = 0;
+    for (var b = 0; b < barEnds.length; b++) {
+      if (barEnds[b] <= systemStart) continue;
+      /* Every system holds at least one bar, however wide. */
+      if (!systemEnd || barEnds[b] - systemStart <= TabWriter.LINE_WIDTH) systemEnd = barEnds[b];
+      if (barEnds[b] - systemStart > TabWriter.LINE_WIDTH) break;
+    }
+    lines = lines.concat(this._buildSystem(rows, labelLine, systemStart, systemEnd));
+    lines.push("");
+    systemStart = systemEnd;
+  }
+  return lines.join("\n");
+};
+
+/**
+ * Builds one system (label line, then strings high to low) from characters [start, end) of the full rows.
+ * A label cut by the system end prints whole here and is left out of the next system.
+ */
+TabWriter.prototype._buildSystem = function (rows, labelLine, start, end) {
+  var nameWidth = 0;
+  for (var n = 0; n < this._stringNames.length; n++) {
+    nameWidth = Math.max(nameWidth, this._stringNames[n].length);
+  }
+  var labelText = labelLine.slice(start, end);
+  if (start > 0 && labelLine.charAt(start - 1) !== " " && labelLine.charAt(start - 1) !== "") {
+    labelText = labelText.replace(/^\S+/, function (tail) { return TabWriter._pad("", tail.length, " "); });
+  }
+  if (labelLine.charAt(end - 1) !== " " && labelLine.charAt(end - 1) !== "") {
+    labelText += /^\S*/.exec(labelLine.slice(end))[0];
+  }
+  var system = [];
+  if (labelText.trim()) system.push((TabWriter._pad("", nameWidth + 1, " ") + labelText).replace(/\s+$/, ""));
+  /* Strings are stored low to high; tab reads high to low. */
+  for (var s = rows.length - 1; s >= 0; s--) {
+    system.push(TabWriter._pad(this._stringNames[s], nameWidth, " ") + "|" + rows[s].slice(start, end));
+  }
+  return system;
+};
+
+/**
+ * Appends one column to every string row; a single cell is repeated on every row.
+ */
+TabWriter.prototype._appendColumn = function (rows, cells) {
+  for (var r = 0; r < rows.length; r++) {
+    rows[r] += cells.length === 1 ? cells[0] : cells[r];
+  }
+};
+
+/**
+ * Pads text on the right with fill up to width.
+ */
+TabWriter._pad = function (text, width, fill) {
+  var padded = String(text);
+  while (padded.length < width) padded += fill;
+  return padded;
+};
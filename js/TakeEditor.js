@@ -0,0 +1,366 @@
+/**
+ * TakeEditor - Post-record panel for a recorded take (see RiffTake).
+ * The timeline shows one lane per fretspace row with notes as bars over beats; chord changes are drawn as
+ * heavy lines and the loop end in red. Click a note to select it, then delete it or nudge it in time or pitch.
+ * cellToOffset(cell) gives a note's { x, y } offset from the key root, used for labels and the notes string.
+ */
+function TakeEditor(containerEl, cellToOffset) {
+  this.container = containerEl;
+  this._cellToOffset = cellToOffset;
+  this._take = new RiffTake(null);
+  this._chordBeats = [];
+  this._loopUnit = "chord";
+  this._selectedIndex = -1;
+  this.onPreview = null;
+  this.onSave = null;
+  this.onDiscard = null;
+  this._buildControls();
+}
+
+/** Timeline lane height and left gutter for lane labels (px). */
+TakeEditor.LANE_PX = 22;
+TakeEditor.GUTTER_PX = 34;
+
+/**
+ * Builds controls and timeline canvas once.
+ */
+TakeEditor.prototype._buildControls = function () {
+  var self = this;
+  var controls = document.createElement("div");
+  controls.className = "toolbar-row";
+  this.container.appendChild(controls);
+
+  this._nameInput = document.createElement("input");
+  this._nameInput.type = "text";
+  RiffEditor.addField(controls, "Name", this._nameInput);
+
+  this._gridSelect = document.createElement("select");
+  for (var g = 0; g < RiffTake.GRIDS.length; g++) {
+    var gridOption = document.createElement("option");
+    gridOption.value = String(RiffTake.GRIDS[g].stepsPerBeat);
+    gridOption.textContent = RiffTake.GRIDS[g].name;
+    this._gridSelect.appendChild(gridOption);
+  }
+  this._gridSelect.addEventListener("change", function () {
+    self._take.quantize(self._gridSelect.value);
+    self._selectedIndex = -1;
+    self.render();
+  });
+  RiffEditor.addField(controls, "Quantize", this._gridSelect);
+
+  this._loopSelect = document.createElement("select");
+  this._loopSelect.addEventListener("change", function () {
+    self._take.setLoopBeats(self._getLoopBeatsForChords(parseInt(self._loopSelect.value, 10) || 0));
+    self.render();
+  });
+  RiffEditor.addField(controls, "Loop", this._loopSelect);
+
+  this._trimFromInput = document.createElement("input");
+  this._trimFromInput.type = "number";
+  this._trimFromInput.min = "0";
+  this._trimFromInput.step = "0.25";
+  RiffEditor.addField(controls, "Trim from beat", this._trimFromInput);
+  this._trimToInput = document.createElement("input");
+  this._trimToInput.type = "number";
+  this._trimToInput.min = "0";
+  this._trimToInput.step = "0.25";
+  RiffEditor.addField(controls, "to beat", this._trimToInput);
+  RiffEditor.addButton(controls, "Trim", function () {
+    /* Inputs count beats from 1 like the timeline labels. */
+    self._take.trim(parseFloat(self._trimFromInput.value) - 1, parseFloat(self._trimToInput.value) - 1);
+    self._selectedIndex = -1;
+    self._syncTrimInputs();
+    self.render();
+  });
+
+  RiffEditor.addButton(controls, "Preview", function () {
+    if (typeof self.onPreview === "function") self.onPreview(self.getRiff());
+  });
+  RiffEditor.addButton(controls, "Save", function () {
+    if (typeof self.onSave === "function") self.onSave(self.getRiff());
+  });
+  RiffEditor.addButton(controls, "Discard", function () {
+    if (typeof self.onDiscard === "function") self.onDiscard();
+  });
+
+  var noteControls = document.createElement("div");
+  noteControls.className = "toolbar-row";
+  this.container.appendChild(noteControls);
+  this._selectionText = document.createElement("span");
+  this._selectionText.className = "riff-editor-hint";
+  noteControls.appendChild(this._selectionText);
+  /* Pitch rises toward lower world x, so "higher" moves one cell left in world coordinates. */
+  var moves = [
+    { text: "Earlier", dx: 0, dy: 0, steps: -1 },
+    { text: "Later", dx: 0, dy: 0, steps: 1 },
+    { text: "Higher", dx: -1, dy: 0, steps: 0 },
+    { text: "Lower", dx: 1, dy: 0, steps: 0 },
+    { text: "Row up", dx: 0, dy: 1, steps: 0 },
+    { text: "Row down", dx: 0, dy: -1, steps: 0 }
+  ];
+  this._noteButtons = [];
+  for (var m = 0; m < moves.length; m++) {
+    this._noteButtons.push(RiffEditor.addButton(noteControls, moves[m].text, this._makeMoveHandler(moves[m])));
+  }
+  this._noteButtons.push(RiffEditor.addButton(noteControls, "Delete note", function () {
+    self._take.deleteNote(self._selectedIndex);
+    self._selectedIndex = -1;
+    self.render();
+  }));
+
+  this.canvas = document.createElement("canvas");
+  this.canvas.className = "take-editor-timeline";
+  this.ctx = this.canvas.getContext("2d");
+  this.canvas.addEventListener("click", function (e) {
+    var rect = self.canvas.getBoundingClientRect();
+    self._selectNoteAt(e.clientX - rect.left, e.clientY - rect.top);
+  });
+  this.container.appendChild(this.canvas);
+};
+
+/**
+ * Returns a click handler that nudges the selected note.
+ */
+TakeEditor.prototype._makeMoveHandler = function (move) {
+  var self = this;
+  return function () {
+    if (self._selectedIndex < 0) return;
+    self._selectedIndex = self._take.moveNote(self._selectedIndex, move.dx, move.dy, move.steps);
+    self.render();
+  };
+};
+
+/**
+ * Loads a recorded riff for editing. chordBeats lists beats per chord of the progression it was played over;
+ * free takes pass none and barBeats instead, so loop lengths are offered in bars.
+ */
+TakeEditor.prototype.setTake = function (riff, chordBeats, barBeats) {
+  this._take = new RiffTake(riff);
+  this._chordBeats = Array.isArray(chordBeats) ? chordBeats.slice() : [];
+  this._loopUnit = this._chordBeats.length ? "chord" : "bar";
+  if (!this._chordBeats.length && barBeats > 0) this._chordBeats = [barBeats];
+  this._selectedIndex = -1;
+  this._nameInput.value = riff && typeof riff.name === "string" ? riff.name : "Recorded riff";
+  this._gridSelect.value = "0";
+  this._populateLoopSelect();
+  this._syncTrimInputs();
+  this.render();
+};
+
+/**
+ * Returns the edited take as a riff with events and notes string (see RiffTake.toRiff).
+ */
+TakeEditor.prototype.getRiff = function () {
+  var riff = this._take.toRiff(this._cellToOffset);
+  riff.name = this._nameInput.value.trim() || riff.name;
+  return riff;
+};
+
+/**
+ * Returns beats in the first chordCount chords (or bars), cycling through the progression; 0 for whole passes.
+ */
+TakeEditor.prototype._getLoopBeatsForChords = function (chordCount) {
+  if (!chordCount || !this._chordBeats.length) return 0;
+  var beats = 0;
+  for (var i = 0; i < chordCount; i++) {
+    beats += this._chordBeats[i % this._chordBeats.length];
+  }
+  return beats;
+};
+
+/**
+ * Offers loop lengths of 1..N chords (or bars), N covering the take or two progression passes, whichever is longer.
+ */
+TakeEditor.prototype._populateLoopSelect = function () {
+  while (this._loopSelect.firstChild) {
+    this._loopSelect.removeChild(this._loopSelect.firstChild);
+  }
+  var passOption = document.createElement("option");
+  passOption.value = "0";
+  passOption.textContent = "Whole progression";
+  this._loopSelect.appendChild(passOption);
+  if (!this._chordBeats.length) return;
+  var length = this._take.getLengthBeats();
+  for (var n = 1; n <= this._chordBeats.length * 2 || this._getLoopBeatsForChords(n - 1) < length; n++) {
+    var option = document.createElement("option");
+    option.value = String(n);
+    option.textContent = n + " " + this._loopUnit + (n === 1 ? "" : "s") + " (" + this._getLoopBeatsForChords(n) + " beats)";
+    this._loopSelect.appendChild(option);
+  }
+  this._loopSelect.value = "0";
+};
+
+/**
+ * Resets trim inputs to the whole take (beats counted from 1).
+ */
+TakeEditor.prototype._syncTrimInputs = function () {
+  this._trimFromInput.value = "1";
+  this._trimToInput.value = String(Math.ceil(this._take.getLengthBeats()) + 1);
+};
+
+/**
+ * Returns timeline layout: lanes (world rows, highest first), beat span and pixel scale.
+ */
+TakeEditor.prototype._getLayout = function () {
+  var notes = this._take.getNotes();
+  var rows = [];
+  for (var i = 0; i < notes.length; i++) {
+    if (rows.indexOf(notes[i].yCw) < 0) rows.push(notes[i].yCw);
+  }
+  rows.sort(function (a, b) { return b - a; });
+  var beats = Math.max(1, Math.ceil(Math.max(this._take.getLengthBeats(), this._take.getLoopBeats())));
+  var width = this.container.clientWidth > 0 ? this.container.clientWidth - 4 : 600;
+  return {
+    notes: notes,
+    rows: rows,
+    beats: beats,
+    width: width,
+    height: TakeEditor.LANE_PX * (Math.max(1, rows.length) + 1),
+    beatPx: (width - TakeEditor.GUTTER_PX) / beats
+  };
+};
+
+/**
+ * Returns note rectangle { x, y, w, h } in canvas pixels.
+ */
+TakeEditor.prototype._getNoteRect = function (note, layout) {
+  return {
+    x: TakeEditor.GUTTER_PX + note.startBeat * layout.beatPx,
+    y: TakeEditor.LANE_PX * (layout.rows.indexOf(note.yCw) + 1) + 3,
+    w: Math.max(6, note.durationBeats * layout.beatPx),
+    h: TakeEditor.LANE_PX - 6
+  };
+};
+
+/**
+ * Selects the note under a canvas point, or clears the selection.
+ */
+TakeEditor.prototype._selectNoteAt = function (px, py) {
+  var layout = this._getLayout();
+  this._selectedIndex = -1;
+  for (var i = 0; i < layout.notes.length; i++) {
+    var rect = this._getNoteRect(layout.notes[i], layout);
+    if (px >= rect.x && px <= rect.x + rect.w && py >= rect.y && py <= rect.y + rect.h) {
+      this._selectedIndex = i;
+      break;
+    }
+  }
+  this.render();
+};
+
+/**
+ * Draws the timeline and syncs note controls with the selection.
+ */
+TakeEditor.prototype.render = function () {
+  var layout = this._getLayout();
+  var ctx = this.ctx;
+  this.canvas.width = layout.width;
+  this.canvas.height = layout.height;
+  ctx.clearRect(0, 0, layout.width, layout.height);
+  ctx.fillStyle = "#2b2b2b";
+  ctx.fillRect(0, 0, layout.width, layout.height);
+  this._drawGrid(layout);
+  this._drawNotes(layout);
+  var hasSelection = this._selectedIndex >= 0 && this._selectedIndex < layout.notes.length;
+  for (var b = 0; b < this._noteButtons.length; b++) {
+    this._noteButtons[b].disabled = !hasSelection;
+  }
+  if (!hasSelection) {
+    this._selectionText.textContent = layout.notes.length + " notes. Click a note to edit it.";
+    return;
+  }
+  var note = layout.notes[this._selectedIndex];
+  var offset = typeof this._cellToOffset === "function" ? this._cellToOffset(note) : null;
+  this._selectionText.textContent = "Beat " + (note.startBeat + 1).toFixed(2) +
+    (offset ? ", offset (" + offset.x + "," + offset.y + ")" : "");
+};
+
+/**
+ * Draws beat numbers, quantize steps, chord changes and the loop end.
+ */
+TakeEditor.prototype._drawGrid = function (layout) {
+  var ctx = this.ctx;
+  var gutter = TakeEditor.GUTTER_PX;
+  var steps = this._take.getStepsPerBeat();
+  ctx.save();
+  ctx.font = "10px sans-serif";
+  ctx.textBaseline = "middle";
+  if (steps > 1) {
+    ctx.strokeStyle = "#3a3a3a";
+    ctx.lineWidth = 1;
+    for (var s = 0; s < layout.beats * steps; s++) {
+      var sx = gutter + (s / steps) * layout.beatPx;
+      ctx.beginPath();
+      ctx.moveTo(sx, TakeEditor.LANE_PX);
+      ctx.lineTo(sx, layout.height);
+      ctx.stroke();
+    }
+  }
+  for (var b = 0; b <= layout.beats; b++) {
+    var bx = gutter + b * layout.beatPx;
+    ctx.strokeStyle = "#666";
+    ctx.beginPath();
+    ctx.moveTo(bx, TakeEditor.LANE_PX);
+    ctx.lineTo(bx, layout.height);
+    ctx.stroke();
+    if (b < layout.beats) {
+      ctx.fillStyle = "#ccc";
+      ctx.fillText(String(b + 1), bx + 3, TakeEditor.LANE_PX / 2);
+    }
+  }
+  var chordStart = 0;
+  for (var c = 0; this._chordBeats.length && chordStart <= layout.beats; c++) {
+    var cx = gutter + chordStart * layout.beatPx;
+    ctx.strokeStyle = "#bbb";
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(cx, 0);
+    ctx.lineTo(cx, layout.height);
+    ctx.stroke();
+    chordStart += this._chordBeats[c % this._chordBeats.length];
+  }
+  if (this._take.getLoopBeats()) {
+    var lx = gutter + this._take.getLoopBeats() * layout.beatPx;
+    ctx.strokeStyle = "#e5534b";
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(lx, 0);
+    ctx.lineTo(lx, layout.height);
+    ctx.stroke();
+  }
+  ctx.fillStyle = "#ccc";
+  for (var r = 0; r < layout.rows.length; r++) {
+    ctx.fillText("y" + layout.rows[r], 4, TakeEditor.LANE_PX * (r + 1.5));
+  }
+  ctx.restore();
+};
+
+/**
+ * Draws notes as bars labelled with their key-root x offset; the selected note is outlined.
+ */
+TakeEditor.prototype._drawNotes = function (layout) {
+  var ctx = this.ctx;
+  var loopBeats = this._take.getLoopBeats();
+  ctx.save();
+  ctx.font = "bold 11px sans-serif";
+  ctx.textBaseline = "middle";
+  for (var i = 0; i < layout.notes.length; i++) {
+    var note = layout.notes[i];
+    var rect = this._getNoteRect(note, layout);
+    /* Notes past the loop end never play; draw them faded. */
+    ctx.globalAlpha = loopBeats && note.startBeat >= loopBeats ? 0.35 : 1;
+    ctx.fillStyle = "#2e86ff";
+    ctx.fillRect(rect.x, rect.y, rect.w, rect.h);
+    if (i === this._selectedIndex) {
+      ctx.strokeStyle = "#fff";
+      ctx.lineWidth = 2;
+      ctx.strokeRect(rect.x, rect.y, rect.w, rect.h);
+    }
+    var offset = typeof this._cellToOffset === "function" ? this._cellToOffset(note) : null;
+    if (offset) {
+      ctx.fillStyle = "#fff";
+      ctx.fillText(String(offset.x), rect.x + 3, rect.y + rect.h / 2);
+    }
+  }
+  ctx.restore();
+};
@@ -0,0 +1,222 @@
+/**
+ * Transport - Shared beat clock on the AudioContext timeline.
+ * A short setInterval wakes up every LOOKAHEAD_MS and hands out every beat that starts within the next
+ * SCHEDULE_AHEAD_SEC through onScheduleBeat(beatIndex, whenSec), so audio is scheduled sample-accurately
+ * even when the timer fires late. Browsers slow timers in background tabs to about once a second, so while
+ * the page is hidden the window widens to HIDDEN_SCHEDULE_AHEAD_SEC (and is refilled as soon as the page
+ * hides); stopping then lets up to that much already scheduled audio play out. Visuals follow through
+ * requestAnimationFrame: onBeat(beatIndex) fires when a scheduled beat is actually heard and
+ * onTick(beatPosition) fires every frame while running.
+ * Without Web Audio the clock falls back to performance.now() so visuals and timing still work.
+ */
+function Transport() {
+  this._audioCtx = null;
+  this._audioCtxUnavailable = false;
+  this._bpm = 100;
+  this._isRunning = false;
+  this._timerId = null;
+  this._animationFrame = null;
+  this._anchorTimeSec = 0;  /* clock time where _anchorBeat falls; moved on tempo change to keep phase */
+  this._anchorBeat = 0;
+  this._nextBeatIndex = 0;
+  this._pendingVisualBeats = [];  /* [{ beatIndex, timeSec }] scheduled but not yet heard */
+  this.onScheduleBeat = null;
+  this.onBeat = null;
+  this.onTick = null;
+  var self = this;
+  this._handleVisibilityChange = function () {
+    if (self._isRunning) self._scheduleWindow();
+  };
+}
+
+/** Scheduler wake-up period. */
+Transport.LOOKAHEAD_MS = 25;
+
+/** How far ahead of the clock beats are scheduled. */
+Transport.SCHEDULE_AHEAD_SEC = 0.1;
+
+/** How far ahead beats are scheduled while the page is hidden; must outlast a throttled (~1 s) timer. */
+Transport.HIDDEN_SCHEDULE_AHEAD_SEC = 1.5;
+
+/** Delay before beat 0 so its audio can be scheduled ahead like every other beat. */
+Transport.START_DELAY_SEC = 0.05;
+
+/**
+ * Returns lazily-initialized shared Web Audio context, or null when Web Audio is unavailable.
+ */
+Transport.prototype.getAudioContext = function () {
+  if (this._audioCtxUnavailable) return null;
+  if (this._audioCtx) return this._audioCtx;
+  if (typeof window === "undefined") return null;
+  var AudioCtx = window.AudioContext || window.webkitAudioContext;
+  if (!AudioCtx) {
+    this._audioCtxUnavailable = true;
+    return null;
+  }
+  this._audioCtx = new AudioCtx();
+  return this._audioCtx;
+};
+
+/**
+ * Returns current clock time in seconds: AudioContext time, or performance time without Web Audio.
+ */
+Transport.prototype.getCurrentTime = function () {
+  var ctx = this.getAudioContext();
+  if (ctx) return ctx.currentTime;
+  var nowMs = (window.performance && window.performance.now) ? window.performance.now() : Date.now();
+  return nowMs / 1000;
+};
+
+/**
+ * Returns current clock time in milliseconds (same clock as getCurrentTime).
+ */
+Transport.prototype.getCurrentTimeMs = function () {
+  return this.getCurrentTime() * 1000;
+};
+
+/**
+ * Returns tempo in BPM.
+ */
+Transport.prototype.getBpm = function () {
+  return this._bpm;
+};
+
+/**
+ * Returns one beat duration in seconds.
+ */
+Transport.prototype.getBeatSeconds = function () {
+  return 60 / this._bpm;
+};
+
+/**
+ * Sets tempo. While running, the current fractional beat position is kept so the groove does not jump.
+ * atBeat (optional) makes the change land exactly on that beat instead of now, e.g. on a beat that has just
+ * been handed out for scheduling.
+ */
+Transport.prototype.setBpm = function (bpm, atBeat) {
+  var next = Number(bpm);
+  if (!isFinite(next) || next <= 0) return;
+  if (this._isRunning) {
+    var beat = typeof atBeat === "number" ? atBeat : this.getBeatPosition();
+    this._anchorTimeSec = this.getBeatTime(beat);
+    this._anchorBeat = beat;
+  }
+  this._bpm = next;
+};
+
+/**
+ * Returns clock time (sec) of a beat index on the current tempo line.
+ */
+Transport.prototype.getBeatTime = function (beatIndex) {
+  return this._anchorTimeSec + (beatIndex - this._anchorBeat) * this.getBeatSeconds();
+};
+
+/**
+ * Returns fractional beat position at clock time timeSec (defaults to now). Negative before beat 0.
+ */
+Transport.prototype.getBeatPosition = function (timeSec) {
+  var t = typeof timeSec === "number" ? timeSec : this.getCurrentTime();
+  return this._anchorBeat + (t - this._anchorTimeSec) / this.getBeatSeconds();
+};
+
+/**
+ * Returns true while the transport is running.
+ */
+Transport.prototype.isRunning = function () {
+  return this._isRunning;
+};
+
+/**
+ * Starts the clock with beat 0 just ahead of now and schedules the first window immediately.
+ */
+Transport.prototype.start = function () {
+  if (this._isRunning) return;
+  var ctx = this.getAudioContext();
+  if (ctx && ctx.state === "suspended" && ctx.resume) {
+    ctx.resume();
+  }
+  this._isRunning = true;
+  this._anchorTimeSec = this.getCurrentTime() + Transport.START_DELAY_SEC;
+  this._anchorBeat = 0;
+  this._nextBeatIndex = 0;
+  this._pendingVisualBeats = [];
+  var self = this;
+  this._scheduleWindow();
+  if (!this._isRunning) return; /* a subscriber may stop the transport from the first beat */
+  this._timerId = window.setInterval(function () {
+    self._scheduleWindow();
+  }, Transport.LOOKAHEAD_MS);
+  if (typeof document !== "undefined" && document.addEventListener) {
+    document.addEventListener("visibilitychange", this._handleVisibilityChange);
+  }
+  this._startAnimationLoop();
+};
+
+/**
+ * Stops the clock. Audio already scheduled inside the look-ahead window still plays out.
+ */
+Transport.prototype.stop = function () {
+  this._isRunning = false;
+  if (this._timerId !== null) {
+    window.clearInterval(this._timerId);
+    this._timerId = null;
+  }
+  if (typeof document !== "undefined" && document.removeEventListener) {
+    document.removeEventListener("visibilitychange", this._handleVisibilityChange);
+  }
+  if (this._animationFrame !== null) {
+    window.cancelAnimationFrame(this._animationFrame);
+    this._animationFrame = null;
+  }
+  this._pendingVisualBeats = [];
+};
+
+/**
+ * Hands out every beat that starts before now + SCHEDULE_AHEAD_SEC (HIDDEN_SCHEDULE_AHEAD_SEC while the page is hidden).
+ */
+Transport.prototype._scheduleWindow = function () {
+  var isHidden = typeof document !== "undefined" && !!document.hidden;
+  var horizon = this.getCurrentTime() + (isHidden ? Transport.HIDDEN_SCHEDULE_AHEAD_SEC : Transport.SCHEDULE_AHEAD_SEC);
+  while (this._isRunning && this.getBeatTime(this._nextBeatIndex) < horizon) {
+    var beatIndex = this._nextBeatIndex;
+    var whenSec = this.getBeatTime(beatIndex);
+    this._nextBeatIndex++;
+    this._pendingVisualBeats.push({ beatIndex: beatIndex, timeSec: whenSec });
+    if (typeof this.onScheduleBeat === "function") {
+      this.onScheduleBeat(beatIndex, whenSec);
+    }
+  }
+};
+
+/**
+ * Runs animation frames while playing: fires onBeat for beats that are now audible, then onTick.
+ */
+Transport.prototype._startAnimationLoop = function () {
+  if (this._animationFrame !== null) return;
+  var self = this;
+  var tick = function () {
+    self._animationFrame = null;
+    if (!self._isRunning) return;
+    self._flushAudibleBeats();
+    if (!self._isRunning) return;
+    if (typeof self.onTick === "function") {
+      self.onTick(self.getBeatPosition());
+    }
+    if (!self._isRunning) return;
+    self._animationFrame = window.requestAnimationFrame(tick);
+  };
+  this._animationFrame = window.requestAnimationFrame(tick);
+};
+
+/**
+ * Fires onBeat for every scheduled beat whose time has been reached.
+ */
+Transport.prototype._flushAudibleBeats = function () {
+  var now = this.getCurrentTime();
+  while (this._isRunning && this._pendingVisualBeats.length && this._pendingVisualBeats[0].timeSec <= now) {
+    var beat = this._pendingVisualBeats.shift();
+    if (typeof this.onBeat === "function") {
+      this.onBeat(beat.beatIndex);
+    }
+  }
+};
@@ -0,0 +1,154 @@
+/**
+ * Tuning - Maps fretspace rows to real instrument strings.
+ * Strings are listed low to high with open pitch in semitones from low E (E2 = 0).
+ * Fretspace assumes every row is a fourth (5 semitones) apart; getFourthsDeviation reports how far a
+ * real string departs from that, which is the "kink" (for example -1 on B and high E in standard tuning).
+ */
+function Tuning(preset) {
+  var p = preset || Tuning.PRESETS[0];
+  this.id = p.id;
+  this.name = p.name;
+  this._strings = p.strings.slice();
+  this._rootString = p.rootString;
+}
+
+/**
+ * Built-in tunings. rootString is the string (index, low = 0) that carries the first brick's "1".
+ */
+Tuning.PRESETS = [
+  {
+    id: "standard",
+    name: "Standard EADGBE",
+    rootString: 1,
+    strings: [{ name: "E", semitone: 0 }, { name: "A", semitone: 5 }, { name: "D", semitone: 10 },
+      { name: "G", semitone: 15 }, { name: "B", semitone: 19 }, { name: "e", semitone: 24 }]
+  },
+  {
+    id: "drop-d",
+    name: "Drop D",
+    rootString: 1,
+    strings: [{ name: "D", semitone: -2 }, { name: "A", semitone: 5 }, { name: "D", semitone: 10 },
+      { name: "G", semitone: 15 }, { name: "B", semitone: 19 }, { name: "e", semitone: 24 }]
+  },
+  {
+    id: "dadgad",
+    name: "DADGAD",
+    rootString: 1,
+    strings: [{ name: "D", semitone: -2 }, { name: "A", semitone: 5 }, { name: "D", semitone: 10 },
+      { name: "G", semitone: 15 }, { name: "A", semitone: 17 }, { name: "d", semitone: 22 }]
+  },
+  {
+    id: "all-fourths",
+    name: "All fourths EADGCF",
+    rootString: 1,
+    strings: [{ name: "E", semitone: 0 }, { name: "A", semitone: 5 }, { name: "D", semitone: 10 },
+      { name: "G", semitone: 15 }, { name: "C", semitone: 20 }, { name: "F", semitone: 25 }]
+  },
+  {
+    id: "bass-eadg",
+    name: "Bass EADG",
+    rootString: 1,
+    strings: [{ name: "E", semitone: -12 }, { name: "A", semitone: -7 }, { name: "D", semitone: -2 },
+      { name: "G", semitone: 3 }]
+  },
+  {
+    id: "seven-string",
+    name: "7-string BEADGBE",
+    rootString: 2,
+    strings: [{ name: "B", semitone: -5 }, { name: "E", semitone: 0 }, { name: "A", semitone: 5 },
+      { name: "D", semitone: 10 }, { name: "G", semitone: 15 }, { name: "B", semitone: 19 },
+      { name: "e", semitone: 24 }]
+  }
+];
+
+/** Open pitch of standard tuning's root string (A2); other tunings shift the key's register by their root string's difference. */
+Tuning.STANDARD_ROOT_SEMITONE = 5;
+
+/**
+ * Returns preset list (id/name only) for UI dropdown.
+ */
+Tuning.getPresets = function () {
+  var list = [];
+  for (var i = 0; i < Tuning.PRESETS.length; i++) {
+    list.push({ id: Tuning.PRESETS[i].id, name: Tuning.PRESETS[i].name });
+  }
+  return list;
+};
+
+/**
+ * Creates a tuning from preset id. Unknown ids fall back to standard tuning.
+ */
+Tuning.fromId = function (id) {
+  for (var i = 0; i < Tuning.PRESETS.length; i++) {
+    if (Tuning.PRESETS[i].id === id) return new Tuning(Tuning.PRESETS[i]);
+  }
+  return new Tuning(Tuning.PRESETS[0]);
+};
+
+/**
+ * Returns number of real strings.
+ */
+Tuning.prototype.getStringCount = function () {
+  return this._strings.length;
+};
+
+/**
+ * Returns index of the string that carries the first brick's "1".
+ */
+Tuning.prototype.getRootStringIndex = function () {
+  return this._rootString;
+};
+
+/**
+ * Returns true when stringIndex is a real string (rows past either edge are off the neck).
+ */
+Tuning.prototype.hasString = function (stringIndex) {
+  return stringIndex >= 0 && stringIndex < this._strings.length;
+};
+
+/**
+ * Returns display name of a string, or "" when off the neck.
+ */
+Tuning.prototype.getStringName = function (stringIndex) {
+  return this.hasString(stringIndex) ? this._strings[stringIndex].name : "";
+};
+
+/**
+ * Returns open-string pitch in semitones from E2. Rows off the neck continue in fourths.
+ */
+Tuning.prototype.getOpenSemitone = function (stringIndex) {
+  var last = this._strings.length - 1;
+  if (stringIndex < 0) return this._strings[0].semitone + 5 * stringIndex;
+  if (stringIndex > last) return this._strings[last].semitone + 5 * (stringIndex - last);
+  return this._strings[stringIndex].semitone;
+};
+
+/**
+ * Returns semitones a string sits away from where uniform fourths from the root string would put it.
+ * Negative means the string is lower (notes on it sit that many frets further up the neck).
+ */
+Tuning.prototype.getFourthsDeviation = function (stringIndex) {
+  var root = this._rootString;
+  return this.getOpenSemitone(stringIndex) - this.getOpenSemitone(root) - 5 * (stringIndex - root);
+};
+
+/**
+ * Returns string pairs that are not a fourth apart: [{ lowerString, interval }].
+ */
+Tuning.prototype.getKinks = function () {
+  var kinks = [];
+  for (var i = 0; i < this._strings.length - 1; i++) {
+    var interval = this._strings[i + 1].semitone - this._strings[i].semitone;
+    if (interval !== 5) kinks.push({ lowerString: i, interval: interval });
+  }
+  return kinks;
+};
+
+/**
+ * Returns pitch (semitones from E2) of the first brick's "1": the key's semitone above low E (0..11), the
+ * register standard tuning plays in, moved by how far this tuning's root string sits from standard's
+ * (an octave down on bass).
+ */
+Tuning.prototype.getRootSemitoneForKey = function (keySemitoneFromLowE) {
+  return keySemitoneFromLowE + this.getOpenSemitone(this._rootString) - Tuning.STANDARD_ROOT_SEMITONE;
+};
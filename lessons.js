@@ -1,3 +1,5 @@
+//Curriculum outline. Playable lesson steps live in data/lessons.JSON and run through js/LessonPlayer.js
+
 //major major scale brick
 //tiling. identity axis
 //tiling, octave axis